@@ -4,3 +4,6 @@ set -e
 
 cd ../source/image-handler
 npm test
+
+cd ../custom-resource
+npm test
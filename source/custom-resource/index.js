@@ -13,12 +13,11 @@
 
 'use strict';
 
-console.log('Loading function');
-
 const AWS = require('aws-sdk');
 const https = require('https');
 const url = require('url');
 const moment = require('moment');
+const Logger = require('./lib/logger.js');
 const S3Helper = require('./lib/s3-helper.js');
 const UsageMetrics = require('./lib/usage-metrics');
 const uuidv4 = require('uuid/v4');
@@ -27,7 +26,13 @@ const uuidv4 = require('uuid/v4');
  * Request handler.
  */
 exports.handler = (event, context, callback) => {
-    console.log('Received event:', JSON.stringify(event, null, 2));
+    const logger = Logger.fromEnvironment();
+    logger.reset({
+        requestId: event.RequestId,
+        requestType: event.RequestType,
+        customAction: event.ResourceProperties && event.ResourceProperties.customAction
+    });
+    logger.info('Received event', { event: event });
 
     let responseStatus = 'FAILED';
     let responseData = {};
@@ -49,14 +54,13 @@ exports.handler = (event, context, callback) => {
 
                 let _usageMetrics = new UsageMetrics();
                 _usageMetrics.sendAnonymousMetric(_metric).then((data) => {
-                    console.log(data);
-                    console.log('Annonymous metrics successfully sent.');
+                    logger.info('Anonymous metrics successfully sent', { data: data });
                     sendResponse(event, callback, context.logStreamName, responseStatus, responseData);
                 }).catch((err) => {
                     responseData = {
                         Error: 'Sending anonymous delete metric failed'
                     };
-                    console.log([responseData.Error, ':\n', err].join(''));
+                    logger.error(responseData.Error, { error: err });
                     sendResponse(event, callback, context.logStreamName, responseStatus, responseData);
                 });
             } else {
@@ -71,7 +75,7 @@ exports.handler = (event, context, callback) => {
     if (event.RequestType === 'Create') {
         if (event.ResourceProperties.customAction === 'putConfigFile') {
             let _s3Helper = new S3Helper();
-            console.log(event.ResourceProperties.configItem);
+            logger.debug('Saving config file', { configItem: event.ResourceProperties.configItem });
             _s3Helper.putConfigFile(event.ResourceProperties.configItem, event.ResourceProperties.destS3Bucket, event.ResourceProperties.destS3key).then((data) => {
                 responseStatus = 'SUCCESS';
                 responseData = setting;
@@ -80,7 +84,7 @@ exports.handler = (event, context, callback) => {
                 responseData = {
                     Error: `Saving config file to ${event.ResourceProperties.destS3Bucket}/${event.ResourceProperties.destS3key} failed`
                 };
-                console.log([responseData.Error, ':\n', err].join(''));
+                logger.error(responseData.Error, { error: err });
                 sendResponse(event, callback, context.logStreamName, responseStatus, responseData);
             });
 
@@ -97,7 +101,7 @@ exports.handler = (event, context, callback) => {
                 responseData = {
                     Error: `Copy of website assets failed`
                 };
-                console.log([responseData.Error, ':\n', err].join(''));
+                logger.error(responseData.Error, { error: err });
                 sendResponse(event, callback, context.logStreamName, responseStatus, responseData);
             });
 
@@ -119,7 +123,7 @@ exports.handler = (event, context, callback) => {
                 responseData = {
                     Error: `Could not find the following source bucket(s) in your account: ${err}. Please specify at least one source bucket that exists within your account and try again. If specifying multiple source buckets, please ensure that they are comma-separated.`
                 };
-                console.log(responseData.Error);
+                logger.error(responseData.Error);
                 sendResponse(event, callback, context.logStreamName, responseStatus, responseData, responseData.Error);
             });
 
@@ -137,10 +141,9 @@ exports.handler = (event, context, callback) => {
 
                 let _usageMetrics = new UsageMetrics();
                 _usageMetrics.sendAnonymousMetric(_metric).then((data) => {
-                    console.log(data);
-                    console.log('Annonymous metrics successfully sent.');
+                    logger.info('Anonymous metrics successfully sent', { data: data });
                 }).catch((err) => {
-                    console.log(`Sending anonymous launch metric failed: ${err}`);
+                    logger.warn('Sending anonymous launch metric failed', { error: err });
                 });
 
                 sendResponse(event, callback, context.logStreamName, 'SUCCESS', {});
@@ -167,13 +170,13 @@ exports.handler = (event, context, callback) => {
                 responseData = {
                     Error: `Copy of website assets failed`
                 };
-                console.log([responseData.Error, ':\n', err].join(''));
+                logger.error(responseData.Error, { error: err });
                 sendResponse(event, callback, context.logStreamName, responseStatus, responseData);
             });
 
         } else if (event.ResourceProperties.customAction === 'putConfigFile') {
             let _s3Helper = new S3Helper();
-            console.log(event.ResourceProperties.configItem);
+            logger.debug('Saving config file', { configItem: event.ResourceProperties.configItem });
             _s3Helper.putConfigFile(event.ResourceProperties.configItem, event.ResourceProperties.destS3Bucket, event.ResourceProperties.destS3key).then((data) => {
                 responseStatus = 'SUCCESS';
                 responseData = setting;
@@ -182,7 +185,7 @@ exports.handler = (event, context, callback) => {
                 responseData = {
                     Error: `Saving config file to ${event.ResourceProperties.destS3Bucket}/${event.ResourceProperties.destS3key} failed`
                 };
-                console.log([responseData.Error, ':\n', err].join(''));
+                logger.error(responseData.Error, { error: err });
                 sendResponse(event, callback, context.logStreamName, responseStatus, responseData);
             });
 
@@ -197,7 +200,7 @@ exports.handler = (event, context, callback) => {
                 responseData = {
                     Error: `Could not find the following source bucket(s) in your account: ${err}. Please specify at least one source bucket that exists within your account and try again. If specifying multiple source buckets, please ensure that they are comma-separated.`
                 };
-                console.log(responseData.Error);
+                logger.error(responseData.Error);
                 sendResponse(event, callback, context.logStreamName, responseStatus, responseData, responseData.Error);
             });
 
@@ -225,7 +228,8 @@ let sendResponse = function(event, callback, logStreamName, responseStatus, resp
         Data: responseData,
     });
 
-    console.log('RESPONSE BODY:\n', responseBody);
+    const logger = Logger.fromEnvironment();
+    logger.info('Sending response', { responseStatus: responseStatus, reason: reason, data: responseData });
     const parsedUrl = url.parse(event.ResponseURL);
     const options = {
         hostname: parsedUrl.hostname,
@@ -239,13 +243,12 @@ let sendResponse = function(event, callback, logStreamName, responseStatus, resp
     };
 
     const req = https.request(options, (res) => {
-        console.log('STATUS:', res.statusCode);
-        console.log('HEADERS:', JSON.stringify(res.headers));
+        logger.info('Response sent', { status: res.statusCode, responseStatus: responseStatus, duration: logger.elapsed() });
         callback(null, 'Successfully sent stack response!');
     });
 
     req.on('error', (err) => {
-        console.log('sendResponse Error:\n', err);
+        logger.error('Response could not be sent', { error: err, duration: logger.elapsed() });
         callback(err);
     });
 
@@ -0,0 +1,103 @@
+/*********************************************************************************************************************
+ *  Copyright 2019 Amazon.com, Inc. or its affiliates. All Rights Reserved.                                           *
+ *                                                                                                                    *
+ *  Licensed under the Apache License, Version 2.0 (the "License"). You may not use this file except in compliance    *
+ *  with the License. A copy of the License is located at                                                             *
+ *                                                                                                                    *
+ *      http://www.apache.org/licenses/LICENSE-2.0                                                                    *
+ *                                                                                                                    *
+ *  or in the 'license' file accompanying this file. This file is distributed on an 'AS IS' BASIS, WITHOUT WARRANTIES *
+ *  OR CONDITIONS OF ANY KIND, express or implied. See the License for the specific language governing permissions    *
+ *  and limitations under the License.                                                                                *
+ *********************************************************************************************************************/
+
+/**
+ * @author Solution Builders
+ */
+
+'use strict';
+
+const expect = require('chai').expect;
+const Logger = require('./logger.js');
+
+describe('Logger', function() {
+
+    describe('#log', function() {
+
+        it('should write a JSON line with the request context and fields', function() {
+            const lines = [];
+            const logger = new Logger('info', undefined, line => lines.push(JSON.parse(line)));
+            logger.reset({ requestId: 'abc' });
+            logger.info('Resource created', { resource: 'UuidGenerator' });
+            expect(lines).to.have.lengthOf(1);
+            expect(lines[0]).to.include({ level: 'info', message: 'Resource created', requestId: 'abc', resource: 'UuidGenerator' });
+            expect(lines[0].time).to.be.a('string');
+        });
+
+        it('should not write the lines below the minimum level', function() {
+            const lines = [];
+            const logger = new Logger('warn', undefined, line => lines.push(JSON.parse(line)));
+            logger.debug('debug');
+            logger.info('info');
+            logger.warn('warn');
+            logger.error('error');
+            expect(lines.map(line => line.level)).to.deep.equal([ 'warn', 'error' ]);
+        });
+
+        it('should redact the response URL of the event and its authorization header', function() {
+            const lines = [];
+            const logger = new Logger('debug', undefined, line => lines.push(JSON.parse(line)));
+            logger.reset({ ResponseURL: 'https://cloudformation-custom-resource-response.s3.amazonaws.com/signed' });
+            logger.debug('Event received', { event: { RequestType: 'Create', ResponseURL: 'https://signed', headers: { Authorization: 'secret' } } });
+            expect(lines[0].ResponseURL).to.equal('[REDACTED]');
+            expect(lines[0].event.ResponseURL).to.equal('[REDACTED]');
+            expect(lines[0].event.headers.Authorization).to.equal('[REDACTED]');
+            expect(lines[0].event.RequestType).to.equal('Create');
+        });
+
+        it('should log buffers by their size and errors by their name, code and message', function() {
+            const lines = [];
+            const logger = new Logger('info', undefined, line => lines.push(JSON.parse(line)));
+            const err = new Error('Access Denied');
+            err.code = 'AccessDenied';
+            logger.error('Copy failed', { body: Buffer.from('abcd'), err: err, files: [ Buffer.alloc(2) ] });
+            expect(lines[0].body).to.equal('[Buffer 4 bytes]');
+            expect(lines[0].files).to.deep.equal([ '[Buffer 2 bytes]' ]);
+            expect(lines[0].err).to.deep.equal({ name: 'Error', code: 'AccessDenied', message: 'Access Denied' });
+        });
+
+    });
+
+    describe('#elapsed', function() {
+
+        it('should restart the request duration when the context is reset', function() {
+            const logger = new Logger('info', undefined, () => {});
+            logger.started = Date.now() - 5000;
+            expect(logger.elapsed()).to.be.at.least(5000);
+            logger.reset({ requestId: 'abc' });
+            expect(logger.elapsed()).to.be.below(1000);
+        });
+
+    });
+
+    describe('#fromEnvironment', function() {
+
+        afterEach(function() {
+            delete process.env.LOG_LEVEL;
+        });
+
+        it('should log from the LOG_LEVEL environment variable', function() {
+            process.env.LOG_LEVEL = 'DEBUG';
+            expect(Logger.fromEnvironment().level).to.equal('debug');
+            delete process.env.LOG_LEVEL;
+            expect(Logger.fromEnvironment().level).to.equal('info');
+        });
+
+        it('should throw an error if LOG_LEVEL is not a known level', function() {
+            process.env.LOG_LEVEL = 'verbose';
+            expect(() => Logger.fromEnvironment()).to.throw(/Logger::InvalidConfiguration/);
+        });
+
+    });
+
+});
@@ -19,6 +19,7 @@
 
 let AWS = require('aws-sdk');
 const fs = require('fs');
+const Logger = require('./logger.js');
 
 /**
  * Helper function to interact with AWS S3 for cfn custom resource.
@@ -39,23 +40,38 @@ class s3Helper {
     /**
      * validateBuckets
      * Cross-checks provided bucket names against existing bucket names in the account for
-     * validation.
+     * validation. Entries use the SOURCE_BUCKETS syntax of the image handler: a bucket name
+     * or glob pattern ("assets-*"), optionally followed by a key pattern ("my-bucket/public/*").
+     * A bucket pattern is valid if at least one bucket of the account matches it.
      * @param {String} strBuckets - String of bucket names from the template params.
      */
     async validateBuckets(strBuckets) {
         const formatted = strBuckets.replace(/\s/g,'');
-        console.log(`Attempting to check if the following buckets exist: ${formatted}`);
+        Logger.fromEnvironment().info('Checking source buckets', { sourceBuckets: formatted });
         const buckets = formatted.split(',');
         const errorBuckets = [];
+        const s3 = new AWS.S3({ signatureVersion: 'v4' });
+        let accountBuckets;
         for (let i = 0; i < buckets.length; i++) {
-            const s3 = new AWS.S3({ signatureVersion: 'v4' });
-            const params = { Bucket: buckets[i] };
+            const bucket = buckets[i].split('/')[0];
             try {
-                await s3.headBucket(params).promise();
-                console.log(`Found bucket: ${buckets[i]}`);
+                if (bucket === '') {
+                    throw new Error('Missing bucket name');
+                } else if (/[*?]/.test(bucket)) {
+                    if (accountBuckets === undefined) {
+                        const result = await s3.listBuckets().promise();
+                        accountBuckets = result.Buckets.map(accountBucket => accountBucket.Name);
+                    }
+                    const pattern = this.globToRegExp(bucket);
+                    if (!accountBuckets.some(name => pattern.test(name))) {
+                        throw new Error(`No bucket matches the pattern ${bucket}`);
+                    }
+                } else {
+                    await s3.headBucket({ Bucket: bucket }).promise();
+                }
+                Logger.fromEnvironment().debug('Found bucket', { bucket: buckets[i] });
             } catch (err) {
-                console.log(`Could not find bucket: ${buckets[i]}`);
-                console.log(err);
+                Logger.fromEnvironment().warn('Could not find bucket', { bucket: buckets[i], errorCode: err.code, error: err });
                 errorBuckets.push(buckets[i]);
             }
         }
@@ -63,6 +79,21 @@ class s3Helper {
         else                                return Promise.reject(errorBuckets);
     }
 
+    /**
+     * globToRegExp
+     * Converts a bucket glob pattern, where "*" matches any sequence of characters and "?"
+     * any single character, to an anchored regular expression.
+     * @param {String} glob - The glob pattern.
+     */
+    globToRegExp(glob) {
+        const source = glob.split('').map((character) => {
+            if (character === '*')          return '.*';
+            else if (character === '?')     return '.';
+            return character.replace(/[.+^${}()|[\]\\]/g, '\\$&');
+        }).join('');
+        return new RegExp(`^${source}$`);
+    }
+
     /**
      * putConfigFile
      * Saves a JSON config file to S3 location.
@@ -71,8 +102,9 @@ class s3Helper {
      * @param {JSON} destS3key -  S3 destination key.
      */
     putConfigFile(content, destS3Bucket, destS3key) {
-        console.log(`Attempting to save content blob destination location: ${destS3Bucket}/${destS3key}`);
-        console.log(JSON.stringify(content));
+        const logger = Logger.fromEnvironment();
+        logger.info('Saving config file', { bucket: destS3Bucket, key: destS3key });
+        logger.debug('Config file content', { content: content });
 
         return new Promise((resolve, reject) => {
             let _content = `'use strict';\n\nconst appVariables = {\n`;
@@ -98,10 +130,9 @@ class s3Helper {
             });
             s3.putObject(params, function(err, data) {
                 if (err) {
-                    console.log(err);
+                    logger.error('Config file could not be saved', { errorCode: err.code, error: err });
                     reject(`Error creating ${destS3Bucket}/${destS3key} content \n${err}`);
                 } else {
-                    console.log(data);
                     resolve(data);
                 }
             });
@@ -109,9 +140,8 @@ class s3Helper {
     }
 
     copyAssets(manifestKey, sourceS3Bucket, sourceS3prefix, destS3Bucket) {
-        console.log(`source bucket: ${sourceS3Bucket}`);
-        console.log(`source prefix: ${sourceS3prefix}`);
-        console.log(`destination bucket: ${destS3Bucket}`);
+        const logger = Logger.fromEnvironment();
+        logger.info('Copying assets', { sourceBucket: sourceS3Bucket, sourcePrefix: sourceS3prefix, destinationBucket: destS3Bucket });
 
         let _self = this;
         return new Promise((resolve, reject) => {
@@ -120,7 +150,7 @@ class s3Helper {
 
                 fs.readFile(_self.downloadLocation, 'utf8', function(err, data) {
                     if (err) {
-                        console.log(err);
+                        logger.error('Manifest file could not be read', { errorCode: err.code, error: err });
                         reject(err);
                     }
 
@@ -130,17 +160,17 @@ class s3Helper {
                         reject('Unable to validate downloaded manifest file JSON');
                     } else {
                         _self._uploadFile(_manifest.files, 0, destS3Bucket, `${sourceS3Bucket}/${sourceS3prefix}`).then((resp) => {
-                            console.log(resp);
+                            logger.info('Assets copied', { result: resp });
                             resolve(resp)
                         }).catch((err) => {
-                            console.log(err);
+                            logger.error('Assets could not be copied', { error: err });
                             reject(err);
                         });
                     }
 
                 });
             }).catch((err) => {
-                console.log(err);
+                logger.error('Manifest file could not be downloaded', { error: err });
                 reject(err);
             });
 
@@ -155,11 +185,11 @@ class s3Helper {
     _validateJSON(body) {
         try {
             let data = JSON.parse(body);
-            console.log(data);
+            Logger.fromEnvironment().debug('Manifest file parsed', { manifest: data });
             return data;
         } catch (e) {
             // failed to parse
-            console.log('Manifest file contains invalid JSON.');
+            Logger.fromEnvironment().error('Manifest file contains invalid JSON');
             return null;
         }
     };
@@ -180,16 +210,16 @@ class s3Helper {
                 params.Metadata = {
                     'Content-Type': params.ContentType
                 };
-                console.log(params);
+                Logger.fromEnvironment().debug('Copying asset', { params: params });
                 let s3 = new AWS.S3({
                     signatureVersion: 'v4'
                 });
                 s3.copyObject(params, function(err, data) {
                     if (err) {
-                        console.log(err);
+                        Logger.fromEnvironment().error('Asset could not be copied', { key: filelist[index], errorCode: err.code, error: err });
                         reject(`error copying ${sourceS3prefix}/${filelist[index]}\n${err}`);
                     } else {
-                        console.log(`${sourceS3prefix}/${filelist[index]} uploaded successfully`);
+                        Logger.fromEnvironment().debug('Asset copied', { key: filelist[index] });
                         let _next = index + 1;
                         _self._uploadFile(filelist, _next, destS3Bucket, sourceS3prefix).then((resp) => {
                             resolve(resp);
@@ -221,24 +251,22 @@ class s3Helper {
                 Key: s3Key
             };
 
-            console.log(`Attempting to download manifest: ${JSON.stringify(params)}`);
+            const logger = Logger.fromEnvironment();
+            logger.info('Downloading manifest', { bucket: s3Bucket, key: s3Key });
 
             // check to see if the manifest file exists
             let s3 = new AWS.S3({
                 signatureVersion: 'v4'
             });
             s3.headObject(params, function(err, metadata) {
-                if (err) {
-                    console.log(err);
-                }
-
                 if (err && err.code === 'NotFound') {
                     // Handle no object on cloud here
-                    console.log('manifest file doesn\'t exist');
+                    logger.error('Manifest file was not found', { errorCode: err.code });
                     reject('Manifest file was not found.');
                 } else {
-                    console.log('manifest file exists');
-                    console.log(metadata);
+                    if (err) {
+                        logger.warn('Manifest file could not be checked', { errorCode: err.code, error: err });
+                    }
                     let file = require('fs').createWriteStream(_self.downloadLocation);
 
                     s3.getObject(params).
@@ -247,7 +275,7 @@ class s3Helper {
                     }).
                     on('httpDone', function() {
                         file.end();
-                        console.log('manifest downloaded for processing...');
+                        logger.debug('Manifest downloaded for processing');
                         resolve('success');
                     }).
                     send();
@@ -0,0 +1,118 @@
+/*********************************************************************************************************************
+ *  Copyright 2019 Amazon.com, Inc. or its affiliates. All Rights Reserved.                                           *
+ *                                                                                                                    *
+ *  Licensed under the Apache License, Version 2.0 (the "License"). You may not use this file except in compliance    *
+ *  with the License. A copy of the License is located at                                                             *
+ *                                                                                                                    *
+ *      http://www.apache.org/licenses/LICENSE-2.0                                                                    *
+ *                                                                                                                    *
+ *  or in the 'license' file accompanying this file. This file is distributed on an 'AS IS' BASIS, WITHOUT WARRANTIES *
+ *  OR CONDITIONS OF ANY KIND, express or implied. See the License for the specific language governing permissions    *
+ *  and limitations under the License.                                                                                *
+ *********************************************************************************************************************/
+
+const PixelRatio = require('./pixel-ratio');
+
+// Client hints the image handler asks browsers for, and the request headers responses vary on
+const acceptedHints = [ 'Sec-CH-DPR', 'Sec-CH-Width', 'Sec-CH-Viewport-Width' ];
+const varyingHeaders = acceptedHints.concat([ 'Save-Data' ]);
+
+// Output formats whose quality is lowered for Save-Data requests
+const lossyFormats = [ 'jpeg', 'webp', 'avif', 'heif', 'tiff' ];
+
+class ClientHints {
+
+    /**
+     * Reads the client hints of a request. Missing or invalid hints are left
+     * undefined.
+     * @param {Object} hints - The raw { dpr, width, viewportWidth, saveData } header values.
+     * @param {Number} saveDataQuality - The highest output quality of Save-Data requests.
+     */
+    constructor(hints, saveDataQuality = 50) {
+        const positive = (value) => {
+            const number = Number(value);
+            return (value !== undefined && value !== '' && number > 0 && isFinite(number)) ? number : undefined;
+        };
+        this.dpr = positive(hints.dpr);
+        this.width = positive(hints.width);
+        this.viewportWidth = positive(hints.viewportWidth);
+        this.saveData = String(hints.saveData).trim().toLowerCase() === 'on';
+        this.saveDataQuality = saveDataQuality;
+    }
+
+    /**
+     * Returns true if client hints are enabled by the ENABLE_CLIENT_HINTS
+     * environment variable.
+     */
+    static isEnabled() {
+        return process.env.ENABLE_CLIENT_HINTS === 'Yes';
+    }
+
+    /**
+     * Returns the response headers asking for client hints and declaring the
+     * request headers the response depends on.
+     */
+    static getResponseHeaders() {
+        return {
+            'Accept-CH': acceptedHints.join(', '),
+            'Vary': [ 'Accept' ].concat(varyingHeaders).join(', ')
+        };
+    }
+
+    /**
+     * Applies the client hints to the edits of a request. Resize dimensions
+     * are multiplied by the DPR. If the request sets neither dimension, the
+     * width is taken from the Width hint or else from the Viewport-Width hint
+     * multiplied by the DPR, without enlarging the image. The DPR and the Width
+     * hint are lowered like explicit device pixel ratios, so that browser
+     * headers never push a valid request over MAX_DPR or the output limits.
+     * The quality of Save-Data requests is capped.
+     * @param {Object} edits - The edits of the request, if any.
+     * @param {String} format - The output format of the image.
+     * @param {PixelRatio} pixelRatio - The pixel ratio scaling of the request, the default limits if omitted.
+     * @return {Object} - The edits, unchanged if no hint applies, and the DPR applied to the output image if it was sized from the hints.
+     */
+    apply(edits, format, pixelRatio = new PixelRatio()) {
+        const result = Object.assign({}, edits);
+        let changed = false;
+        let dpr;
+
+        const resize = result.resize;
+        if (resize && (resize.width || resize.height)) {
+            const ratio = (this.dpr !== undefined) ? pixelRatio.clamp(this.dpr, resize) : undefined;
+            if (ratio !== undefined && ratio !== 1) {
+                result.resize = Object.assign({}, resize);
+                ['width', 'height'].filter(dimension => resize[dimension]).forEach((dimension) => {
+                    result.resize[dimension] = Math.round(resize[dimension] * ratio);
+                });
+                changed = true;
+                dpr = ratio;
+            }
+        } else if (this.width !== undefined) {
+            // The Width hint is in device pixels, it is lowered with the DPR it was multiplied by
+            const ratio = (this.dpr !== undefined) ? pixelRatio.clamp(this.dpr, { width: this.width / this.dpr }) : 1;
+            const width = (this.dpr !== undefined) ? this.width / this.dpr * ratio : Math.min(this.width, pixelRatio.maxWidth);
+            result.resize = Object.assign({ withoutEnlargement: true }, resize, { width: Math.round(width) });
+            changed = true;
+            dpr = ratio;
+        } else if (this.viewportWidth !== undefined) {
+            const ratio = (this.dpr !== undefined) ? pixelRatio.clamp(this.dpr, { width: this.viewportWidth }) : undefined;
+            const width = Math.min(this.viewportWidth * (ratio || 1), pixelRatio.maxWidth);
+            result.resize = Object.assign({ withoutEnlargement: true }, resize, { width: Math.round(width) });
+            changed = true;
+            dpr = ratio;
+        }
+
+        if (this.saveData && lossyFormats.includes(format)) {
+            const options = result[format] || {};
+            const quality = (options.quality !== undefined) ? Math.min(options.quality, this.saveDataQuality) : this.saveDataQuality;
+            result[format] = Object.assign({}, options, { quality });
+            changed = true;
+        }
+
+        return { edits: changed ? result : edits, dpr };
+    }
+}
+
+// Exports
+module.exports = ClientHints;
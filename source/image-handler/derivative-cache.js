@@ -0,0 +1,189 @@
+/*********************************************************************************************************************
+ *  Copyright 2019 Amazon.com, Inc. or its affiliates. All Rights Reserved.                                           *
+ *                                                                                                                    *
+ *  Licensed under the Apache License, Version 2.0 (the "License"). You may not use this file except in compliance    *
+ *  with the License. A copy of the License is located at                                                             *
+ *                                                                                                                    *
+ *      http://www.apache.org/licenses/LICENSE-2.0                                                                    *
+ *                                                                                                                    *
+ *  or in the 'license' file accompanying this file. This file is distributed on an 'AS IS' BASIS, WITHOUT WARRANTIES *
+ *  OR CONDITIONS OF ANY KIND, express or implied. See the License for the specific language governing permissions    *
+ *  and limitations under the License.                                                                                *
+ *********************************************************************************************************************/
+
+
+const crypto = require('crypto');
+const Logger = require('./logger');
+
+// Response fields of the image request kept in the metadata of each derivative
+const responseFields = [ 'Expires', 'LastModified', 'ETag', 'SourceETag', 'ContentDPR' ];
+
+class DerivativeCache {
+
+    /**
+     * Stores processed images in an Amazon S3 bucket, so that the requests
+     * missing the CloudFront cache do not process the original image again.
+     * Derivatives are stored under "<prefix><bucket>/<key hash>/<hash>", where
+     * the key hash is the SHA-256 of the source key, so that the prefix of a
+     * source image never contains the derivatives of another one ("a/b" and
+     * "a/b/c.jpg"), and the hash is derived from the entity tag of the source
+     * image and the variant of the request.
+     * @param {String} bucket - The name of the bucket storing the derivatives.
+     * @param {String} prefix - The key prefix of the derivatives.
+     * @param {S3} s3 - The Amazon S3 client to use, a new client by default.
+     */
+    constructor(bucket, prefix = 'derivatives/', s3) {
+        this.bucket = bucket;
+        this.prefix = prefix;
+        this.s3 = s3;
+    }
+
+    /**
+     * Returns true if derivatives are stored, in the bucket named by the
+     * DERIVATIVE_BUCKET environment variable.
+     */
+    static isEnabled() {
+        return !!process.env.DERIVATIVE_BUCKET;
+    }
+
+    /**
+     * Returns the derivative cache for the current configuration: the
+     * DERIVATIVE_BUCKET and DERIVATIVE_PREFIX environment variables.
+     * @param {S3} s3 - The Amazon S3 client to use, a new client by default.
+     */
+    static fromEnvironment(s3) {
+        const { DERIVATIVE_BUCKET, DERIVATIVE_PREFIX } = process.env;
+        return new DerivativeCache(DERIVATIVE_BUCKET, DERIVATIVE_PREFIX || undefined, s3);
+    }
+
+    /**
+     * Returns the Amazon S3 client of the cache.
+     */
+    getClient() {
+        if (this.s3 === undefined) {
+            const S3 = require('aws-sdk/clients/s3');
+            this.s3 = new S3();
+        }
+        return this.s3;
+    }
+
+    /**
+     * Returns the key prefix shared by all the derivatives of a source image.
+     * @param {String} bucket - The name of the bucket containing the source image.
+     * @param {String} key - The key name corresponding to the source image.
+     */
+    getSourcePrefix(bucket, key) {
+        const keyHash = crypto.createHash('sha256').update(key).digest('hex');
+        return `${this.prefix}${bucket}/${keyHash}/`;
+    }
+
+    /**
+     * Returns the key of the derivative of a source image.
+     * @param {String} bucket - The name of the bucket containing the source image.
+     * @param {String} key - The key name corresponding to the source image.
+     * @param {String} sourceETag - The entity tag of the source image.
+     * @param {String} variantHash - The hash of the edits and negotiated options of the request.
+     */
+    getKey(bucket, key, sourceETag, variantHash) {
+        const hash = crypto.createHash('sha256').update(`${sourceETag}\n${variantHash}`).digest('hex');
+        return this.getSourcePrefix(bucket, key) + hash;
+    }
+
+    /**
+     * Gets a stored derivative. A missing or unreadable derivative is
+     * reported as undefined, so that the original image is processed instead.
+     * @param {String} key - The key of the derivative.
+     * @return {Promise} - The body of the derivative and the response fields
+     * of the image request it was stored for, or undefined.
+     */
+    async get(key) {
+        try {
+            const derivative = await this.getClient().getObject({ Bucket: this.bucket, Key: key }).promise();
+            const metadata = derivative.Metadata || {};
+            const response = { ContentType: derivative.ContentType, CacheControl: derivative.CacheControl };
+            responseFields.forEach((field) => {
+                if (metadata[field.toLowerCase()] !== undefined) {
+                    response[field] = metadata[field.toLowerCase()];
+                }
+            });
+            return Promise.resolve({ body: derivative.Body, response });
+        } catch (err) {
+            if (err.code !== 'NoSuchKey' && err.statusCode !== 404) {
+                Logger.fromEnvironment().warn('Derivative could not be read', { derivativeKey: key, errorCode: err.code, error: err });
+            }
+            return Promise.resolve(undefined);
+        }
+    }
+
+    /**
+     * Stores the derivative of an image request. Failures are logged and do
+     * not fail the request.
+     * @param {String} key - The key of the derivative.
+     * @param {Buffer} body - The processed image.
+     * @param {ImageRequest} request - The image request the derivative is stored for.
+     * @return {Promise} - True if the derivative was stored.
+     */
+    async put(key, body, request) {
+        const metadata = {};
+        responseFields.forEach((field) => {
+            if (request[field] !== undefined) {
+                metadata[field.toLowerCase()] = String(request[field]);
+            }
+        });
+        try {
+            await this.getClient().putObject({
+                Bucket: this.bucket,
+                Key: key,
+                Body: body,
+                ContentType: request.ContentType,
+                CacheControl: request.CacheControl,
+                Metadata: metadata
+            }).promise();
+            return Promise.resolve(true);
+        } catch (err) {
+            Logger.fromEnvironment().warn('Derivative could not be stored', { derivativeKey: key, errorCode: err.code, error: err });
+            return Promise.resolve(false);
+        }
+    }
+
+    /**
+     * Deletes all the derivatives of a source image.
+     * @param {String} bucket - The name of the bucket containing the source image.
+     * @param {String} key - The key name corresponding to the source image.
+     * @return {Promise} - The number of deleted derivatives or an error.
+     */
+    async purge(bucket, key) {
+        if (!this.bucket || typeof bucket !== 'string' || typeof key !== 'string' || bucket === '' || key === '') {
+            return Promise.reject({
+                status: 400,
+                code: 'DerivativeCache::InvalidPurge',
+                message: 'The derivatives could not be purged. Please check that DERIVATIVE_BUCKET is set and that the "bucket" and "key" of the source image are provided.'
+            });
+        }
+        const s3 = this.getClient();
+        const prefix = this.getSourcePrefix(bucket, key);
+        let deleted = 0;
+        let ContinuationToken;
+        try {
+            do {
+                const listed = await s3.listObjectsV2({ Bucket: this.bucket, Prefix: prefix, ContinuationToken }).promise();
+                const objects = (listed.Contents || []).map(object => ({ Key: object.Key }));
+                if (objects.length > 0) {
+                    await s3.deleteObjects({ Bucket: this.bucket, Delete: { Objects: objects, Quiet: true } }).promise();
+                    deleted += objects.length;
+                }
+                ContinuationToken = listed.IsTruncated ? listed.NextContinuationToken : undefined;
+            } while (ContinuationToken !== undefined);
+            return Promise.resolve({ deleted });
+        } catch (err) {
+            return Promise.reject({
+                status: 500,
+                code: 'DerivativeCache::PurgeFailed',
+                message: `The derivatives of "${bucket}/${key}" could not be purged: ${err.message}`
+            });
+        }
+    }
+}
+
+// Exports
+module.exports = DerivativeCache;
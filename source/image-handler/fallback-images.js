@@ -0,0 +1,83 @@
+/*********************************************************************************************************************
+ *  Copyright 2019 Amazon.com, Inc. or its affiliates. All Rights Reserved.                                           *
+ *                                                                                                                    *
+ *  Licensed under the Apache License, Version 2.0 (the "License"). You may not use this file except in compliance    *
+ *  with the License. A copy of the License is located at                                                             *
+ *                                                                                                                    *
+ *      http://www.apache.org/licenses/LICENSE-2.0                                                                    *
+ *                                                                                                                    *
+ *  or in the 'license' file accompanying this file. This file is distributed on an 'AS IS' BASIS, WITHOUT WARRANTIES *
+ *  OR CONDITIONS OF ANY KIND, express or implied. See the License for the specific language governing permissions    *
+ *  and limitations under the License.                                                                                *
+ *********************************************************************************************************************/
+
+
+class FallbackImages {
+
+    /**
+     * Selects the image served in place of a missing original image. Each
+     * entry matches the requests by source "bucket", key "prefix" and
+     * "preset", all optional, and names the "fallbackKey" of its image in the
+     * "fallbackBucket", the bucket of the request by default. The first
+     * matching entry is used, so that an entry without conditions placed last
+     * applies to every request.
+     * @param {Array} entries - List of { bucket, prefix, preset, fallbackBucket, fallbackKey } entries.
+     * @param {Number} status - The status code of fallback responses, 404 or 200.
+     * @param {String} cacheControl - The Cache-Control header of fallback responses.
+     */
+    constructor(entries, status = 404, cacheControl = 'max-age=60,public') {
+        if (!Array.isArray(entries)) {
+            throw new Error('FallbackImages::InvalidConfiguration: the fallback images must be a JSON array.');
+        }
+        entries.forEach((entry, index) => {
+            if (entry === null || typeof entry !== 'object' || typeof entry.fallbackKey !== 'string' || entry.fallbackKey === '') {
+                throw new Error(`FallbackImages::InvalidConfiguration: the fallback image #${index} must be an object with a "fallbackKey".`);
+            }
+        });
+        if (status !== 404 && status !== 200) {
+            throw new Error('FallbackImages::InvalidConfiguration: FALLBACK_STATUS must be 404 or 200.');
+        }
+        this.entries = entries;
+        this.status = status;
+        this.cacheControl = cacheControl;
+    }
+
+    /**
+     * Returns the fallback images configured in the FALLBACK_IMAGES
+     * environment variable (a JSON array), answered with the FALLBACK_STATUS
+     * status code and the FALLBACK_CACHE_CONTROL header, short-lived by
+     * default so that the original image is served soon after it is uploaded.
+     */
+    static fromEnvironment() {
+        let entries = [];
+        try {
+            if (process.env.FALLBACK_IMAGES) {
+                entries = JSON.parse(process.env.FALLBACK_IMAGES);
+            }
+        } catch (err) {
+            throw new Error(`FallbackImages::InvalidConfiguration: the fallback images could not be read: ${err.message}`);
+        }
+        const status = process.env.FALLBACK_STATUS ? Number(process.env.FALLBACK_STATUS) : undefined;
+        return new FallbackImages(entries, status, process.env.FALLBACK_CACHE_CONTROL || undefined);
+    }
+
+    /**
+     * Returns the bucket and key of the fallback image of a request, or
+     * undefined if no entry matches.
+     * @param {String} bucket - The name of the bucket of the missing image.
+     * @param {String} key - The key name of the missing image.
+     * @param {String} preset - The name of the preset of the request, if any.
+     */
+    find(bucket, key, preset) {
+        const entry = this.entries.find(entry => (entry.bucket === undefined || entry.bucket === bucket)
+            && key.startsWith(entry.prefix || '')
+            && (entry.preset === undefined || entry.preset === preset));
+        if (entry === undefined) {
+            return undefined;
+        }
+        return { bucket: entry.fallbackBucket || bucket, key: entry.fallbackKey };
+    }
+}
+
+// Exports
+module.exports = FallbackImages;
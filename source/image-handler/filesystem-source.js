@@ -0,0 +1,87 @@
+/*********************************************************************************************************************
+ *  Copyright 2019 Amazon.com, Inc. or its affiliates. All Rights Reserved.                                           *
+ *                                                                                                                    *
+ *  Licensed under the Apache License, Version 2.0 (the "License"). You may not use this file except in compliance    *
+ *  with the License. A copy of the License is located at                                                             *
+ *                                                                                                                    *
+ *      http://www.apache.org/licenses/LICENSE-2.0                                                                    *
+ *                                                                                                                    *
+ *  or in the 'license' file accompanying this file. This file is distributed on an 'AS IS' BASIS, WITHOUT WARRANTIES *
+ *  OR CONDITIONS OF ANY KIND, express or implied. See the License for the specific language governing permissions    *
+ *  and limitations under the License.                                                                                *
+ *********************************************************************************************************************/
+
+
+const fs = require('fs');
+const path = require('path');
+const Limits = require('./limits');
+
+// Content types for the supported image file extensions
+const contentTypes = {
+    gif: 'image/gif',
+    heic: 'image/heic',
+    heif: 'image/heif',
+    jpeg: 'image/jpeg',
+    jpg: 'image/jpeg',
+    png: 'image/png',
+    svg: 'image/svg+xml',
+    tif: 'image/tiff',
+    tiff: 'image/tiff',
+    webp: 'image/webp'
+};
+
+class FilesystemSource {
+
+    /**
+     * Image source reading files from a local folder, for development.
+     * @param {Object} options - The "root" folder, relative to the function root,
+     * and the "maxBytes" of an image (MAX_INPUT_BYTES by default).
+     */
+    constructor(options) {
+        this.root = path.resolve(__dirname, options.root);
+        this.cacheControl = options.cacheControl;
+        this.maxBytes = (options.maxBytes !== undefined) ? options.maxBytes : Limits.fromEnvironment().maxInputBytes;
+    }
+
+    /**
+     * Reads a file from the root folder. Keys resolving outside of the root
+     * folder are reported as missing, and files larger than the maximum size
+     * are rejected before they are read.
+     * @param {String} bucket - The name of the bucket the file stands in for.
+     * @param {String} key - The path of the file, relative to the root folder.
+     * @return {Promise} - The file, in the shape of an Amazon S3 object, or an error.
+     */
+    async getObject(bucket, key) {
+        const filePath = path.resolve(this.root, key);
+        if (!filePath.startsWith(this.root + path.sep)) {
+            return Promise.reject({ code: 'NoSuchKey', message: 'The specified key does not exist.' });
+        }
+        try {
+            const stats = await fs.promises.stat(filePath);
+            if (stats.size > this.maxBytes) {
+                return Promise.reject({
+                    code: 'ImageLimits::InputTooLarge',
+                    message: `The original image is ${stats.size} bytes, more than the ${this.maxBytes} bytes allowed.`,
+                    statusCode: 413
+                });
+            }
+            const body = await fs.promises.readFile(filePath);
+            const extension = path.extname(filePath).substring(1).toLowerCase();
+            return {
+                Body: body,
+                ContentType: contentTypes[extension],
+                CacheControl: this.cacheControl,
+                LastModified: stats.mtime,
+                ETag: `"${stats.size.toString(16)}-${Math.floor(stats.mtimeMs).toString(16)}"`
+            };
+        } catch (err) {
+            return Promise.reject({
+                code: (err.code === 'ENOENT' || err.code === 'EISDIR') ? 'NoSuchKey' : err.code,
+                message: (err.code === 'ENOENT' || err.code === 'EISDIR') ? 'The specified key does not exist.' : err.message
+            });
+        }
+    }
+}
+
+// Exports
+module.exports = FilesystemSource;
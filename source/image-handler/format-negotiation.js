@@ -0,0 +1,137 @@
+/*********************************************************************************************************************
+ *  Copyright 2019 Amazon.com, Inc. or its affiliates. All Rights Reserved.                                           *
+ *                                                                                                                    *
+ *  Licensed under the Apache License, Version 2.0 (the "License"). You may not use this file except in compliance    *
+ *  with the License. A copy of the License is located at                                                             *
+ *                                                                                                                    *
+ *      http://www.apache.org/licenses/LICENSE-2.0                                                                    *
+ *                                                                                                                    *
+ *  or in the 'license' file accompanying this file. This file is distributed on an 'AS IS' BASIS, WITHOUT WARRANTIES *
+ *  OR CONDITIONS OF ANY KIND, express or implied. See the License for the specific language governing permissions    *
+ *  and limitations under the License.                                                                                *
+ *********************************************************************************************************************/
+
+
+// Candidate output formats, in order of preference when accepted with the same quality
+const candidates = [
+    { format: 'avif', variable: 'AUTO_AVIF' },
+    { format: 'webp', variable: 'AUTO_WEBP' }
+];
+
+// Source formats every client is expected to display
+const universalFormats = [ 'jpeg', 'png', 'gif' ];
+
+class FormatNegotiation {
+
+    /**
+     * Chooses the output format of an image from the Accept header of the
+     * request, among the candidate formats that are enabled.
+     * @param {Array} formats - The enabled candidate formats, such as [ 'avif', 'webp' ].
+     */
+    constructor(formats) {
+        this.formats = formats;
+    }
+
+    /**
+     * Returns the negotiation for the current configuration, where each
+     * candidate format is enabled by its own variable: AUTO_AVIF and AUTO_WEBP.
+     */
+    static fromEnvironment() {
+        const isEnabled = (value) => value === true || value === 'Yes' || value === 'true';
+        const formats = candidates.filter(candidate => isEnabled(process.env[candidate.variable]))
+            .map(candidate => candidate.format);
+        return new FormatNegotiation(formats);
+    }
+
+    /**
+     * Returns the quality value of each media type listed in an Accept header,
+     * such as { 'image/webp': 1, 'image/avif': 0.9 }.
+     * @param {String} accept - The value of the Accept header.
+     */
+    static parseAccept(accept) {
+        const qualities = {};
+        String(accept || '').split(',').forEach((range) => {
+            const [ type, ...parameters ] = range.split(';').map(part => part.trim());
+            if (type === '') {
+                return;
+            }
+            const q = parameters.map(parameter => parameter.match(/^q=([0-9.]+)$/i)).find(matched => matched);
+            const quality = q ? Math.min(Number(q[1]), 1) : 1;
+            qualities[type.toLowerCase()] = isNaN(quality) ? 0 : quality;
+        });
+        return qualities;
+    }
+
+    /**
+     * Reads the format, transparency and animation of an image from its
+     * header, without decoding it. Unknown properties are left undefined.
+     * @param {Buffer} image - The original image.
+     */
+    static describe(image) {
+        if (!Buffer.isBuffer(image) || image.length < 16) {
+            return {};
+        }
+        if (image[0] === 0xFF && image[1] === 0xD8) {
+            return { format: 'jpeg', hasAlpha: false, isAnimated: false };
+        }
+        if (image.toString('hex', 0, 8) === '89504e470d0a1a0a') {
+            // Colour types 4 and 6 have an alpha channel, others may have a tRNS chunk
+            const colorType = image[25];
+            const hasAlpha = colorType === 4 || colorType === 6 || image.indexOf('tRNS') !== -1;
+            return { format: 'png', hasAlpha, isAnimated: image.indexOf('acTL') !== -1 };
+        }
+        if (image.toString('ascii', 0, 3) === 'GIF') {
+            return { format: 'gif', hasAlpha: true, isAnimated: image.indexOf('NETSCAPE2.0') !== -1 };
+        }
+        if (image.toString('ascii', 0, 4) === 'RIFF' && image.toString('ascii', 8, 12) === 'WEBP') {
+            const chunk = image.toString('ascii', 12, 16);
+            if (chunk === 'VP8X') {
+                return { format: 'webp', hasAlpha: (image[20] & 0x10) !== 0, isAnimated: (image[20] & 0x02) !== 0 };
+            }
+            return { format: 'webp', hasAlpha: chunk === 'VP8L', isAnimated: false };
+        }
+        if (image.toString('ascii', 4, 8) === 'ftyp') {
+            const brand = image.toString('ascii', 8, 12);
+            return { format: (brand === 'avif' || brand === 'avis') ? 'avif' : 'heif', isAnimated: brand === 'avis' };
+        }
+        if (['49492a00', '4d4d002a'].includes(image.toString('hex', 0, 4))) {
+            return { format: 'tiff' };
+        }
+        return {};
+    }
+
+    /**
+     * Returns the enabled candidate format with the highest quality value in
+     * the Accept header, AVIF being preferred over WebP on equal values. Only
+     * formats listed explicitly are chosen, as browsers send wildcards for
+     * formats they cannot display. Animated sources keep their format, as the
+     * edits only apply to their first frame. If no candidate is accepted and
+     * the client does not list the format of the source, a JPEG, or a PNG for
+     * transparent sources, is returned. Returns null to keep the source format.
+     * @param {String} accept - The value of the Accept header.
+     * @param {Buffer} image - The original image.
+     */
+    negotiate(accept, image) {
+        if (this.formats.length === 0) {
+            return null;
+        }
+        const source = FormatNegotiation.describe(image);
+        if (source.isAnimated) {
+            return null;
+        }
+        const qualities = FormatNegotiation.parseAccept(accept);
+        const quality = (format) => qualities[`image/${format}`] || 0;
+        const accepted = this.formats.filter(format => quality(format) > 0)
+            .sort((a, b) => quality(b) - quality(a));
+        if (accepted.length > 0) {
+            return accepted[0];
+        }
+        if (source.format !== undefined && !universalFormats.includes(source.format) && quality(source.format) === 0) {
+            return source.hasAlpha ? 'png' : 'jpeg';
+        }
+        return null;
+    }
+}
+
+// Exports
+module.exports = FormatNegotiation;
@@ -0,0 +1,99 @@
+/*********************************************************************************************************************
+ *  Copyright 2019 Amazon.com, Inc. or its affiliates. All Rights Reserved.                                           *
+ *                                                                                                                    *
+ *  Licensed under the Apache License, Version 2.0 (the "License"). You may not use this file except in compliance    *
+ *  with the License. A copy of the License is located at                                                             *
+ *                                                                                                                    *
+ *      http://www.apache.org/licenses/LICENSE-2.0                                                                    *
+ *                                                                                                                    *
+ *  or in the 'license' file accompanying this file. This file is distributed on an 'AS IS' BASIS, WITHOUT WARRANTIES *
+ *  OR CONDITIONS OF ANY KIND, express or implied. See the License for the specific language governing permissions    *
+ *  and limitations under the License.                                                                                *
+ *********************************************************************************************************************/
+
+
+const http = require('http');
+const https = require('https');
+const Limits = require('./limits');
+const RequestDeadline = require('./request-deadline');
+
+class HttpSource {
+
+    /**
+     * Image source reading images from an HTTP origin.
+     * @param {Object} options - The "baseUrl" the keys are appended to, the
+     * "timeout" of a whole request in milliseconds (10 seconds by default),
+     * and the "maxBytes" of an image (MAX_INPUT_BYTES by default).
+     */
+    constructor(options) {
+        this.baseUrl = options.baseUrl.endsWith('/') ? options.baseUrl : `${options.baseUrl}/`;
+        this.timeout = (options.timeout !== undefined) ? options.timeout : 10000;
+        this.maxBytes = (options.maxBytes !== undefined) ? options.maxBytes : Limits.fromEnvironment().maxInputBytes;
+    }
+
+    /**
+     * Gets an image from the HTTP origin. Images larger than the maximum size
+     * are rejected while they are streamed, without being read in full.
+     * @param {String} bucket - The name of the bucket the origin stands in for.
+     * @param {String} key - The path of the image, relative to the base URL.
+     * @return {Promise} - The image, in the shape of an Amazon S3 object, or an error.
+     */
+    getObject(bucket, key) {
+        const url = this.baseUrl + key.split('/').map(encodeURIComponent).join('/');
+        const client = url.startsWith('https:') ? https : http;
+        return new Promise((resolve, reject) => {
+            const tooLarge = {
+                code: 'ImageLimits::InputTooLarge',
+                message: `The image at the origin exceeds the limit of ${this.maxBytes} bytes.`,
+                statusCode: 413
+            };
+            const request = client.get(url, { timeout: this.timeout }, (response) => {
+                if (response.statusCode !== 200) {
+                    response.resume();
+                    reject({
+                        code: (response.statusCode === 404) ? 'NoSuchKey' : 'OriginError',
+                        message: `The origin responded with HTTP status ${response.statusCode}.`,
+                        statusCode: response.statusCode
+                    });
+                    return;
+                }
+                if (Number(response.headers['content-length']) > this.maxBytes) {
+                    request.destroy();
+                    reject(tooLarge);
+                    return;
+                }
+                const chunks = [];
+                let length = 0;
+                response.on('data', (chunk) => {
+                    length += chunk.length;
+                    if (length > this.maxBytes) {
+                        request.destroy();
+                        reject(tooLarge);
+                    } else {
+                        chunks.push(chunk);
+                    }
+                });
+                response.on('error', err => reject({ code: 'OriginError', message: err.message }));
+                response.on('end', () => {
+                    const headers = response.headers;
+                    resolve({
+                        Body: Buffer.concat(chunks),
+                        ContentType: headers['content-type'],
+                        CacheControl: headers['cache-control'],
+                        Expires: headers['expires'],
+                        LastModified: headers['last-modified'],
+                        ETag: headers['etag']
+                    });
+                });
+            });
+            RequestDeadline.apply(request, this.timeout, () => reject({
+                code: 'OriginError',
+                message: `The origin did not respond within ${this.timeout} ms.`
+            }));
+            request.on('error', err => reject({ code: 'OriginError', message: err.message }));
+        });
+    }
+}
+
+// Exports
+module.exports = HttpSource;
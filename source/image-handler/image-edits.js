@@ -0,0 +1,258 @@
+/*********************************************************************************************************************
+ *  Copyright 2019 Amazon.com, Inc. or its affiliates. All Rights Reserved.                                           *
+ *                                                                                                                    *
+ *  Licensed under the Apache License, Version 2.0 (the "License"). You may not use this file except in compliance    *
+ *  with the License. A copy of the License is located at                                                             *
+ *                                                                                                                    *
+ *      http://www.apache.org/licenses/LICENSE-2.0                                                                    *
+ *                                                                                                                    *
+ *  or in the 'license' file accompanying this file. This file is distributed on an 'AS IS' BASIS, WITHOUT WARRANTIES *
+ *  OR CONDITIONS OF ANY KIND, express or implied. See the License for the specific language governing permissions    *
+ *  and limitations under the License.                                                                                *
+ *********************************************************************************************************************/
+
+const Ajv = require('ajv');
+
+// Shared argument shapes, the "true" and "false" strings being converted to booleans on validation
+const booleanLike = { enum: [ true, false, 'true', 'false' ], toBoolean: true };
+const dimension = { type: [ 'number', 'null' ], minimum: 0 };
+const color = {
+    anyOf: [
+        { type: 'string' },
+        {
+            type: 'object',
+            properties: {
+                r: { type: 'number' },
+                g: { type: 'number' },
+                b: { type: 'number' },
+                alpha: { type: 'number' }
+            },
+            additionalProperties: false
+        }
+    ]
+};
+const outputOptions = { type: 'object' };
+
+/**
+ * Registry of the operations that can be requested through the "edits" object
+ * of an image request, mapped to the JSON Schema of the argument each one
+ * accepts. Operations not handled explicitly by ImageHandler.applyEdits are
+ * invoked as the Sharp method of the same name, so new operations only need
+ * to be added here.
+ */
+const operations = {
+    // Sharp resizing operations
+    resize: {
+        type: 'object',
+        properties: {
+            width: dimension,
+            height: dimension,
+            fit: { enum: [ 'cover', 'contain', 'fill', 'inside', 'outside' ] },
+            position: { type: [ 'string', 'integer' ] },
+            background: color,
+            kernel: { enum: [ 'nearest', 'cubic', 'mitchell', 'lanczos2', 'lanczos3' ] },
+            withoutEnlargement: booleanLike,
+            fastShrinkOnLoad: booleanLike
+        },
+        additionalProperties: false
+    },
+    extend: {
+        anyOf: [
+            { type: 'integer', minimum: 0 },
+            {
+                type: 'object',
+                properties: {
+                    top: { type: 'integer', minimum: 0 },
+                    bottom: { type: 'integer', minimum: 0 },
+                    left: { type: 'integer', minimum: 0 },
+                    right: { type: 'integer', minimum: 0 },
+                    background: color
+                },
+                additionalProperties: false
+            }
+        ]
+    },
+    extract: {
+        type: 'object',
+        properties: {
+            left: { type: 'integer', minimum: 0 },
+            top: { type: 'integer', minimum: 0 },
+            width: { type: 'integer', minimum: 1 },
+            height: { type: 'integer', minimum: 1 }
+        },
+        required: [ 'left', 'top', 'width', 'height' ],
+        additionalProperties: false
+    },
+    trim: { type: 'number', minimum: 0 },
+    // Sharp image operations
+    rotate: { type: [ 'number', 'null' ] },
+    flip: booleanLike,
+    flop: booleanLike,
+    sharpen: { anyOf: [ { type: 'number', minimum: 0.01, maximum: 10000 }, booleanLike ] },
+    median: { type: 'integer', minimum: 1 },
+    blur: { anyOf: [ { type: 'number', minimum: 0.3, maximum: 1000 }, booleanLike ] },
+    flatten: {
+        anyOf: [
+            booleanLike,
+            {
+                type: 'object',
+                properties: { background: color },
+                additionalProperties: false
+            }
+        ]
+    },
+    gamma: { type: 'number', minimum: 1, maximum: 3 },
+    negate: booleanLike,
+    normalise: booleanLike,
+    normalize: booleanLike,
+    convolve: {
+        type: 'object',
+        properties: {
+            width: { type: 'integer', minimum: 1 },
+            height: { type: 'integer', minimum: 1 },
+            kernel: { type: 'array', items: { type: 'number' } },
+            scale: { type: 'number' },
+            offset: { type: 'number' }
+        },
+        required: [ 'width', 'height', 'kernel' ],
+        additionalProperties: false
+    },
+    threshold: { type: 'integer', minimum: 0, maximum: 255 },
+    modulate: {
+        type: 'object',
+        properties: {
+            brightness: { type: 'number', minimum: 0 },
+            saturation: { type: 'number', minimum: 0 },
+            hue: { type: 'number' }
+        },
+        additionalProperties: false
+    },
+    // Sharp colour manipulation operations
+    tint: color,
+    greyscale: booleanLike,
+    grayscale: booleanLike,
+    toColourspace: { type: 'string' },
+    toColorspace: { type: 'string' },
+    removeAlpha: booleanLike,
+    ensureAlpha: booleanLike,
+    // Sharp output options
+    toFormat: { enum: [ 'avif', 'heic', 'heif', 'jpeg', 'png', 'raw', 'tiff', 'webp' ] },
+    jpeg: outputOptions,
+    png: outputOptions,
+    webp: outputOptions,
+    tiff: outputOptions,
+    heif: outputOptions,
+    avif: outputOptions,
+    // Image handler operations
+    overlayWith: {
+        type: 'object',
+        properties: {
+            bucket: { type: 'string' },
+            key: { type: 'string' },
+            alpha: { type: [ 'string', 'number' ] },
+            wRatio: { type: [ 'string', 'number' ] },
+            hRatio: { type: [ 'string', 'number' ] },
+            options: { type: 'object' }
+        },
+        required: [ 'bucket', 'key' ],
+        additionalProperties: false
+    },
+    smartCrop: {
+        anyOf: [
+            booleanLike,
+            {
+                type: 'object',
+                properties: {
+                    faceIndex: { type: 'integer', minimum: 0 },
+                    padding: { type: [ 'number', 'string' ] }
+                },
+                additionalProperties: false
+            }
+        ]
+    },
+    TEPWatermark: {
+        type: 'object',
+        properties: {
+            bucket: { type: 'string' },
+            key: { type: 'string' },
+            options: {
+                type: 'object',
+                properties: {
+                    name: { type: 'string' },
+                    style: { type: 'string' },
+                    gravity: { type: 'string' },
+                    top: { type: 'integer' },
+                    left: { type: 'integer' },
+                    blend: { type: 'string' }
+                },
+                additionalProperties: false
+            }
+        },
+        required: [ 'options' ],
+        additionalProperties: false
+    }
+};
+
+let validateEdits;
+
+class ImageEdits {
+
+    /**
+     * Returns the JSON Schema describing every supported edit and the shape
+     * of its argument.
+     */
+    static getSchema() {
+        return {
+            type: 'object',
+            properties: operations,
+            additionalProperties: false
+        };
+    }
+
+    /**
+     * Validates the edits of an image request against the operation registry,
+     * converting the "true" and "false" strings of boolean arguments to
+     * booleans in place, as Sharp treats any other value than false as true.
+     * Throws an error naming the first unsupported operation or invalid
+     * argument that is found.
+     * @param {Object} edits - The edits to be made to the original image.
+     */
+    validate(edits) {
+        if (validateEdits === undefined) {
+            const ajv = new Ajv({ allErrors: true, jsonPointers: true });
+            ajv.addKeyword('toBoolean', {
+                modifying: true,
+                schema: false,
+                validate: (data, dataPath, parentData, property) => {
+                    if (parentData !== undefined && (data === 'true' || data === 'false')) {
+                        parentData[property] = (data === 'true');
+                    }
+                    return true;
+                }
+            });
+            validateEdits = ajv.compile(ImageEdits.getSchema());
+        }
+        if (validateEdits(edits)) {
+            return;
+        }
+
+        const unsupported = validateEdits.errors.find(error => error.keyword === 'additionalProperties' && error.dataPath === '');
+        if (unsupported) {
+            throw ({
+                status: 400,
+                code: 'ImageEdits::UnsupportedOperation',
+                message: `The edit "${unsupported.params.additionalProperty}" is not a supported operation. Please check the syntax of your request and refer to the documentation for the list of supported edits.`
+            });
+        }
+
+        const invalid = validateEdits.errors[0];
+        throw ({
+            status: 400,
+            code: 'ImageEdits::InvalidParameter',
+            message: `The value of the edit "${invalid.dataPath.split('/')[1]}" is not valid: ${invalid.dataPath} ${invalid.message}. Please check the syntax of your request and refer to the documentation for additional guidance.`
+        });
+    }
+}
+
+// Exports
+module.exports = ImageEdits;
@@ -13,9 +13,28 @@
 
 const AWS = require('aws-sdk');
 const sharp = require('sharp');
+const ImageEdits = require('./image-edits');
+const Limits = require('./limits');
+const Logger = require('./logger');
+const MemoryCache = require('./memory-cache');
+const SourceBuckets = require('./source-buckets');
+const SourceProviders = require('./source-providers');
 
 class ImageHandler {
 
+    /**
+     * @param {S3} s3 - The Amazon S3 client used to read overlays, a new client by default.
+     * @param {Rekognition} rekognition - The Amazon Rekognition client, a new client by default.
+     */
+    constructor(s3, rekognition) {
+        if (s3 !== undefined) {
+            this.s3 = s3;
+        }
+        if (rekognition !== undefined) {
+            this.rekognition = rekognition;
+        }
+    }
+
     /**
      * Main method for processing image requests and outputting modified images.
      * @param {ImageRequest} request - An ImageRequest object.
@@ -23,8 +42,12 @@ class ImageHandler {
     async process(request) {
         const originalImage = request.originalImage;
         const edits = request.edits;
-        if (edits !== undefined) {
-            const modifiedImage = await this.applyEdits(originalImage, edits);
+        const limits = Limits.fromEnvironment(request.limits);
+        if (edits !== undefined || request.outputFormat !== undefined) {
+            // Images without edits are still converted to the negotiated output format
+            const modifiedImage = (edits !== undefined)
+                ? await this.applyEdits(originalImage, edits, limits)
+                : sharp(originalImage, { limitInputPixels: limits.maxInputPixels });
             if (request.outputFormat !== undefined) {
                 modifiedImage.toFormat(request.outputFormat);
             }
@@ -35,20 +58,151 @@ class ImageHandler {
         }
     }
 
+    /**
+     * Returns the JSON description of a Thumbor "meta" request: the source
+     * image, the resolved edits and the dimensions of the output image. The
+     * output image is not encoded.
+     * @param {ImageRequest} request - An ImageRequest object.
+     */
+    async getMeta(request) {
+        const metadata = await sharp(request.originalImage).metadata();
+        const edits = (request.edits !== undefined) ? request.edits : {};
+        const target = this.getTargetDimensions(metadata, edits);
+        return {
+            source: {
+                bucket: request.bucket,
+                key: request.key,
+                width: metadata.width,
+                height: metadata.height,
+                format: metadata.format
+            },
+            edits,
+            target: {
+                width: target.width,
+                height: target.height,
+                format: (request.outputFormat !== undefined) ? request.outputFormat : metadata.format
+            }
+        };
+    }
+
+    /**
+     * Returns the JSON description of the pipeline of a debug request: its
+     * request type, source, rewrite rule, preset, the edits in the order they
+     * are applied, the output format and quality, and the time spent in each
+     * stage. The output image is not encoded.
+     * @param {ImageRequest} request - An ImageRequest object.
+     */
+    async getDebug(request) {
+        const started = Date.now();
+        const metadata = await sharp(request.originalImage).metadata();
+        let edits = {};
+        if (request.edits !== undefined) {
+            // Edits without a resize are resized to fit inside the original image
+            edits = Object.assign({}, request.edits);
+            if (edits.resize === undefined) {
+                edits.resize = { fit: 'inside' };
+            }
+        }
+        const target = this.getTargetDimensions(metadata, edits);
+        const format = (request.outputFormat !== undefined) ? request.outputFormat : metadata.format;
+        const formatOptions = edits[format];
+        return {
+            requestType: request.requestType,
+            source: {
+                bucket: (request.bucket !== undefined) ? request.bucket : null,
+                key: (request.key !== undefined) ? request.key : null,
+                url: (request.url !== undefined) ? request.url : null,
+                width: metadata.width,
+                height: metadata.height,
+                format: metadata.format
+            },
+            rewriteRule: (request.rewriteRule !== undefined) ? request.rewriteRule : null,
+            preset: (request.preset !== undefined) ? request.preset : null,
+            fallback: request.FallbackStatus !== undefined,
+            edits: Object.keys(edits).map(name => ({ name, options: edits[name] })),
+            output: {
+                format,
+                quality: (formatOptions && formatOptions.quality !== undefined) ? formatOptions.quality : null,
+                width: target.width,
+                height: target.height
+            },
+            timings: Object.assign({}, request.timings, { metadata: Date.now() - started })
+        };
+    }
+
+    /**
+     * Computes the dimensions of the output image from the dimensions of the
+     * source image and the crop, rotate, resize and extend edits. Trimming
+     * and smart cropping depend on the image content and are not accounted for.
+     * @param {Object} metadata - The Sharp metadata of the source image.
+     * @param {Object} edits - The edits to be made to the source image.
+     */
+    getTargetDimensions(metadata, edits) {
+        let width = metadata.width;
+        let height = metadata.height;
+
+        if (edits.extract) {
+            width = edits.extract.width;
+            height = edits.extract.height;
+        }
+        if (typeof edits.rotate === 'number' && Math.abs(edits.rotate) % 180 === 90) {
+            [ width, height ] = [ height, width ];
+        }
+
+        const resize = edits.resize;
+        if (resize && (resize.width || resize.height)) {
+            let targetWidth = resize.width;
+            let targetHeight = resize.height;
+            if (!targetWidth) {
+                targetWidth = Math.round(width * targetHeight / height);
+            } else if (!targetHeight) {
+                targetHeight = Math.round(height * targetWidth / width);
+            } else if (resize.fit === 'inside' || resize.fit === 'outside') {
+                const scale = (resize.fit === 'inside')
+                    ? Math.min(targetWidth / width, targetHeight / height)
+                    : Math.max(targetWidth / width, targetHeight / height);
+                targetWidth = Math.round(width * scale);
+                targetHeight = Math.round(height * scale);
+            }
+            const withoutEnlargement = (resize.withoutEnlargement === true || resize.withoutEnlargement === 'true');
+            if (!withoutEnlargement || (targetWidth <= width && targetHeight <= height)) {
+                width = targetWidth;
+                height = targetHeight;
+            }
+        }
+
+        if (edits.extend !== undefined) {
+            const extend = (typeof edits.extend === 'number')
+                ? { top: edits.extend, bottom: edits.extend, left: edits.extend, right: edits.extend }
+                : edits.extend;
+            width += (extend.left || 0) + (extend.right || 0);
+            height += (extend.top || 0) + (extend.bottom || 0);
+        }
+
+        return { width, height };
+    }
+
     /**
      * Applies image modifications to the original image based on edits
-     * specified in the ImageRequest.
+     * specified in the ImageRequest. Edits are validated against the operation
+     * registry in image-edits.js before any of them is applied.
      * @param {Buffer} originalImage - The original image.
      * @param {Object} edits - The edits to be made to the original image.
+     * @param {Limits} limits - The safety limits of the request, those of the configuration by default.
      */
-    async applyEdits(originalImage, edits) {
+    async applyEdits(originalImage, edits, limits = Limits.fromEnvironment()) {
+        new ImageEdits().validate(edits);
         if (edits.resize === undefined) {
             edits.resize = {};
             edits.resize.fit = 'inside';
         }
 
-        const image = sharp(originalImage, { failOnError: false });
+        const image = sharp(originalImage, { failOnError: false, limitInputPixels: limits.maxInputPixels });
         const metadata = await image.metadata();
+        // Reject decompression bombs from their header and oversized outputs before decoding
+        limits.checkInputPixels(metadata);
+        const target = this.getTargetDimensions(metadata, edits);
+        limits.checkOutput({ width: target.width, height: target.height });
         const keys = Object.keys(edits);
         const values = Object.values(edits);
 
@@ -67,47 +221,49 @@ class ImageHandler {
                 const overlay = await this.getOverlayImage(bucket, key, wRatio, hRatio, alpha, imageMetadata);
                 const overlayMetadata = await sharp(overlay).metadata();
 
-                let { options } = value;
-                if (options) {
-                    if (options.left) {
-                        let left = options.left;
-                        if (left.endsWith('p')) {
-                            left = parseInt(left.replace('p', ''));
-                            if (left < 0) {
-                                left = imageMetadata.width + (imageMetadata.width * left / 100) - overlayMetadata.width;
-                            } else {
-                                left = imageMetadata.width * left / 100;
-                            }
+                // The offsets are computed into a copy, as the edits of a preset are shared by requests
+                const options = { ...value.options };
+                if (options.left) {
+                    let left = String(options.left);
+                    if (left.endsWith('p')) {
+                        left = parseInt(left.replace('p', ''));
+                        if (left < 0) {
+                            left = imageMetadata.width + (imageMetadata.width * left / 100) - overlayMetadata.width;
                         } else {
-                            left = parseInt(left);
-                            if (left < 0) {
-                                left = imageMetadata.width + left - overlayMetadata.width;
-                            }
+                            left = imageMetadata.width * left / 100;
+                        }
+                    } else {
+                        left = parseInt(left);
+                        if (left < 0) {
+                            left = imageMetadata.width + left - overlayMetadata.width;
                         }
-                        options.left = parseInt(left);
                     }
-                    if (options.top) {
-                        let top = options.top;
-                        if (top.endsWith('p')) {
-                            top = parseInt(top.replace('p', ''));
-                            if (top < 0) {
-                                top = imageMetadata.height + (imageMetadata.height * top / 100) - overlayMetadata.height;
-                            } else {
-                                top = imageMetadata.height * top / 100;
-                            }
+                    options.left = parseInt(left);
+                }
+                if (options.top) {
+                    let top = String(options.top);
+                    if (top.endsWith('p')) {
+                        top = parseInt(top.replace('p', ''));
+                        if (top < 0) {
+                            top = imageMetadata.height + (imageMetadata.height * top / 100) - overlayMetadata.height;
                         } else {
-                            top = parseInt(top);
-                            if (top < 0) {
-                                top = imageMetadata.height + top - overlayMetadata.height;
-                            }
+                            top = imageMetadata.height * top / 100;
+                        }
+                    } else {
+                        top = parseInt(top);
+                        if (top < 0) {
+                            top = imageMetadata.height + top - overlayMetadata.height;
                         }
-                        options.top = parseInt(top);
                     }
+                    options.top = parseInt(top);
                 }
 
                 const params = [{ ...options, input: overlay }];
                 image.composite(params);
             } else if (key === 'smartCrop') {
+                if (value === false) {
+                    continue;
+                }
                 const options = value;
                 const imageBuffer = await image.toBuffer();
                 const boundingBox = await this.getBoundingBox(imageBuffer, options.faceIndex);
@@ -154,17 +310,26 @@ class ImageHandler {
     }
 
     /**
-     * Gets an image to be used as an overlay to the primary image from an
-     * Amazon S3 bucket.
+     * Gets an image to be used as an overlay to the primary image from the
+     * source provider of its bucket and key, Amazon S3 by default, if they are
+     * allowed by SOURCE_BUCKETS like those of the original image. Overlays
+     * are kept in the in-memory cache of warm invocations once resized, per
+     * ETag and target dimensions.
      * @param {string} bucket - The name of the bucket containing the overlay.
      * @param {string} key - The keyname corresponding to the overlay.
      */
     async getOverlayImage(bucket, key, wRatio, hRatio, alpha, sourceImageMetadata) {
-        const s3 = new AWS.S3();
-        const params = { Bucket: bucket, Key: key };
+        if (!SourceBuckets.fromEnvironment().isKeyAllowed(bucket, key)) {
+            return Promise.reject({
+                status: 403,
+                code: 'ImageKey::CannotAccessKey',
+                message: 'The overlay image you specified could not be accessed. Please check that its bucket and key are allowed in your SOURCE_BUCKETS.'
+            });
+        }
         try {
             const { width, height } = sourceImageMetadata;
-            const overlayImage = await s3.getObject(params).promise();
+            const cache = MemoryCache.fromEnvironment();
+            const overlayImage = await cache.getObject(SourceProviders.fromEnvironment(this.s3), bucket, key);
             let resize = {
                 fit: 'inside'
             }
@@ -185,6 +350,12 @@ class ImageHandler {
                 alpha = 0;
             }
 
+            const cacheKey = overlayImage.ETag ? `overlay:${bucket}/${key}:${overlayImage.ETag}:${JSON.stringify(resize)}:${alpha}` : undefined;
+            const cachedImage = (cacheKey !== undefined) ? cache.get(cacheKey) : undefined;
+            if (cachedImage !== undefined) {
+                return Promise.resolve(cachedImage);
+            }
+
             const convertedImage = await sharp(overlayImage.Body)
                 .resize(resize)
                 .composite([{
@@ -197,6 +368,9 @@ class ImageHandler {
                     tile: true,
                     blend: 'dest-in'
                 }]).toBuffer();
+            if (cacheKey !== undefined) {
+                cache.set(cacheKey, convertedImage, convertedImage.length);
+            }
             return Promise.resolve(convertedImage);
         } catch (err) {
             return Promise.reject({
@@ -235,14 +409,14 @@ class ImageHandler {
      * confidence decreases for detected faces within the image.
      */
     async getBoundingBox(imageBuffer, faceIndex) {
-        const rekognition = new AWS.Rekognition();
+        const rekognition = (this.rekognition !== undefined) ? this.rekognition : new AWS.Rekognition();
         const params = { Image: { Bytes: imageBuffer }};
         const faceIdx = (faceIndex !== undefined) ? faceIndex : 0;
         try {
             const response = await rekognition.detectFaces(params).promise();
             return Promise.resolve(response.FaceDetails[faceIdx].BoundingBox);
         } catch (err) {
-            console.log(err);
+            Logger.fromEnvironment().warn('Faces could not be detected', { faceIndex: faceIdx, errorCode: err.code, error: err });
             if (err.message === "Cannot read property 'BoundingBox' of undefined") {
                 return Promise.reject({
                     status: 400,
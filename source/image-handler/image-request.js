@@ -11,10 +11,38 @@
  *  and limitations under the License.                                                                                *
  *********************************************************************************************************************/
 
+const crypto = require('crypto');
+const ClientHints = require('./client-hints');
+const DerivativeCache = require('./derivative-cache');
+const FallbackImages = require('./fallback-images');
+const FormatNegotiation = require('./format-negotiation');
+const ImageEdits = require('./image-edits');
+const Limits = require('./limits');
+const Logger = require('./logger');
+const MemoryCache = require('./memory-cache');
+const PathRoutes = require('./path-routes');
+const Presets = require('./presets');
+const PixelRatio = require('./pixel-ratio');
+const RemoteOrigin = require('./remote-origin');
+const QueryMapping = require('./query-mapping');
+const RequestSchema = require('./request-schema');
+const RewriteRules = require('./rewrite-rules');
+const SourceBuckets = require('./source-buckets');
+const SourceProviders = require('./source-providers');
 const ThumborMapping = require('./thumbor-mapping');
+const ThumborTokenizer = require('./thumbor-tokenizer');
 
 class ImageRequest {
 
+    /**
+     * @param {S3} s3 - The Amazon S3 client used to read images, a new client by default.
+     */
+    constructor(s3) {
+        if (s3 !== undefined) {
+            this.s3 = s3;
+        }
+    }
+
     /**
      * Initializer function for creating a new image request, used by the image
      * handler to perform image modifications.
@@ -22,28 +50,114 @@ class ImageRequest {
      */
     async setup(event) {
         try {
+            // Time spent in each stage, returned by debug requests
+            const timings = {};
+            let started = Date.now();
+            const lap = (stage) => {
+                timings[stage] = Date.now() - started;
+                started = Date.now();
+            };
+
             this.requestType = this.parseRequestType(event);
-            this.bucket = this.parseImageBucket(event, this.requestType);
-            this.key = this.parseImageKey(event, this.requestType);
+            if (this.requestType === 'Default') {
+                this.verifySignature(event);
+                new RequestSchema().validate(this.decodeRequest(event));
+            } else if (this.requestType === 'Thumbor' || this.requestType === 'Custom') {
+                event = this.verifySecurityKey(event);
+            } else if (this.requestType === 'Query') {
+                this.verifyQuerySignature(event);
+            }
+            const url = this.parseImageUrl(event, this.requestType);
+            if (url !== undefined) {
+                this.url = url;
+            } else {
+                this.bucket = this.parseImageBucket(event, this.requestType);
+                this.key = this.parseImageKey(event, this.requestType);
+                this.verifySourceKey(this.bucket, this.key);
+            }
             this.edits = this.parseImageEdits(event, this.requestType);
-            this.originalImage = await this.getOriginalImage(this.bucket, this.key);
+
+            // Expand the preset, if any, with the edits of the request merged on top
+            const presetName = this.parsePresetName(event, this.requestType);
+            let preset;
+            if (presetName !== undefined) {
+                const presets = await Presets.fromEnvironment();
+                preset = presets.get(presetName);
+                this.preset = presetName;
+                this.edits = presets.expand(presetName, this.edits);
+            }
+            if (this.edits !== undefined) {
+                new ImageEdits().validate(this.edits);
+            }
+
+            // Resolve the safety limits, which the preset or a signed request may override
+            const limitOverrides = this.parseLimits(event, this.requestType, preset);
+            if (limitOverrides !== undefined) {
+                this.limits = limitOverrides;
+            }
+            const limits = Limits.fromEnvironment(this.limits);
+
+            // Scale the pixel values of the edits for the device pixel ratio, if any
+            const dpr = this.parseDpr(event, this.requestType);
+            if (dpr !== undefined) {
+                this.dpr = dpr;
+                const scaled = PixelRatio.fromEnvironment(limits).scale(this.edits, dpr);
+                this.edits = scaled.edits;
+                if (scaled.dpr !== undefined) {
+                    this.ContentDPR = scaled.dpr;
+                }
+            }
+            limits.checkEdits(this.edits);
+            if (this.parseMeta(event, this.requestType)) {
+                this.meta = true;
+            }
+            if (this.parseDebug(event, this.requestType)) {
+                this.debug = true;
+                if (this.requestType === 'Custom') {
+                    this.rewriteRule = RewriteRules.fromEnvironment().match(event["path"]).name;
+                }
+            }
+            lap('parse');
+            const logger = Logger.fromEnvironment();
+            logger.addContext({ requestType: this.requestType, bucket: this.bucket, key: this.key, url: this.url });
+            logger.debug('Request parsed', { preset: this.preset, edits: this.edits, dpr: this.dpr, meta: this.meta, debug: this.debug });
+
+            // Serve the stored derivative of the request, if any, instead of processing the original image
+            if (this.url === undefined && !this.meta && !this.debug && DerivativeCache.isEnabled()) {
+                if (await this.getDerivative(event, preset)) {
+                    return Promise.resolve(this);
+                }
+            }
+            const derivativeSourceETag = this.SourceETag;
+
+            this.originalImage = (this.url !== undefined)
+                ? await this.getRemoteImage(this.url)
+                : await this.getOriginalImage(this.bucket, this.key, limits.maxInputBytes).catch(err => this.getFallbackImage(err));
+            limits.checkInputBytes(this.originalImage);
+            lap('fetch');
+
+            // The source image changed since the derivative key was derived, the output is not stored under it
+            if (this.DerivativeKey !== undefined && this.SourceETag !== derivativeSourceETag) {
+                delete this.DerivativeKey;
+            }
 
             /* Decide the output format of the image.
              * 1) If the format is provided, the output format is the provided format.
-             * 2) If headers contain "Accept: image/webp", the output format is webp.
-             * 3) Use the default image format for the rest of cases.
+             * 2) If the preset provides a format, the output format is the preset format.
+             * 3) If automatic formats are enabled, the output format is negotiated with the Accept header.
+             * 4) Use the default image format for the rest of cases.
              */
-            let outputFormat = this.getOutputFormat(event);
+            const outputFormat = this.getOutputFormat(event, preset);
             if (this.edits && this.edits.toFormat) {
                 this.outputFormat = this.edits.toFormat;
             } else if (outputFormat) {
                 this.outputFormat = outputFormat;
             }
 
-            // Fix quality for Thumbor and Custom request type if outputFormat is different from quality type.
+            // Fix quality for Thumbor, Custom and Query request type if outputFormat is different from quality type.
             if (this.outputFormat) {
-                const requestType = ['Custom', 'Thumbor'];
-                const acceptedValues = ['jpeg', 'png', 'webp', 'tiff', 'heif'];
+                const requestType = ['Custom', 'Thumbor', 'Query'];
+                const acceptedValues = ['jpeg', 'png', 'webp', 'tiff', 'heif', 'avif'];
 
                 this.ContentType = `image/${this.outputFormat}`;
                 if (requestType.includes(this.requestType) && acceptedValues.includes(this.outputFormat)) {
@@ -56,6 +170,18 @@ class ImageRequest {
                 }
             }
 
+            if (ClientHints.isEnabled()) {
+                this.applyClientHints(event, limits);
+                limits.checkEdits(this.edits);
+            }
+            if (this.SourceETag !== undefined) {
+                this.ETag = this.getETag();
+            }
+            lap('format');
+            if (this.debug) {
+                this.timings = timings;
+            }
+
             return Promise.resolve(this);
         } catch (err) {
             return Promise.reject(err);
@@ -63,86 +189,216 @@ class ImageRequest {
     }
 
     /**
-     * Gets the original image from an Amazon S3 bucket.
+     * Gets the original image from the source provider of its bucket and key,
+     * Amazon S3 by default, through the in-memory cache of warm invocations.
+     * Images larger than the maximum size are rejected before they are read.
      * @param {String} bucket - The name of the bucket containing the image.
      * @param {String} key - The key name corresponding to the image.
+     * @param {Number} maxBytes - The maximum size of the image, MAX_INPUT_BYTES by default.
      * @return {Promise} - The original image or an error.
      */
-    async getOriginalImage(bucket, key) {
-        const S3 = require('aws-sdk/clients/s3');
-        const s3 = new S3();
-        const imageLocation = { Bucket: bucket, Key: key };
+    async getOriginalImage(bucket, key, maxBytes) {
         try {
-            const originalImage = await s3.getObject(imageLocation).promise();
+            const originalImage = await MemoryCache.fromEnvironment().getObject(SourceProviders.fromEnvironment(this.s3, maxBytes), bucket, key);
+            return Promise.resolve(this.readImageObject(originalImage));
+        } catch(err) {
+            const statuses = { 'NoSuchKey': 404, 'ImageLimits::InputTooLarge': 413 };
+            return Promise.reject({
+                status: statuses[err.code] || 500,
+                code: err.code,
+                message: err.message
+            });
+        }
+    }
 
-            if (originalImage.ContentType) {
-                this.ContentType = originalImage.ContentType;
-            } else {
-                this.ContentType = "image";
-            }
+    /**
+     * Gets the fallback image of a request whose original image is missing,
+     * to be processed with the edits of the request. Sets the status code and
+     * the Cache-Control header of the fallback response, which does not keep
+     * the caching headers of the fallback image, as it is served under the URL
+     * of the original image. Other errors, and missing images without a
+     * fallback or of meta requests, are rejected as is.
+     * @param {Object} err - The error of the original image.
+     * @return {Promise} - The fallback image or an error.
+     */
+    async getFallbackImage(err) {
+        if (err.status !== 404 || this.meta) {
+            return Promise.reject(err);
+        }
+        const fallbackImages = FallbackImages.fromEnvironment();
+        const fallback = fallbackImages.find(this.bucket, this.key, this.preset);
+        if (fallback === undefined) {
+            return Promise.reject(err);
+        }
+        const fallbackImage = await this.getOriginalImage(fallback.bucket, fallback.key);
+        this.FallbackStatus = fallbackImages.status;
+        this.CacheControl = fallbackImages.cacheControl;
+        delete this.Expires;
+        delete this.LastModified;
+        return Promise.resolve(fallbackImage);
+    }
 
-            if (originalImage.Expires) {
-                this.Expires = new Date(originalImage.Expires).toUTCString();
-            }
+    /**
+     * Gets the original image from a remote URL whose host is allowlisted in
+     * the ORIGIN_ALLOWED_HOSTS environment variable.
+     * @param {String} url - The URL of the image.
+     * @return {Promise} - The original image or an error.
+     */
+    async getRemoteImage(url) {
+        try {
+            const remoteImage = await RemoteOrigin.fromEnvironment().getObject(url);
+            return Promise.resolve(this.readImageObject(remoteImage));
+        } catch (err) {
+            return Promise.reject(err);
+        }
+    }
 
-            if (originalImage.LastModified) {
-                this.LastModified = new Date(originalImage.LastModified).toUTCString();
+    /**
+     * Looks up the stored derivative of the request, from the entity tag of
+     * its source image. Sets the key the output is stored under on a miss,
+     * and the processed image with its response fields on a hit. Failures
+     * are reported as a miss, the original image is then read as usual, and
+     * logged unless the source image is missing.
+     * @param {Object} event - The request body.
+     * @param {Object} preset - The expanded preset, if any.
+     * @return {Promise} - True if the derivative was found.
+     */
+    async getDerivative(event, preset) {
+        try {
+            const source = await SourceProviders.fromEnvironment(this.s3).headObject(this.bucket, this.key);
+            if (source === undefined || !source.ETag) {
+                return Promise.resolve(false);
             }
-
-            if (originalImage.CacheControl) {
-                this.CacheControl = originalImage.CacheControl;
-            } else {
-                this.CacheControl = "max-age=31536000,public";
+            this.SourceETag = source.ETag;
+            const cache = DerivativeCache.fromEnvironment(this.s3);
+            this.DerivativeKey = cache.getKey(this.bucket, this.key, source.ETag, this.getDerivativeHash(event, preset));
+            const derivative = await cache.get(this.DerivativeKey);
+            if (derivative === undefined) {
+                return Promise.resolve(false);
             }
+            Object.assign(this, derivative.response);
+            this.derivativeImage = derivative.body;
+            return Promise.resolve(true);
+        } catch (err) {
+            // A missing source image is reported when the original image is fetched
+            if (err.code !== 'NotFound' && err.code !== 'NoSuchKey' && err.statusCode !== 404) {
+                Logger.fromEnvironment().warn('Derivative lookup failed', { errorCode: err.code, error: err });
+            }
+            return Promise.resolve(false);
+        }
+    }
 
-            return Promise.resolve(originalImage.Body);
-        } catch(err) {
-            return Promise.reject({
-                status: ('NoSuchKey' === err.code) ? 404 : 500,
-                code: err.code,
-                message: err.message
-            });
+    /**
+     * Reads the response headers of an original image and returns its body.
+     * @param {Object} originalImage - The image, in the shape of an Amazon S3 object.
+     */
+    readImageObject(originalImage) {
+        if (originalImage.ContentType) {
+            this.ContentType = originalImage.ContentType;
+        } else {
+            this.ContentType = "image";
         }
+
+        if (originalImage.Expires) {
+            this.Expires = new Date(originalImage.Expires).toUTCString();
+        }
+
+        if (originalImage.LastModified) {
+            this.LastModified = new Date(originalImage.LastModified).toUTCString();
+        }
+
+        if (originalImage.CacheControl) {
+            this.CacheControl = originalImage.CacheControl;
+        } else {
+            this.CacheControl = "max-age=31536000,public";
+        }
+
+        if (originalImage.ETag) {
+            this.SourceETag = originalImage.ETag;
+        }
+
+        return originalImage.Body;
     }
 
     /**
      * Parses the name of the appropriate Amazon S3 bucket to source the
-     * original image from.
+     * original image from. Default requests may specify the bucket in the
+     * request, Custom requests through the rewrite rule applied to them, and
+     * Thumbor and Custom requests through the path route matching their key.
      * @param {String} event - Lambda request body.
      * @param {String} requestType - Image handler request type.
      */
     parseImageBucket(event, requestType) {
+        let requestedBucket;
         if (requestType === "Default") {
             // Decode the image request
             const decoded = this.decodeRequest(event);
-            if (decoded.bucket !== undefined) {
-                // Check the provided bucket against the whitelist
-                const sourceBuckets = this.getAllowedSourceBuckets();
-                if (sourceBuckets.includes(decoded.bucket) || decoded.bucket.match(new RegExp('^' + sourceBuckets[0] + '$'))) {
-                    return decoded.bucket;
-                } else {
-                    throw ({
-                        status: 403,
-                        code: 'ImageBucket::CannotAccessBucket',
-                        message: 'The bucket you specified could not be accessed. Please check that the bucket is specified in your SOURCE_BUCKETS.'
-                    });
-                }
-            } else {
-                // Try to use the default image source bucket env var
-                const sourceBuckets = this.getAllowedSourceBuckets();
-                return sourceBuckets[0];
-            }
+            requestedBucket = decoded.bucket;
         } else if (requestType === "Thumbor" || requestType === "Custom") {
-            // Use the default image source bucket env var
-            const sourceBuckets = this.getAllowedSourceBuckets();
-            return sourceBuckets[0];
-        } else {
+            // Use the source bucket of the rewrite rule or of the path route, if any
+            const route = this.getPathRoute(event, requestType);
+            requestedBucket = (route !== undefined) ? route.bucket : undefined;
+        } else if (requestType !== "Query") {
             throw ({
                 status: 404,
                 code: 'ImageBucket::CannotFindBucket',
                 message: 'The bucket you specified could not be found. Please check the spelling of the bucket name in your request.'
             });
         }
+
+        const sourceBuckets = new SourceBuckets(this.getAllowedSourceBuckets());
+        if (requestedBucket === undefined) {
+            // Use the default image source bucket env var
+            return sourceBuckets.getDefaultBucket();
+        }
+        // Check the provided bucket against the whitelist
+        if (sourceBuckets.isBucketAllowed(requestedBucket)) {
+            return requestedBucket;
+        } else {
+            throw ({
+                status: 403,
+                code: 'ImageBucket::CannotAccessBucket',
+                message: 'The bucket you specified could not be accessed. Please check that the bucket is specified in your SOURCE_BUCKETS.'
+            });
+        }
+    }
+
+    /**
+     * Verifies that the key of the original image is allowed for its bucket by
+     * the key pattern of the matching SOURCE_BUCKETS entries, if any.
+     * @param {String} bucket - The name of the bucket containing the image.
+     * @param {String} key - The key name corresponding to the image.
+     */
+    verifySourceKey(bucket, key) {
+        const sourceBuckets = new SourceBuckets(this.getAllowedSourceBuckets());
+        if (!sourceBuckets.isKeyAllowed(bucket, key)) {
+            throw ({
+                status: 403,
+                code: 'ImageKey::CannotAccessKey',
+                message: 'The image you specified could not be accessed. Please check that its key is allowed for the bucket in your SOURCE_BUCKETS.'
+            });
+        }
+    }
+
+    /**
+     * Parses the remote URL of the original image, if any. Default requests
+     * provide it as "url", and Thumbor and Custom requests as an "http://" or
+     * "https://" image key, like classic Thumbor.
+     * @param {Object} event - Lambda request body.
+     * @param {String} requestType - Image handler request type.
+     */
+    parseImageUrl(event, requestType) {
+        if (requestType === "Default") {
+            const decoded = this.decodeRequest(event);
+            return decoded.url;
+        } else if (requestType === "Thumbor" || requestType === "Custom") {
+            const path = this.getThumborPath(event, requestType);
+            const key = decodeURIComponent(new ThumborTokenizer().tokenize(path).key);
+            // Proxies may merge the double slash of the scheme
+            const matched = key.match(/^(https?):\/\/?(.+)$/i);
+            return matched ? `${matched[1].toLowerCase()}://${matched[2]}` : undefined;
+        }
+        return undefined;
     }
 
     /**
@@ -163,6 +419,10 @@ class ImageRequest {
             const parsedPath = thumborMapping.parseCustomPath(event.path);
             thumborMapping.process(parsedPath);
             return thumborMapping.edits;
+        } else if (requestType === "Query") {
+            const queryMapping = new QueryMapping();
+            queryMapping.process(event);
+            return queryMapping.edits;
         } else {
             throw ({
                 status: 400,
@@ -176,7 +436,7 @@ class ImageRequest {
      * Parses the name of the appropriate Amazon S3 key corresponding to the
      * original image.
      * @param {String} event - Lambda request body.
-     * @param {String} requestType - Type, either "Default", "Thumbor", or "Custom".
+     * @param {String} requestType - Type, either "Default", "Thumbor", "Custom", or "Query".
      */
     parseImageKey(event, requestType) {
         if (requestType === "Default") {
@@ -186,7 +446,17 @@ class ImageRequest {
         }
 
         if (requestType === "Thumbor" || requestType === "Custom") {
-            return decodeURIComponent(event["path"].replace(/\d+x\d+\/|filters[:-][^/;]+|\/fit-in\/+|^\/+/g,'').replace(/^\/+/,''));
+            // Use the key of the path route, if any
+            const route = this.getPathRoute(event, requestType);
+            if (route !== undefined && route.key !== undefined) {
+                return route.key;
+            }
+            const path = this.getThumborPath(event, requestType);
+            return decodeURIComponent(new ThumborTokenizer().tokenize(path).key);
+        }
+
+        if (requestType === "Query") {
+            return decodeURIComponent(event["path"].replace(/^\/+/,''));
         }
 
         // Return an error for all other conditions
@@ -197,11 +467,164 @@ class ImageRequest {
         });
     }
 
+    /**
+     * Parses the name of the preset to expand, if any. Default requests provide
+     * it as "preset", Thumbor and Custom requests as a "preset:<name>" path
+     * segment, and Query requests as the "preset" query string parameter.
+     * @param {Object} event - Lambda request body.
+     * @param {String} requestType - Image handler request type.
+     */
+    parsePresetName(event, requestType) {
+        if (requestType === "Default") {
+            const decoded = this.decodeRequest(event);
+            return decoded.preset;
+        } else if (requestType === "Thumbor" || requestType === "Custom") {
+            const path = this.getThumborPath(event, requestType);
+            return new ThumborTokenizer().tokenize(path).preset;
+        } else if (requestType === "Query") {
+            const queryStringParameters = event.queryStringParameters || {};
+            return queryStringParameters.preset;
+        }
+        return undefined;
+    }
+
+    /**
+     * Parses the device pixel ratio of the request, if any. Default requests
+     * provide it as "dpr", Thumbor and Custom requests as a "filters:dpr(<n>)"
+     * filter, and Query requests as the "dpr" query string parameter.
+     * @param {Object} event - Lambda request body.
+     * @param {String} requestType - Image handler request type.
+     */
+    parseDpr(event, requestType) {
+        if (requestType === "Default") {
+            const decoded = this.decodeRequest(event);
+            return decoded.dpr;
+        } else if (requestType === "Thumbor" || requestType === "Custom") {
+            const path = this.getThumborPath(event, requestType);
+            const filter = new ThumborTokenizer().tokenize(path).filters.find(filter => filter.name === 'dpr');
+            const dpr = (filter !== undefined) ? Number(filter.value) : NaN;
+            return (dpr > 0) ? dpr : undefined;
+        } else if (requestType === "Query") {
+            const queryStringParameters = event.queryStringParameters || {};
+            if (queryStringParameters.dpr !== undefined) {
+                return new QueryMapping().parseNumber('dpr', queryStringParameters.dpr, 0.1, 10);
+            }
+        }
+        return undefined;
+    }
+
+    /**
+     * Returns the safety limits overridden for the request, if any: the
+     * "limits" of the preset, with the "limits" of a signed Default request
+     * taking precedence. Requests can only override limits when signatures
+     * are enabled.
+     * @param {Object} event - Lambda request body.
+     * @param {String} requestType - Image handler request type.
+     * @param {Object} preset - The expanded preset, if any.
+     */
+    parseLimits(event, requestType, preset) {
+        const presetLimits = (preset && preset.limits) || {};
+        let requestLimits = {};
+        if (requestType === "Default") {
+            const decoded = this.decodeRequest(event);
+            if (decoded.limits !== undefined) {
+                if (process.env.ENABLE_SIGNATURE !== 'Yes') {
+                    throw ({
+                        status: 400,
+                        code: 'ImageLimits::UnsignedOverride',
+                        message: 'The limits of a request can only be overridden by signed requests. Please enable signatures or remove the limits from your request.'
+                    });
+                }
+                requestLimits = decoded.limits;
+            }
+        }
+        const overrides = Object.assign({}, presetLimits, requestLimits);
+        return (Object.keys(overrides).length > 0) ? overrides : undefined;
+    }
+
+    /**
+     * Returns true if the request asks for the JSON description of its
+     * pipeline instead of the image: through the "debug" flag of a signed
+     * Default request, or through the X-Image-Debug header in the API Gateway
+     * stages listed in the DEBUG_STAGES environment variable. The header is
+     * ignored in other stages.
+     * @param {Object} event - Lambda request body.
+     * @param {String} requestType - Image handler request type.
+     */
+    parseDebug(event, requestType) {
+        if (requestType === "Default" && this.decodeRequest(event).debug === true) {
+            if (process.env.ENABLE_SIGNATURE !== 'Yes') {
+                throw ({
+                    status: 400,
+                    code: 'ImageDebug::UnsignedDebug',
+                    message: 'Debug requests must be signed. Please enable signatures or remove the debug flag from your request.'
+                });
+            }
+            return true;
+        }
+        const header = this.getHeader(event, 'X-Image-Debug');
+        if (header === undefined || ![ '1', 'true', 'yes' ].includes(String(header).toLowerCase())) {
+            return false;
+        }
+        const stages = (process.env.DEBUG_STAGES || '').split(',').map(stage => stage.trim()).filter(stage => stage !== '');
+        const stage = event.requestContext && event.requestContext.stage;
+        return stage !== undefined && stages.includes(stage);
+    }
+
+    /**
+     * Returns true if a Thumbor or Custom request asks for the "meta" JSON
+     * description of the image instead of the image itself.
+     * @param {Object} event - Lambda request body.
+     * @param {String} requestType - Image handler request type.
+     */
+    parseMeta(event, requestType) {
+        if (requestType === "Thumbor" || requestType === "Custom") {
+            const path = this.getThumborPath(event, requestType);
+            return new ThumborTokenizer().tokenize(path).meta === true;
+        }
+        return false;
+    }
+
+    /**
+     * Returns the Thumbor path of a Thumbor or Custom request, Custom paths
+     * being rewritten by the matching rewrite rule.
+     * @param {Object} event - Lambda request body.
+     * @param {String} requestType - Image handler request type.
+     */
+    getThumborPath(event, requestType) {
+        const path = event["path"];
+        if (requestType === "Custom") {
+            const rule = RewriteRules.fromEnvironment().match(path);
+            return (rule !== undefined) ? rule.path : path;
+        }
+        return path;
+    }
+
+    /**
+     * Returns the source of a Thumbor or Custom request: the bucket of the
+     * matching rewrite rule, if it defines one, or else the bucket and key of
+     * the path route matching the image key. Returns undefined if the image is
+     * read from the default bucket.
+     * @param {Object} event - Lambda request body.
+     * @param {String} requestType - Image handler request type.
+     */
+    getPathRoute(event, requestType) {
+        if (requestType === "Custom") {
+            const rule = RewriteRules.fromEnvironment().match(event["path"]);
+            if (rule !== undefined && rule.bucket !== undefined) {
+                return { bucket: rule.bucket };
+            }
+        }
+        const path = this.getThumborPath(event, requestType);
+        const key = decodeURIComponent(new ThumborTokenizer().tokenize(path).key);
+        return PathRoutes.fromEnvironment().resolve(key);
+    }
+
     /**
      * Determines how to handle the request being made based on the URL path
      * prefix to the image request. Categorizes a request as either "image"
-     * (uses the Sharp library), "thumbor" (uses Thumbor mapping), or "custom"
-     * (uses the rewrite function).
+     * (uses the Sharp library), "query" (uses the query string mapping),
+     * "thumbor" (uses Thumbor mapping), or "custom" (uses the rewrite function).
      * @param {Object} event - Lambda request body.
     */
     parseRequestType(event) {
@@ -210,17 +633,18 @@ class ImageRequest {
         const matchDefault = new RegExp(/^(\/?)([0-9a-zA-Z+\/]{4})*(([0-9a-zA-Z+\/]{2}==)|([0-9a-zA-Z+\/]{3}=))?$/);
         const matchThumbor = new RegExp(/^(\/?)((fit-in)?|(filters:.+\(.?\))?|(unsafe)?).*(.+jpg|.+png|.+webp|.+tiff|.+jpeg)$/i);
         const matchCustom = new RegExp(/(\/?)(.*)(jpg|png|webp|tiff|jpeg)/i);
-        const definedEnvironmentVariables = (
-            (process.env.REWRITE_MATCH_PATTERN !== "") &&
-            (process.env.REWRITE_SUBSTITUTION !== "") &&
-            (process.env.REWRITE_MATCH_PATTERN !== undefined) &&
-            (process.env.REWRITE_SUBSTITUTION !== undefined)
-        );
+        // Rewrite rules apply to the path without its Thumbor signature
+        const unsignedPath = String(path).replace(/^\/*(unsafe|[A-Za-z0-9_-]{27}=)\//, '/');
+        const matchesRewriteRule = (RewriteRules.fromEnvironment().match(unsignedPath) !== undefined);
+        // Default requests may be preceded by their signature path segment
+        const encodedPath = String(path).replace(/^\/?[0-9a-fA-F]{64}\//, '/');
         // ----
-        if (matchDefault.test(path)) {  // use sharp
+        if (matchDefault.test(encodedPath)) {  // use sharp
             return 'Default';
-        } else if (matchCustom.test(path) && definedEnvironmentVariables) {  // use rewrite function then thumbor mappings
+        } else if (matchCustom.test(path) && matchesRewriteRule) {  // use rewrite function then thumbor mappings
             return 'Custom';
+        } else if (matchCustom.test(path) && QueryMapping.hasEdits(event) && !this.hasThumborOptions(path)) {  // use query string mappings
+            return 'Query';
         } else if (matchThumbor.test(path)) {  // use thumbor mappings
             return 'Thumbor';
         } else {
@@ -232,6 +656,21 @@ class ImageRequest {
         }
     }
 
+    /**
+     * Returns true if the path has a Thumbor signature, option, filter or
+     * preset before the image key, in which case its query string parameters
+     * are not read as a Query request.
+     * @param {String} path - The URL path of the request.
+     */
+    hasThumborOptions(path) {
+        try {
+            return new ThumborTokenizer().tokenize(path).key !== String(path).replace(/^\/+/, '');
+        } catch (err) {
+            // Filters that cannot be parsed are reported by the Thumbor mapping
+            return true;
+        }
+    }
+
     /**
      * Decodes the base64-encoded image request path associated with default
      * image requests. Provides error handling for invalid or undefined path values.
@@ -262,40 +701,338 @@ class ImageRequest {
         }
     }
 
+    /**
+     * Verifies the signature of a Default image request when signed URLs are
+     * enabled through the ENABLE_SIGNATURE environment variable. The signature is
+     * a hex-encoded HMAC-SHA256 of the base64-encoded request, provided either as
+     * the "signature" query parameter or as the path segment preceding the
+     * encoded request. An optional "expires" value (Unix time, in seconds) in the
+     * decoded request limits how long a signed URL remains valid.
+     * @param {Object} event - Lambda request body.
+     */
+    verifySignature(event) {
+        if (process.env.ENABLE_SIGNATURE !== 'Yes') {
+            return;
+        }
+
+        const splitPath = event["path"].split("/");
+        const encoded = splitPath[splitPath.length - 1];
+        const queryStringParameters = event.queryStringParameters || {};
+        const signature = queryStringParameters.signature || splitPath[splitPath.length - 2];
+        if (!signature) {
+            throw ({
+                status: 403,
+                code: 'Signature::MissingSignature',
+                message: 'The image request you provided is not signed. Please provide the signature of the request and refer to the documentation for additional guidance.'
+            });
+        }
+
+        if (!this.matchesSignature(this.getSignatureSecrets(), encoded, signature)) {
+            throw ({
+                status: 403,
+                code: 'Signature::InvalidSignature',
+                message: 'The signature of the image request you provided does not match. Please check that the request has not been modified after it was signed.'
+            });
+        }
+
+        const decoded = this.decodeRequest(event);
+        if (decoded.expires !== undefined && !(Number(decoded.expires) * 1000 > Date.now())) {
+            throw ({
+                status: 403,
+                code: 'Signature::ExpiredRequest',
+                message: 'The signed image request you provided has expired. Please request a new signed URL.'
+            });
+        }
+    }
+
+    /**
+     * Verifies the signature of a Query image request when signed URLs are
+     * enabled through the ENABLE_SIGNATURE environment variable, or when
+     * Thumbor requests are signed with THUMBOR_SECURITY_KEY. The signature is
+     * the hex-encoded HMAC-SHA256, with one of the SIGNATURE_SECRETS or with the
+     * security key, of the path and the sorted query string of the request
+     * (see getQueryCanonical), provided as the "signature" query parameter.
+     * @param {Object} event - Lambda request body.
+     */
+    verifyQuerySignature(event) {
+        const secrets = (process.env.ENABLE_SIGNATURE === 'Yes') ? this.getSignatureSecrets() : [];
+        if (process.env.THUMBOR_SECURITY_KEY) {
+            secrets.push(process.env.THUMBOR_SECURITY_KEY);
+        }
+        if (secrets.length === 0) {
+            return;
+        }
+
+        const signature = (event.queryStringParameters || {}).signature;
+        if (!signature) {
+            throw ({
+                status: 403,
+                code: 'Signature::MissingSignature',
+                message: 'The image request you provided is not signed. Please provide the signature of the request and refer to the documentation for additional guidance.'
+            });
+        }
+        if (!this.matchesSignature(secrets, this.getQueryCanonical(event), signature)) {
+            throw ({
+                status: 403,
+                code: 'Signature::InvalidSignature',
+                message: 'The signature of the image request you provided does not match. Please check that the request has not been modified after it was signed.'
+            });
+        }
+    }
+
+    /**
+     * Returns the string signed by Query requests: the path of the request
+     * followed by its query string parameters other than "signature", sorted
+     * by name and URI-encoded, such as "/image.jpg?fm=webp&w=400".
+     * @param {Object} event - Lambda request body.
+     */
+    getQueryCanonical(event) {
+        const query = event.queryStringParameters || {};
+        const parameters = Object.keys(query).filter(name => name !== 'signature').sort()
+            .map(name => `${encodeURIComponent(name)}=${encodeURIComponent(query[name])}`);
+        return `/${String(event["path"]).replace(/^\/+/, '')}?${parameters.join('&')}`;
+    }
+
+    /**
+     * Returns true if the signature is the hex-encoded HMAC-SHA256 of the
+     * value with any of the secrets, compared in constant time.
+     * @param {Array} secrets - The accepted secrets.
+     * @param {String} value - The signed value.
+     * @param {String} signature - The signature of the request.
+     */
+    matchesSignature(secrets, value, signature) {
+        const provided = Buffer.from(String(signature));
+        return secrets.some((secret) => {
+            const expected = Buffer.from(crypto.createHmac('sha256', secret).update(value).digest('hex'));
+            // Byte lengths, as non-ASCII signatures encode to more bytes than characters
+            return (expected.length === provided.length) && crypto.timingSafeEqual(expected, provided);
+        });
+    }
+
+    /**
+     * Verifies the Thumbor security key signature of Thumbor and Custom image
+     * requests, and returns the request with the signature (or "unsafe") prefix
+     * removed from its path. When THUMBOR_SECURITY_KEY is set, the first path
+     * segment must be the URL-safe base64-encoded HMAC-SHA1 of the rest of the
+     * path, unless THUMBOR_ALLOW_UNSAFE is set to "Yes" and the path starts
+     * with "unsafe/".
+     * @param {Object} event - Lambda request body.
+     */
+    verifySecurityKey(event) {
+        const securityKey = process.env.THUMBOR_SECURITY_KEY;
+        const path = event["path"].replace(/^\/+/, '');
+        const prefix = path.split('/')[0];
+        const unsignedPath = path.substring(prefix.length + 1);
+
+        if (prefix === 'unsafe') {
+            if (securityKey && process.env.THUMBOR_ALLOW_UNSAFE !== 'Yes') {
+                throw ({
+                    status: 403,
+                    code: 'Signature::UnsafeNotAllowed',
+                    message: 'Unsafe image requests are not allowed. Please sign the request with the Thumbor security key and refer to the documentation for additional guidance.'
+                });
+            }
+            return { ...event, path: `/${unsignedPath}` };
+        }
+
+        if (!securityKey) {
+            return event;
+        }
+
+        if (!/^[A-Za-z0-9_-]{27}=$/.test(prefix)) {
+            throw ({
+                status: 403,
+                code: 'Signature::MissingSignature',
+                message: 'The image request you provided is not signed. Please provide the signature of the request and refer to the documentation for additional guidance.'
+            });
+        }
+
+        const expected = crypto.createHmac('sha1', securityKey).update(unsignedPath).digest('base64').replace(/\+/g, '-').replace(/\//g, '_');
+        if (!crypto.timingSafeEqual(Buffer.from(expected), Buffer.from(prefix))) {
+            throw ({
+                status: 403,
+                code: 'Signature::InvalidSignature',
+                message: 'The signature of the image request you provided does not match. Please check that the request has not been modified after it was signed.'
+            });
+        }
+        return { ...event, path: `/${unsignedPath}` };
+    }
+
+    /**
+     * Returns the secrets accepted for signed image requests as specified in the
+     * SIGNATURE_SECRETS environment variable. Multiple comma-separated secrets can
+     * be provided so that a new secret can be introduced before the previous one
+     * is retired.
+     */
+    getSignatureSecrets() {
+        const signatureSecrets = process.env.SIGNATURE_SECRETS;
+        const secrets = (signatureSecrets === undefined) ? [] : signatureSecrets.split(',').map(secret => secret.trim()).filter(secret => secret !== '');
+        if (secrets.length === 0) {
+            throw ({
+                status: 500,
+                code: 'Signature::NoSecrets',
+                message: 'The SIGNATURE_SECRETS variable could not be read. Please check that it contains at least one secret when ENABLE_SIGNATURE is set to "Yes".'
+            });
+        }
+        return secrets;
+    }
+
     /**
      * Returns a formatted image source bucket whitelist as specified in the
      * SOURCE_BUCKETS environment variable of the image handler Lambda
      * function. Provides error handling for missing/invalid values.
      */
     getAllowedSourceBuckets() {
-        const sourceBuckets = process.env.SOURCE_BUCKETS;
-        if (sourceBuckets === undefined) {
-            throw ({
-                status: 400,
-                code: 'GetAllowedSourceBuckets::NoSourceBuckets',
-                message: 'The SOURCE_BUCKETS variable could not be read. Please check that it is not empty and contains at least one source bucket, or multiple buckets separated by commas. Spaces can be provided between commas and bucket names, these will be automatically parsed out when decoding.'
-            });
-        } else {
-            const formatted = sourceBuckets.replace(/\s+/g, '');
-            const buckets = formatted.split(',');
-            return buckets;
+        return SourceBuckets.getEntries();
+    }
+
+    /**
+     * Returns the output format of the image: the format requested by a
+     * Default request or by the preset, if any, or else the format negotiated
+     * with the Accept header of the request, or null to keep the format of
+     * the original image.
+     * @param {Object} event - The request body.
+     * @param {Object} preset - The expanded preset, if any.
+     */
+    getOutputFormat(event, preset) {
+        const outputFormat = this.getRequestedOutputFormat(event, preset);
+        if (outputFormat) {
+            return outputFormat;
         }
+        const accept = this.getHeader(event, 'Accept');
+        return FormatNegotiation.fromEnvironment().negotiate(accept, this.originalImage);
     }
 
     /**
-    * Return the output format depending on the accepts headers and request type
-    * @param {Object} event - The request body.
-    */
-    getOutputFormat(event) {
-        const autoWebP = process.env.AUTO_WEBP;
-        if (autoWebP && event.headers.Accept && event.headers.Accept.includes('image/webp')) {
-            return 'webp';
-        } else if (this.requestType === 'Default') {
+     * Returns the output format set by a Default request or by its preset, if any.
+     * @param {Object} event - The request body.
+     * @param {Object} preset - The expanded preset, if any.
+     */
+    getRequestedOutputFormat(event, preset) {
+        if (this.requestType === 'Default') {
             const decoded = this.decodeRequest(event);
-            return decoded.outputFormat;
+            if (decoded.outputFormat) {
+                return decoded.outputFormat;
+            }
+        }
+        if (preset && preset.outputFormat) {
+            return preset.outputFormat;
+        }
+        return undefined;
+    }
+
+    /**
+     * Applies the DPR, Width, Viewport-Width and Save-Data client hints of the
+     * request to its edits, the DPR being capped like explicit ratios. Sets the
+     * DPR of the output image, returned in the Content-DPR header, if the image
+     * is scaled for it.
+     * @param {Object} event - The request body.
+     * @param {Limits} limits - The safety limits of the request.
+     */
+    applyClientHints(event, limits) {
+        const hints = new ClientHints({
+            // An explicit device pixel ratio has already been applied
+            dpr: (this.dpr === undefined) ? this.getHeader(event, 'Sec-CH-DPR') : undefined,
+            width: this.getHeader(event, 'Sec-CH-Width'),
+            viewportWidth: this.getHeader(event, 'Sec-CH-Viewport-Width'),
+            saveData: this.getHeader(event, 'Save-Data')
+        }, Number(process.env.SAVE_DATA_QUALITY) || undefined);
+        const format = this.outputFormat || FormatNegotiation.describe(this.originalImage).format;
+        const applied = hints.apply(this.edits, format, PixelRatio.fromEnvironment(limits));
+        this.edits = applied.edits;
+        if (applied.dpr !== undefined) {
+            this.ContentDPR = applied.dpr;
+        }
+    }
+
+    /**
+     * Returns a hash identifying the output of the request for a given source
+     * image: its edits, output format and whether it is a "meta" request. The
+     * options of each edit are serialized with sorted keys, while the order of
+     * the edits is kept, as it is the order in which they are applied.
+     */
+    getVariantHash() {
+        const normalize = (value) => {
+            if (value === null || typeof value !== 'object' || Array.isArray(value)) {
+                return value;
+            }
+            const sorted = {};
+            Object.keys(value).sort().forEach((key) => {
+                sorted[key] = normalize(value[key]);
+            });
+            return sorted;
+        };
+        const edits = Object.keys(this.edits || {}).map(key => [ key, normalize(this.edits[key]) ]);
+        const variant = JSON.stringify([ edits, this.outputFormat || null, this.meta === true ]);
+        return crypto.createHash('sha256').update(variant).digest('hex');
+    }
+
+    /**
+     * Returns a hash identifying the derivative of the request before the
+     * original image is read: the variant hash of its edits, its requested
+     * output format, and the request headers that the format negotiation and
+     * the client hints depend on, when enabled.
+     * @param {Object} event - The request body.
+     * @param {Object} preset - The expanded preset, if any.
+     */
+    getDerivativeHash(event, preset) {
+        let accept = null;
+        if (FormatNegotiation.fromEnvironment().formats.length > 0) {
+            const qualities = FormatNegotiation.parseAccept(this.getHeader(event, 'Accept'));
+            accept = Object.keys(qualities).filter(type => type.startsWith('image/')).sort().map(type => [ type, qualities[type] ]);
         }
+        let hints = null;
+        if (ClientHints.isEnabled()) {
+            hints = [ 'Sec-CH-DPR', 'Sec-CH-Width', 'Sec-CH-Viewport-Width', 'Save-Data' ].map(name => this.getHeader(event, name) || null);
+        }
+        const derivative = JSON.stringify([ this.getVariantHash(), this.getRequestedOutputFormat(event, preset) || null, accept, hints ]);
+        return crypto.createHash('sha256').update(derivative).digest('hex');
+    }
 
-        return null;
+    /**
+     * Returns the entity tag of the response, derived from the entity tag of
+     * the source image and the variant hash of the request.
+     */
+    getETag() {
+        const hash = crypto.createHash('sha256').update(`${this.SourceETag}\n${this.getVariantHash()}`).digest('hex');
+        return `"${hash.substring(0, 32)}"`;
+    }
+
+    /**
+     * Returns true if the client already holds the response, according to
+     * the If-None-Match header or, in its absence, the If-Modified-Since
+     * header of the request. Fallback responses are always sent in full.
+     * @param {Object} event - The request body.
+     */
+    isNotModified(event) {
+        if (this.FallbackStatus !== undefined) {
+            return false;
+        }
+        const ifNoneMatch = this.getHeader(event, 'If-None-Match');
+        if (ifNoneMatch !== undefined) {
+            if (this.ETag === undefined) {
+                return false;
+            }
+            const etags = ifNoneMatch.split(',').map(etag => etag.trim().replace(/^W\//, ''));
+            return etags.includes('*') || etags.includes(this.ETag);
+        }
+        const ifModifiedSince = this.getHeader(event, 'If-Modified-Since');
+        if (ifModifiedSince !== undefined && this.LastModified !== undefined) {
+            const since = Date.parse(ifModifiedSince);
+            return !isNaN(since) && Date.parse(this.LastModified) <= since;
+        }
+        return false;
+    }
+
+    /**
+     * Returns the value of a request header, whatever the case of its name.
+     * @param {Object} event - The request body.
+     * @param {String} name - The name of the header.
+     */
+    getHeader(event, name) {
+        const headers = event.headers || {};
+        const header = Object.keys(headers).find(key => key.toLowerCase() === name.toLowerCase());
+        return (header !== undefined) ? headers[header] : undefined;
     }
 }
 
@@ -11,32 +11,140 @@
  *  and limitations under the License.                                                                                *
  *********************************************************************************************************************/
 
+const ClientHints = require('./client-hints.js');
+const DerivativeCache = require('./derivative-cache.js');
+const FallbackImages = require('./fallback-images.js');
 const ImageRequest = require('./image-request.js');
 const ImageHandler = require('./image-handler.js');
+const Logger = require('./logger.js');
+const OutputStore = require('./output-store.js');
+const PathRoutes = require('./path-routes.js');
+const RewriteRules = require('./rewrite-rules.js');
+const SourceProviders = require('./source-providers.js');
 
-exports.handler = async (event) => {
-    console.log(event);
+// Compile the logger, rewrite rules, path routes, source providers, output store and fallback images at cold start so that an invalid configuration fails loudly
+Logger.fromEnvironment();
+RewriteRules.fromEnvironment();
+PathRoutes.fromEnvironment();
+SourceProviders.fromEnvironment();
+OutputStore.fromEnvironment();
+FallbackImages.fromEnvironment();
+
+exports.handler = async (event, context) => {
+    const started = Date.now();
+    const logger = Logger.fromEnvironment();
+    logger.reset({
+        requestId: (context && context.awsRequestId) || (event.requestContext && event.requestContext.requestId)
+    });
+    if (event.action === 'purgeDerivatives') {
+        // Direct invocation deleting the stored derivatives of a source image
+        logger.info('Purging derivatives', { bucket: event.bucket, key: event.key });
+        return DerivativeCache.fromEnvironment().purge(event.bucket, event.key);
+    }
+    logger.info('Request received', {
+        path: event.path,
+        httpMethod: event.httpMethod,
+        headers: event.headers,
+        queryStringParameters: event.queryStringParameters
+    });
+    const response = await handleRequest(event);
+    logger.info('Request completed', { status: response.statusCode, duration: Date.now() - started });
+    return response;
+}
+
+/**
+ * Sets up, processes and answers an image request.
+ * @param {Object} event - Lambda request body.
+ */
+const handleRequest = async (event) => {
     const imageRequest = new ImageRequest();
     const imageHandler = new ImageHandler();
     try {
         const request = await imageRequest.setup(event);
-        console.log(request);
-        const processedRequest = await imageHandler.process(request);
+        if (request.debug) {
+            // The resolved pipeline is returned instead of the image, which is not encoded
+            const debug = await imageHandler.getDebug(request);
+            const headers = getResponseHeaders(false, request);
+            headers["Content-Type"] = "application/json";
+            headers["Cache-Control"] = "no-store";
+
+            return {
+                "statusCode": 200,
+                "headers" : headers,
+                "body": JSON.stringify(debug),
+                "isBase64Encoded": false
+            };
+        }
+        if (request.isNotModified(event)) {
+            // The client holds the current response, the image is not processed
+            const headers = getResponseHeaders(false, request);
+            headers["Expires"] = request.Expires;
+            headers["Last-Modified"] = request.LastModified;
+            headers["Cache-Control"] = request.CacheControl;
+
+            return {
+                "statusCode": 304,
+                "headers" : headers,
+                "body": "",
+                "isBase64Encoded": false
+            };
+        }
+        if (request.meta) {
+            const meta = await imageHandler.getMeta(request);
+            const headers = getResponseHeaders(false, request);
+            headers["Content-Type"] = "application/json";
+            headers["Expires"] = request.Expires;
+            headers["Last-Modified"] = request.LastModified;
+            headers["Cache-Control"] = request.CacheControl;
 
-        const headers = getResponseHeaders();
+            return {
+                "statusCode": 200,
+                "headers" : headers,
+                "body": JSON.stringify(meta),
+                "isBase64Encoded": false
+            };
+        }
+        let processedRequest;
+        if (request.derivativeImage !== undefined) {
+            processedRequest = request.derivativeImage.toString('base64');
+        } else {
+            processedRequest = await imageHandler.process(request);
+            if (request.DerivativeKey !== undefined) {
+                // A derivative that cannot be stored does not fail the request
+                await DerivativeCache.fromEnvironment().put(request.DerivativeKey, Buffer.from(processedRequest, 'base64'), request);
+            }
+        }
+
+        const outputStore = OutputStore.fromEnvironment();
+        if (outputStore.isEnabled() && outputStore.isTooLarge(processedRequest)) {
+            // The image would exceed the response payload limit, the client is redirected to a stored copy
+            const location = await outputStore.store(Buffer.from(processedRequest, 'base64'), request);
+            const headers = getResponseHeaders(false, request);
+            headers["Location"] = location.url;
+            headers["Cache-Control"] = location.cacheControl;
+
+            return {
+                "statusCode": 302,
+                "headers" : headers,
+                "body": "",
+                "isBase64Encoded": false
+            };
+        }
+
+        const headers = getResponseHeaders(false, request);
         headers["Content-Type"] = request.ContentType;
         headers["Expires"] = request.Expires;
         headers["Last-Modified"] = request.LastModified;
         headers["Cache-Control"] = request.CacheControl;
 
         return {
-            "statusCode": 200,
+            "statusCode": (request.FallbackStatus !== undefined) ? request.FallbackStatus : 200,
             "headers" : headers,
             "body": processedRequest,
             "isBase64Encoded": true
         };
     } catch (err) {
-        console.log(err);
+        Logger.fromEnvironment().error('Request failed', { status: err.status, errorCode: err.code, error: err });
 
         return {
             "statusCode": err.status,
@@ -51,17 +159,33 @@ exports.handler = async (event) => {
  * Generates the appropriate set of response headers based on a success
  * or error condition.
  * @param {boolean} isErr - has an error been thrown?
+ * @param {ImageRequest} request - the image request, if it could be set up.
  */
-const getResponseHeaders = (isErr) => {
+const getResponseHeaders = (isErr, request) => {
     const corsEnabled = (process.env.CORS_ENABLED === "Yes");
     const headers = {
         "Access-Control-Allow-Methods": "GET",
         "Access-Control-Allow-Headers": "Content-Type, Authorization",
-        "Access-Control-Allow-Credentials": true
+        "Access-Control-Allow-Credentials": true,
+        // The output format may be negotiated with the Accept header
+        "Vary": "Accept"
     }
     if (corsEnabled) {
         headers["Access-Control-Allow-Origin"] = process.env.CORS_ORIGIN;
     }
+    if (ClientHints.isEnabled()) {
+        Object.assign(headers, ClientHints.getResponseHeaders());
+    }
+    if (request && request.ContentDPR !== undefined) {
+        headers["Content-DPR"] = request.ContentDPR;
+    }
+    if (request && request.ETag !== undefined) {
+        headers["ETag"] = request.ETag;
+    }
+    if (request && request.FallbackStatus !== undefined) {
+        // The original image is missing, the body is its fallback image
+        headers["X-Image-Fallback"] = "true";
+    }
     if (isErr) {
         headers["Content-Type"] = "application/json"
     }
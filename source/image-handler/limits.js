@@ -0,0 +1,123 @@
+/*********************************************************************************************************************
+ *  Copyright 2019 Amazon.com, Inc. or its affiliates. All Rights Reserved.                                           *
+ *                                                                                                                    *
+ *  Licensed under the Apache License, Version 2.0 (the "License"). You may not use this file except in compliance    *
+ *  with the License. A copy of the License is located at                                                             *
+ *                                                                                                                    *
+ *      http://www.apache.org/licenses/LICENSE-2.0                                                                    *
+ *                                                                                                                    *
+ *  or in the 'license' file accompanying this file. This file is distributed on an 'AS IS' BASIS, WITHOUT WARRANTIES *
+ *  OR CONDITIONS OF ANY KIND, express or implied. See the License for the specific language governing permissions    *
+ *  and limitations under the License.                                                                                *
+ *********************************************************************************************************************/
+
+
+// Limits, the environment variables overriding their default and the default values
+const defaults = {
+    maxInputBytes: { variable: 'MAX_INPUT_BYTES', value: 52428800 },
+    maxInputPixels: { variable: 'MAX_INPUT_PIXELS', value: 268402689 },
+    maxOutputWidth: { variable: 'MAX_OUTPUT_WIDTH', value: 16383 },
+    maxOutputHeight: { variable: 'MAX_OUTPUT_HEIGHT', value: 16383 },
+    maxOutputPixels: { variable: 'MAX_OUTPUT_PIXELS', value: 100000000 },
+    maxEdits: { variable: 'MAX_EDITS', value: 30 }
+};
+
+class Limits {
+
+    /**
+     * Holds the safety limits of an image request. Missing or invalid limits
+     * take their default value.
+     * @param {Object} limits - The { maxInputBytes, maxInputPixels, maxOutputWidth, maxOutputHeight, maxOutputPixels, maxEdits } limits.
+     */
+    constructor(limits = {}) {
+        Object.keys(defaults).forEach((name) => {
+            const value = Number(limits[name]);
+            this[name] = (value > 0 && isFinite(value)) ? value : defaults[name].value;
+        });
+    }
+
+    /**
+     * Returns the limits for the current configuration, read from the
+     * MAX_INPUT_BYTES, MAX_INPUT_PIXELS, MAX_OUTPUT_WIDTH, MAX_OUTPUT_HEIGHT,
+     * MAX_OUTPUT_PIXELS and MAX_EDITS environment variables, with the limits
+     * of the preset or the signed request, if any, taking precedence.
+     * @param {Object} overrides - The limits overriding the configuration, if any.
+     */
+    static fromEnvironment(overrides = {}) {
+        const limits = {};
+        Object.keys(defaults).forEach((name) => {
+            limits[name] = (overrides[name] !== undefined) ? overrides[name] : process.env[defaults[name].variable];
+        });
+        return new Limits(limits);
+    }
+
+    /**
+     * Verifies the number of edits and the requested resize dimensions,
+     * before the original image is fetched.
+     * @param {Object} edits - The edits of the request, if any.
+     */
+    checkEdits(edits) {
+        if (edits === undefined) {
+            return;
+        }
+        const count = Object.keys(edits).length;
+        if (count > this.maxEdits) {
+            throw ({
+                status: 400,
+                code: 'ImageLimits::TooManyEdits',
+                message: `The request contains ${count} edits, more than the ${this.maxEdits} allowed. Please reduce the number of edits in your request.`
+            });
+        }
+        if (edits.resize !== undefined) {
+            this.checkOutput({ width: edits.resize.width || 0, height: edits.resize.height || 0 });
+        }
+    }
+
+    /**
+     * Verifies the size of the original image, once fetched.
+     * @param {Buffer} image - The original image.
+     */
+    checkInputBytes(image) {
+        if (image.length > this.maxInputBytes) {
+            throw ({
+                status: 413,
+                code: 'ImageLimits::InputTooLarge',
+                message: `The original image is ${image.length} bytes, more than the ${this.maxInputBytes} bytes allowed.`
+            });
+        }
+    }
+
+    /**
+     * Verifies the pixel count of the original image, read from its header
+     * before it is decoded.
+     * @param {Object} metadata - The Sharp metadata of the original image.
+     */
+    checkInputPixels(metadata) {
+        const pixels = (metadata.width || 0) * (metadata.height || 0);
+        if (pixels > this.maxInputPixels) {
+            throw ({
+                status: 413,
+                code: 'ImageLimits::InputPixelsTooLarge',
+                message: `The original image is ${metadata.width}x${metadata.height} pixels, more than the ${this.maxInputPixels} pixels allowed.`
+            });
+        }
+    }
+
+    /**
+     * Verifies the dimensions of the output image.
+     * @param {Object} dimensions - The { width, height } of the output image, 0 if unknown.
+     */
+    checkOutput(dimensions) {
+        const { width, height } = dimensions;
+        if (width > this.maxOutputWidth || height > this.maxOutputHeight || width * height > this.maxOutputPixels) {
+            throw ({
+                status: 400,
+                code: 'ImageLimits::OutputTooLarge',
+                message: `The output image of ${width || '?'}x${height || '?'} pixels exceeds the limits of ${this.maxOutputWidth}x${this.maxOutputHeight} and ${this.maxOutputPixels} pixels. Please request smaller dimensions.`
+            });
+        }
+    }
+}
+
+// Exports
+module.exports = Limits;
@@ -0,0 +1,181 @@
+/*********************************************************************************************************************
+ *  Copyright 2019 Amazon.com, Inc. or its affiliates. All Rights Reserved.                                           *
+ *                                                                                                                    *
+ *  Licensed under the Apache License, Version 2.0 (the "License"). You may not use this file except in compliance    *
+ *  with the License. A copy of the License is located at                                                             *
+ *                                                                                                                    *
+ *      http://www.apache.org/licenses/LICENSE-2.0                                                                    *
+ *                                                                                                                    *
+ *  or in the 'license' file accompanying this file. This file is distributed on an 'AS IS' BASIS, WITHOUT WARRANTIES *
+ *  OR CONDITIONS OF ANY KIND, express or implied. See the License for the specific language governing permissions    *
+ *  and limitations under the License.                                                                                *
+ *********************************************************************************************************************/
+
+
+// Log levels, in increasing order of severity
+const levels = { debug: 10, info: 20, warn: 30, error: 40 };
+
+// Request headers whose values are never logged
+const redactedHeaders = [ 'authorization', 'cookie', 'x-api-key', 'x-amz-security-token' ];
+
+// Fields whose values are never logged, wherever they are, such as the presigned response URL of custom resource events
+const redactedFields = [ 'responseurl' ];
+
+// Logger shared by the modules of the function, with the context of the current request
+let shared;
+
+class Logger {
+
+    /**
+     * Writes one JSON line per event, with its level, message and fields,
+     * along with the fields of the request context (request id, request
+     * type, key). Buffers are replaced by their size, and the values of the
+     * redacted headers of any "headers" field, and of any "ResponseURL"
+     * field, are replaced by "[REDACTED]". The logger is also used by the
+     * custom resource, which gets a copy of this file when it is tested or
+     * built.
+     * @param {String} level - The minimum level logged: debug, info, warn or error.
+     * @param {Array} redact - The names of the headers to redact, in lower case.
+     * @param {Function} write - Writes a line, to the console by default.
+     */
+    constructor(level = 'info', redact = redactedHeaders, write = line => console.log(line)) {
+        if (levels[level] === undefined) {
+            throw new Error(`Logger::InvalidConfiguration: LOG_LEVEL must be one of ${Object.keys(levels).join(', ')}.`);
+        }
+        this.level = level;
+        this.redact = redact;
+        this.write = write;
+        this.context = {};
+        this.started = Date.now();
+    }
+
+    /**
+     * Returns the logger shared by the modules of the function, logging from
+     * the LOG_LEVEL environment variable ("info" by default) and redacting
+     * the headers listed in LOG_REDACT_HEADERS, in addition to Authorization,
+     * Cookie, X-Api-Key and X-Amz-Security-Token.
+     */
+    static fromEnvironment() {
+        const level = (process.env.LOG_LEVEL || 'info').toLowerCase();
+        const redact = redactedHeaders.concat((process.env.LOG_REDACT_HEADERS || '').split(',')
+            .map(name => name.trim().toLowerCase())
+            .filter(name => name !== ''));
+        if (shared === undefined || shared.level !== level || shared.redact.join() !== redact.join()) {
+            const context = (shared !== undefined) ? shared.context : {};
+            shared = new Logger(level, redact);
+            shared.context = context;
+        }
+        return shared;
+    }
+
+    /**
+     * Replaces the request context and restarts the request duration, at the
+     * start of a request.
+     * @param {Object} context - The fields added to every line, such as the request id.
+     */
+    reset(context = {}) {
+        this.context = this.sanitize(context);
+        this.started = Date.now();
+    }
+
+    /**
+     * Returns the time elapsed since the start of the request, in milliseconds.
+     */
+    elapsed() {
+        return Date.now() - this.started;
+    }
+
+    /**
+     * Adds fields to the request context, once they are known.
+     * @param {Object} fields - The fields added to every following line.
+     */
+    addContext(fields) {
+        Object.assign(this.context, this.sanitize(fields));
+    }
+
+    /**
+     * Writes a line if its level is at least the minimum level.
+     * @param {String} level - The level of the line.
+     * @param {String} message - The message of the line.
+     * @param {Object} fields - The fields of the line, if any.
+     */
+    log(level, message, fields = {}) {
+        if (levels[level] < levels[this.level]) {
+            return;
+        }
+        const line = Object.assign({ level, time: new Date().toISOString(), message }, this.context, this.sanitize(fields));
+        this.write(JSON.stringify(line));
+    }
+
+    /**
+     * Writes a debug line, such as the details of a request.
+     * @param {String} message - The message of the line.
+     * @param {Object} fields - The fields of the line, if any.
+     */
+    debug(message, fields) {
+        this.log('debug', message, fields);
+    }
+
+    /**
+     * Writes an info line, such as the start or the end of a request.
+     * @param {String} message - The message of the line.
+     * @param {Object} fields - The fields of the line, if any.
+     */
+    info(message, fields) {
+        this.log('info', message, fields);
+    }
+
+    /**
+     * Writes a warning line, for failures the request recovers from.
+     * @param {String} message - The message of the line.
+     * @param {Object} fields - The fields of the line, if any.
+     */
+    warn(message, fields) {
+        this.log('warn', message, fields);
+    }
+
+    /**
+     * Writes an error line, for failed requests.
+     * @param {String} message - The message of the line.
+     * @param {Object} fields - The fields of the line, if any.
+     */
+    error(message, fields) {
+        this.log('error', message, fields);
+    }
+
+    /**
+     * Returns a copy of a value safe to log: buffers are replaced by their
+     * size, errors by their name, code, status and message, and redacted
+     * headers and fields by "[REDACTED]".
+     * @param {Object} value - The value to log.
+     * @param {String} name - The name of the field holding the value, if any.
+     */
+    sanitize(value, name) {
+        if (Buffer.isBuffer(value)) {
+            return `[Buffer ${value.length} bytes]`;
+        }
+        if (value instanceof Error) {
+            return this.sanitize({ name: value.name, code: value.code, status: value.status, message: value.message });
+        }
+        if (value === null || typeof value !== 'object') {
+            return value;
+        }
+        if (Array.isArray(value)) {
+            return value.map(item => this.sanitize(item));
+        }
+        const isHeaders = (name === 'headers' || name === 'multiValueHeaders');
+        const sanitized = {};
+        Object.keys(value).forEach((key) => {
+            if (value[key] === undefined) {
+                return;
+            }
+            sanitized[key] = ((isHeaders && this.redact.includes(key.toLowerCase())) || redactedFields.includes(key.toLowerCase()))
+                ? '[REDACTED]'
+                : this.sanitize(value[key], key);
+        });
+        return sanitized;
+    }
+}
+
+// Exports
+module.exports = Logger;
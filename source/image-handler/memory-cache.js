@@ -0,0 +1,131 @@
+/*********************************************************************************************************************
+ *  Copyright 2019 Amazon.com, Inc. or its affiliates. All Rights Reserved.                                           *
+ *                                                                                                                    *
+ *  Licensed under the Apache License, Version 2.0 (the "License"). You may not use this file except in compliance    *
+ *  with the License. A copy of the License is located at                                                             *
+ *                                                                                                                    *
+ *      http://www.apache.org/licenses/LICENSE-2.0                                                                    *
+ *                                                                                                                    *
+ *  or in the 'license' file accompanying this file. This file is distributed on an 'AS IS' BASIS, WITHOUT WARRANTIES *
+ *  OR CONDITIONS OF ANY KIND, express or implied. See the License for the specific language governing permissions    *
+ *  and limitations under the License.                                                                                *
+ *********************************************************************************************************************/
+
+
+// Cache shared by the invocations of a warm Lambda container
+let shared;
+
+class MemoryCache {
+
+    /**
+     * Least recently used cache of buffers, bounded by their total size in
+     * bytes. Entries larger than the budget are not stored.
+     * @param {Number} maxBytes - The memory budget of the cache, 0 to disable it.
+     */
+    constructor(maxBytes) {
+        this.maxBytes = maxBytes;
+        this.bytes = 0;
+        this.entries = new Map();
+    }
+
+    /**
+     * Returns the cache shared across warm invocations, with the memory budget
+     * in megabytes set by the MEMORY_CACHE_SIZE_MB environment variable. The
+     * cache is disabled by default.
+     */
+    static fromEnvironment() {
+        const megabytes = Number(process.env.MEMORY_CACHE_SIZE_MB || 0);
+        if (isNaN(megabytes) || megabytes < 0) {
+            throw new Error('MemoryCache::InvalidConfiguration: MEMORY_CACHE_SIZE_MB must be a positive number of megabytes.');
+        }
+        const maxBytes = Math.floor(megabytes * 1024 * 1024);
+        if (shared === undefined || shared.maxBytes !== maxBytes) {
+            shared = new MemoryCache(maxBytes);
+        }
+        return shared;
+    }
+
+    /**
+     * Returns the value stored under a key, and marks it as the most recently used.
+     * @param {String} key - The key of the entry.
+     */
+    get(key) {
+        const entry = this.entries.get(key);
+        if (entry === undefined) {
+            return undefined;
+        }
+        this.entries.delete(key);
+        this.entries.set(key, entry);
+        return entry.value;
+    }
+
+    /**
+     * Stores a value, evicting the least recently used entries to stay within
+     * the memory budget.
+     * @param {String} key - The key of the entry.
+     * @param {Object} value - The value to store.
+     * @param {Number} size - The size of the value in bytes.
+     */
+    set(key, value, size) {
+        this.delete(key);
+        if (size > this.maxBytes) {
+            return;
+        }
+        for (const [ oldest, entry ] of this.entries) {
+            if (this.bytes + size <= this.maxBytes) {
+                break;
+            }
+            this.entries.delete(oldest);
+            this.bytes -= entry.size;
+        }
+        this.entries.set(key, { value, size });
+        this.bytes += size;
+    }
+
+    /**
+     * Removes the entry stored under a key, if any.
+     * @param {String} key - The key of the entry.
+     */
+    delete(key) {
+        const entry = this.entries.get(key);
+        if (entry !== undefined) {
+            this.entries.delete(key);
+            this.bytes -= entry.size;
+        }
+    }
+
+    /**
+     * Gets an image from its source, revalidating the cached copy, if any,
+     * with its ETag: a "NotModified" answer serves the cached copy. Images
+     * are cached with their ETag, those without one are not cached.
+     * @param {SourceProviders} sources - The image sources.
+     * @param {String} bucket - The name of the bucket containing the image.
+     * @param {String} key - The key name corresponding to the image.
+     * @return {Promise} - The image, in the shape of an Amazon S3 object, or an error.
+     */
+    async getObject(sources, bucket, key) {
+        if (this.maxBytes === 0) {
+            return sources.getObject(bucket, key);
+        }
+        const cacheKey = `${bucket}/${key}`;
+        const cached = this.get(cacheKey);
+        try {
+            const object = await sources.getObject(bucket, key, (cached !== undefined) ? cached.ETag : undefined);
+            if (object.ETag && Buffer.isBuffer(object.Body)) {
+                this.set(cacheKey, object, object.Body.length);
+            } else {
+                this.delete(cacheKey);
+            }
+            return Promise.resolve(object);
+        } catch (err) {
+            if (cached !== undefined && (err.code === 'NotModified' || err.statusCode === 304)) {
+                return Promise.resolve(cached);
+            }
+            this.delete(cacheKey);
+            return Promise.reject(err);
+        }
+    }
+}
+
+// Exports
+module.exports = MemoryCache;
@@ -0,0 +1,126 @@
+/*********************************************************************************************************************
+ *  Copyright 2019 Amazon.com, Inc. or its affiliates. All Rights Reserved.                                           *
+ *                                                                                                                    *
+ *  Licensed under the Apache License, Version 2.0 (the "License"). You may not use this file except in compliance    *
+ *  with the License. A copy of the License is located at                                                             *
+ *                                                                                                                    *
+ *      http://www.apache.org/licenses/LICENSE-2.0                                                                    *
+ *                                                                                                                    *
+ *  or in the 'license' file accompanying this file. This file is distributed on an 'AS IS' BASIS, WITHOUT WARRANTIES *
+ *  OR CONDITIONS OF ANY KIND, express or implied. See the License for the specific language governing permissions    *
+ *  and limitations under the License.                                                                                *
+ *********************************************************************************************************************/
+
+
+const crypto = require('crypto');
+
+// Base64 body size above which the Lambda response payload limit (6 MB) is at risk
+const defaultMaxBytes = 6000000;
+
+class OutputStore {
+
+    /**
+     * Stores processed images too large to be returned in the response body
+     * in an Amazon S3 bucket, for the client to be redirected to. Outputs are
+     * stored under "<prefix><hash>", where the hash is derived from their
+     * content, and served through a CDN base URL or a presigned URL.
+     * @param {Object} options - The "bucket", "prefix", "maxBytes" of the body,
+     * "baseUrl" of the CDN and "expires" in seconds of presigned URLs.
+     * @param {S3} s3 - The Amazon S3 client to use, a new client by default.
+     */
+    constructor(options, s3) {
+        const { bucket, prefix = 'outputs/', maxBytes = defaultMaxBytes, baseUrl, expires = 3600 } = options;
+        if (!Number.isInteger(maxBytes) || maxBytes <= 0 || !Number.isInteger(expires) || expires <= 0) {
+            throw new Error('OutputStore::InvalidConfiguration: OUTPUT_MAX_BYTES and OUTPUT_URL_EXPIRES must be positive integers.');
+        }
+        this.bucket = bucket;
+        this.prefix = prefix;
+        this.maxBytes = maxBytes;
+        this.baseUrl = baseUrl;
+        this.expires = expires;
+        this.s3 = s3;
+    }
+
+    /**
+     * Returns the output store for the current configuration: the
+     * OUTPUT_BUCKET, OUTPUT_PREFIX, OUTPUT_MAX_BYTES, OUTPUT_URL_BASE and
+     * OUTPUT_URL_EXPIRES environment variables.
+     * @param {S3} s3 - The Amazon S3 client to use, a new client by default.
+     */
+    static fromEnvironment(s3) {
+        const { OUTPUT_BUCKET, OUTPUT_PREFIX, OUTPUT_MAX_BYTES, OUTPUT_URL_BASE, OUTPUT_URL_EXPIRES } = process.env;
+        return new OutputStore({
+            bucket: OUTPUT_BUCKET || undefined,
+            prefix: OUTPUT_PREFIX || undefined,
+            maxBytes: OUTPUT_MAX_BYTES ? Number(OUTPUT_MAX_BYTES) : undefined,
+            baseUrl: OUTPUT_URL_BASE || undefined,
+            expires: OUTPUT_URL_EXPIRES ? Number(OUTPUT_URL_EXPIRES) : undefined
+        }, s3);
+    }
+
+    /**
+     * Returns true if an output bucket is configured.
+     */
+    isEnabled() {
+        return this.bucket !== undefined;
+    }
+
+    /**
+     * Returns true if a base64-encoded body exceeds the size threshold.
+     * @param {String} body - The base64-encoded processed image.
+     */
+    isTooLarge(body) {
+        return body.length > this.maxBytes;
+    }
+
+    /**
+     * Stores a processed image with the Content-Type, Cache-Control and
+     * Expires headers of its response, and returns the URL to redirect to
+     * along with the Cache-Control header of the redirect. Redirects to a
+     * presigned URL are cached for half of its lifetime.
+     * @param {Buffer} body - The processed image.
+     * @param {ImageRequest} request - The image request the output is stored for.
+     * @return {Promise} - The { url, cacheControl } of the redirect or an error.
+     */
+    async store(body, request) {
+        let s3 = this.s3;
+        if (s3 === undefined) {
+            const S3 = require('aws-sdk/clients/s3');
+            s3 = new S3();
+        }
+        const key = this.prefix + crypto.createHash('sha256').update(body).digest('hex');
+        try {
+            const params = {
+                Bucket: this.bucket,
+                Key: key,
+                Body: body,
+                ContentType: request.ContentType,
+                CacheControl: request.CacheControl
+            };
+            if (request.Expires !== undefined) {
+                params.Expires = new Date(request.Expires);
+            }
+            await s3.putObject(params).promise();
+
+            if (this.baseUrl !== undefined) {
+                const url = this.baseUrl.replace(/\/*$/, '/') + key.split('/').map(encodeURIComponent).join('/');
+                return Promise.resolve({ url, cacheControl: request.CacheControl });
+            }
+            const url = await new Promise((resolve, reject) => {
+                s3.getSignedUrl('getObject', { Bucket: this.bucket, Key: key, Expires: this.expires }, (err, signedUrl) => {
+                    return err ? reject(err) : resolve(signedUrl);
+                });
+            });
+            return Promise.resolve({ url, cacheControl: `max-age=${Math.floor(this.expires / 2)},public` });
+        } catch (err) {
+            return Promise.reject({
+                status: 500,
+                code: 'OutputStore::StoreFailed',
+                message: `The processed image is too large to be returned and could not be stored: ${err.message}`
+            });
+        }
+    }
+}
+
+// Exports
+module.exports = OutputStore;
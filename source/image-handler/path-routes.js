@@ -0,0 +1,105 @@
+/*********************************************************************************************************************
+ *  Copyright 2019 Amazon.com, Inc. or its affiliates. All Rights Reserved.                                           *
+ *                                                                                                                    *
+ *  Licensed under the Apache License, Version 2.0 (the "License"). You may not use this file except in compliance    *
+ *  with the License. A copy of the License is located at                                                             *
+ *                                                                                                                    *
+ *      http://www.apache.org/licenses/LICENSE-2.0                                                                    *
+ *                                                                                                                    *
+ *  or in the 'license' file accompanying this file. This file is distributed on an 'AS IS' BASIS, WITHOUT WARRANTIES *
+ *  OR CONDITIONS OF ANY KIND, express or implied. See the License for the specific language governing permissions    *
+ *  and limitations under the License.                                                                                *
+ *********************************************************************************************************************/
+
+
+// Path routes compiled from the current configuration, reused across warm invocations
+let cached;
+
+class PathRoutes {
+
+    /**
+     * Compiles an ordered list of path routes, each mapping the leading path
+     * segments of an image key to a source bucket. Throws an error naming the
+     * offending route if one of them is not valid.
+     * @param {Array} routes - List of { path, bucket, prefix } routes.
+     * @param {Boolean} fallback - True if keys matching no route are read from the default bucket.
+     */
+    constructor(routes, fallback = true) {
+        if (!Array.isArray(routes)) {
+            throw new Error('PathRoutes::InvalidConfiguration: the path routes must be a JSON array.');
+        }
+        this.routes = routes.map((route, index) => {
+            if (route === null || typeof route !== 'object' || typeof route.path !== 'string' || typeof route.bucket !== 'string'
+                || route.path.replace(/^\/+|\/+$/g, '') === '' || route.bucket === '') {
+                throw new Error(`PathRoutes::InvalidConfiguration: the path route #${index} must define a non-empty "path" and "bucket".`);
+            }
+            if (route.prefix !== undefined && typeof route.prefix !== 'string') {
+                throw new Error(`PathRoutes::InvalidConfiguration: the "prefix" of the path route "${route.path}" must be a string.`);
+            }
+            return {
+                path: route.path.replace(/^\/+|\/+$/g, ''),
+                bucket: route.bucket,
+                prefix: route.prefix || ''
+            };
+        });
+        this.fallback = fallback;
+    }
+
+    /**
+     * Returns the path routes for the current configuration, read from the
+     * PATH_BUCKET_ROUTES environment variable (a JSON array). Keys matching no
+     * route are read from the default bucket unless PATH_BUCKET_ROUTES_FALLBACK
+     * is "No".
+     */
+    static fromEnvironment() {
+        const { PATH_BUCKET_ROUTES, PATH_BUCKET_ROUTES_FALLBACK } = process.env;
+        const configuration = [PATH_BUCKET_ROUTES, PATH_BUCKET_ROUTES_FALLBACK].join('\n');
+        if (cached !== undefined && cached.configuration === configuration) {
+            return cached.pathRoutes;
+        }
+
+        let routes = [];
+        try {
+            if (PATH_BUCKET_ROUTES) {
+                routes = JSON.parse(PATH_BUCKET_ROUTES);
+            }
+        } catch (err) {
+            throw new Error(`PathRoutes::InvalidConfiguration: the path routes could not be read: ${err.message}`);
+        }
+
+        const pathRoutes = new PathRoutes(routes, PATH_BUCKET_ROUTES_FALLBACK !== 'No');
+        cached = { configuration, pathRoutes };
+        return pathRoutes;
+    }
+
+    /**
+     * Returns the bucket and key of the first route matching the leading path
+     * segments of the image key, the matched segments being replaced by the
+     * key prefix of the route. Returns undefined if no route matches and keys
+     * fall back to the default bucket, or if no route is configured.
+     * @param {String} key - The image key parsed from the request path.
+     */
+    resolve(key) {
+        if (this.routes.length === 0) {
+            return undefined;
+        }
+        const route = this.routes.find(route => key.startsWith(`${route.path}/`));
+        if (route !== undefined) {
+            return {
+                bucket: route.bucket,
+                key: route.prefix + key.substring(route.path.length + 1)
+            };
+        }
+        if (this.fallback) {
+            return undefined;
+        }
+        throw ({
+            status: 404,
+            code: 'ImageBucket::NoMatchingRoute',
+            message: 'The image you specified could not be found. Please check that its path starts with one of the PATH_BUCKET_ROUTES.'
+        });
+    }
+}
+
+// Exports
+module.exports = PathRoutes;
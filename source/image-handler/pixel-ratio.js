@@ -0,0 +1,106 @@
+/*********************************************************************************************************************
+ *  Copyright 2019 Amazon.com, Inc. or its affiliates. All Rights Reserved.                                           *
+ *                                                                                                                    *
+ *  Licensed under the Apache License, Version 2.0 (the "License"). You may not use this file except in compliance    *
+ *  with the License. A copy of the License is located at                                                             *
+ *                                                                                                                    *
+ *      http://www.apache.org/licenses/LICENSE-2.0                                                                    *
+ *                                                                                                                    *
+ *  or in the 'license' file accompanying this file. This file is distributed on an 'AS IS' BASIS, WITHOUT WARRANTIES *
+ *  OR CONDITIONS OF ANY KIND, express or implied. See the License for the specific language governing permissions    *
+ *  and limitations under the License.                                                                                *
+ *********************************************************************************************************************/
+
+
+const Limits = require('./limits');
+
+class PixelRatio {
+
+    /**
+     * Scales the pixel values of image edits for a device pixel ratio.
+     * @param {Number} maxDpr - The highest device pixel ratio applied.
+     * @param {Number} maxWidth - The highest width of a scaled image.
+     * @param {Number} maxHeight - The highest height of a scaled image.
+     * @param {Number} maxPixels - The highest pixel count of a scaled image.
+     */
+    constructor(maxDpr = 3, maxWidth = 16383, maxHeight = 16383, maxPixels = 100000000) {
+        this.maxDpr = maxDpr;
+        this.maxWidth = maxWidth;
+        this.maxHeight = maxHeight;
+        this.maxPixels = maxPixels;
+    }
+
+    /**
+     * Returns the pixel ratio scaling for the current configuration, capped by
+     * the MAX_DPR environment variable and the output dimension limits.
+     * @param {Limits} limits - The limits of the request, those of the configuration by default.
+     */
+    static fromEnvironment(limits = Limits.fromEnvironment()) {
+        return new PixelRatio(Number(process.env.MAX_DPR) || undefined, limits.maxOutputWidth, limits.maxOutputHeight, limits.maxOutputPixels);
+    }
+
+    /**
+     * Returns the device pixel ratio actually applied to the edits: the
+     * requested ratio, lowered so that it does not exceed MAX_DPR and the
+     * scaled resize dimensions stay within the output dimension and pixel
+     * count limits. The ratio is never lowered below 1.
+     * @param {Number} dpr - The requested device pixel ratio.
+     * @param {Object} resize - The resize edit of the request.
+     */
+    clamp(dpr, resize) {
+        const limits = [ dpr, this.maxDpr ];
+        if (resize.width) {
+            limits.push(this.maxWidth / resize.width);
+        }
+        if (resize.height) {
+            limits.push(this.maxHeight / resize.height);
+        }
+        if (resize.width && resize.height) {
+            limits.push(Math.sqrt(this.maxPixels / (resize.width * resize.height)));
+        }
+        return Math.max(Math.min(...limits), Math.min(dpr, 1));
+    }
+
+    /**
+     * Multiplies the resize dimensions, the padding of the extend edit and the
+     * pixel offsets of the overlay by the device pixel ratio, so that overlays
+     * keep their position relative to the image. Edits without resize
+     * dimensions are returned unchanged, as the image keeps its own size.
+     * @param {Object} edits - The edits of the request.
+     * @param {Number} dpr - The requested device pixel ratio.
+     * @return {Object} - The scaled edits and the device pixel ratio applied, if any.
+     */
+    scale(edits, dpr) {
+        const resize = (edits !== undefined) ? edits.resize : undefined;
+        if (resize === undefined || (!resize.width && !resize.height)) {
+            return { edits, dpr: undefined };
+        }
+        const ratio = this.clamp(dpr, resize);
+        const multiply = (value) => Math.round(value * ratio);
+        const result = Object.assign({}, edits, { resize: Object.assign({}, resize) });
+
+        ['width', 'height'].filter(dimension => resize[dimension]).forEach((dimension) => {
+            result.resize[dimension] = multiply(resize[dimension]);
+        });
+        if (typeof edits.extend === 'number') {
+            result.extend = multiply(edits.extend);
+        } else if (edits.extend !== undefined) {
+            result.extend = Object.assign({}, edits.extend);
+            ['top', 'bottom', 'left', 'right'].filter(side => edits.extend[side] !== undefined).forEach((side) => {
+                result.extend[side] = multiply(edits.extend[side]);
+            });
+        }
+        if (edits.overlayWith !== undefined && edits.overlayWith.options !== undefined) {
+            const options = Object.assign({}, edits.overlayWith.options);
+            // Offsets ending with "p" are percentages of the image and are kept
+            ['left', 'top'].filter(offset => options[offset] !== undefined && !String(options[offset]).endsWith('p')).forEach((offset) => {
+                options[offset] = String(multiply(parseInt(options[offset])));
+            });
+            result.overlayWith = Object.assign({}, edits.overlayWith, { options });
+        }
+        return { edits: result, dpr: ratio };
+    }
+}
+
+// Exports
+module.exports = PixelRatio;
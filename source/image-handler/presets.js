@@ -0,0 +1,154 @@
+/*********************************************************************************************************************
+ *  Copyright 2019 Amazon.com, Inc. or its affiliates. All Rights Reserved.                                           *
+ *                                                                                                                    *
+ *  Licensed under the Apache License, Version 2.0 (the "License"). You may not use this file except in compliance    *
+ *  with the License. A copy of the License is located at                                                             *
+ *                                                                                                                    *
+ *      http://www.apache.org/licenses/LICENSE-2.0                                                                    *
+ *                                                                                                                    *
+ *  or in the 'license' file accompanying this file. This file is distributed on an 'AS IS' BASIS, WITHOUT WARRANTIES *
+ *  OR CONDITIONS OF ANY KIND, express or implied. See the License for the specific language governing permissions    *
+ *  and limitations under the License.                                                                                *
+ *********************************************************************************************************************/
+
+const fs = require('fs');
+const path = require('path');
+const Logger = require('./logger');
+
+// Presets loaded for the current configuration, reused across warm invocations
+let cached;
+
+class Presets {
+
+    /**
+     * Holds the named presets of the image handler. Each preset is an object
+     * with the "edits" it applies and, optionally, its "outputFormat".
+     * @param {Object} presets - The presets, keyed by name.
+     */
+    constructor(presets) {
+        if (presets === null || typeof presets !== 'object' || Array.isArray(presets)) {
+            throw ({
+                status: 500,
+                code: 'ImagePreset::InvalidConfiguration',
+                message: 'The presets could not be read. Please check that they are a JSON object keyed by preset name.'
+            });
+        }
+        this.presets = presets;
+    }
+
+    /**
+     * Returns the presets for the current configuration. Presets are read from
+     * the PRESETS environment variable (a JSON object), from the JSON file named
+     * by PRESETS_FILE, relative to the function root, or from the JSON document
+     * at PRESETS_KEY in the PRESETS_BUCKET Amazon S3 bucket. The document is
+     * revalidated with its ETag once it is older than PRESETS_TTL seconds (60
+     * by default), and the previous presets are kept if it cannot be read.
+     * @return {Promise} - The presets or an error.
+     */
+    static async fromEnvironment() {
+        const { PRESETS, PRESETS_FILE, PRESETS_BUCKET, PRESETS_KEY, PRESETS_TTL } = process.env;
+        const configuration = [PRESETS, PRESETS_FILE, PRESETS_BUCKET, PRESETS_KEY, PRESETS_TTL].join('\n');
+        const fromBucket = !PRESETS && !PRESETS_FILE && PRESETS_BUCKET && PRESETS_KEY;
+        const ttl = (PRESETS_TTL === undefined || PRESETS_TTL === '') ? 60 : Number(PRESETS_TTL);
+        const previous = (cached !== undefined && cached.configuration === configuration) ? cached : undefined;
+        if (previous !== undefined && (!fromBucket || Date.now() < previous.expires)) {
+            return Promise.resolve(previous.presets);
+        }
+
+        let document = '{}';
+        let etag;
+        try {
+            if (!(ttl >= 0)) {
+                throw new Error('PRESETS_TTL must be a number of seconds.');
+            }
+            if (PRESETS) {
+                document = PRESETS;
+            } else if (PRESETS_FILE) {
+                document = fs.readFileSync(path.resolve(__dirname, PRESETS_FILE), 'utf8');
+            } else if (fromBucket) {
+                const S3 = require('aws-sdk/clients/s3');
+                const s3 = new S3();
+                const params = { Bucket: PRESETS_BUCKET, Key: PRESETS_KEY };
+                if (previous !== undefined && previous.etag !== undefined) {
+                    params.IfNoneMatch = previous.etag;
+                }
+                let presetsObject;
+                try {
+                    presetsObject = await s3.getObject(params).promise();
+                } catch (err) {
+                    if (previous !== undefined && (err.code === 'NotModified' || err.statusCode === 304)) {
+                        // The document has not changed since it was read
+                        previous.expires = Date.now() + ttl * 1000;
+                        return Promise.resolve(previous.presets);
+                    }
+                    throw err;
+                }
+                document = presetsObject.Body.toString();
+                etag = presetsObject.ETag;
+            }
+            const presets = new Presets(JSON.parse(document));
+            cached = { configuration, presets, etag, expires: Date.now() + ttl * 1000 };
+            return Promise.resolve(presets);
+        } catch (err) {
+            if (previous !== undefined) {
+                // Keep serving the presets of warm invocations until the document can be read again
+                Logger.fromEnvironment().warn('Presets could not be refreshed', { errorCode: err.code, error: err });
+                previous.expires = Date.now() + ttl * 1000;
+                return Promise.resolve(previous.presets);
+            }
+            return Promise.reject((err.status !== undefined) ? err : {
+                status: 500,
+                code: 'ImagePreset::InvalidConfiguration',
+                message: `The presets could not be read: ${err.message}`
+            });
+        }
+    }
+
+    /**
+     * Returns the preset with the provided name.
+     * @param {String} name - The name of the preset.
+     */
+    get(name) {
+        if (!Object.prototype.hasOwnProperty.call(this.presets, name)) {
+            throw ({
+                status: 400,
+                code: 'ImagePreset::PresetNotFound',
+                message: `The preset "${name}" you specified could not be found. Please check the spelling of the preset name in your request.`
+            });
+        }
+        return this.presets[name];
+    }
+
+    /**
+     * Returns a copy of the edits of the preset with the provided name, with
+     * the edits of the request merged on top of them.
+     * @param {String} name - The name of the preset.
+     * @param {Object} edits - The edits of the request, if any.
+     */
+    expand(name, edits) {
+        const preset = this.get(name);
+        // Requests get their own copy, so that no edit can change the cached preset
+        const presetEdits = JSON.parse(JSON.stringify(preset.edits || {}));
+        return this.merge(presetEdits, edits || {});
+    }
+
+    /**
+     * Deep merges two sets of edits. Options of the same operation are merged,
+     * and values of the second set take precedence.
+     * @param {Object} base - The edits to merge into.
+     * @param {Object} overrides - The edits taking precedence.
+     */
+    merge(base, overrides) {
+        const isObject = (value) => value !== null && typeof value === 'object' && !Array.isArray(value);
+        const merged = { ...base };
+        Object.keys(overrides).forEach((key) => {
+            merged[key] = (isObject(merged[key]) && isObject(overrides[key]))
+                ? this.merge(merged[key], overrides[key])
+                : overrides[key];
+        });
+        return merged;
+    }
+}
+
+// Exports
+module.exports = Presets;
@@ -0,0 +1,196 @@
+/*********************************************************************************************************************
+ *  Copyright 2019 Amazon.com, Inc. or its affiliates. All Rights Reserved.                                           *
+ *                                                                                                                    *
+ *  Licensed under the Apache License, Version 2.0 (the "License"). You may not use this file except in compliance    *
+ *  with the License. A copy of the License is located at                                                             *
+ *                                                                                                                    *
+ *      http://www.apache.org/licenses/LICENSE-2.0                                                                    *
+ *                                                                                                                    *
+ *  or in the 'license' file accompanying this file. This file is distributed on an 'AS IS' BASIS, WITHOUT WARRANTIES *
+ *  OR CONDITIONS OF ANY KIND, express or implied. See the License for the specific language governing permissions    *
+ *  and limitations under the License.                                                                                *
+ *********************************************************************************************************************/
+
+const Color = require('color');
+const ColorName = require('color-name');
+
+// Supported query string parameters, "preset" being expanded by the image request
+const parameters = ['w', 'h', 'fit', 'crop', 'fm', 'q', 'dpr', 'blur', 'flip', 'rot', 'bg', 'preset'];
+
+// Sharp resize options for each supported "fit" value
+const fitModes = {
+    clip: { fit: 'inside' },
+    crop: { fit: 'cover' },
+    fill: { fit: 'contain' },
+    max: { fit: 'inside', withoutEnlargement: true },
+    min: { fit: 'cover', withoutEnlargement: true },
+    scale: { fit: 'fill' }
+};
+
+// Sharp gravities for each supported "crop" value
+const cropPositions = {
+    top: 'north',
+    bottom: 'south',
+    left: 'west',
+    right: 'east',
+    'top,left': 'northwest',
+    'top,right': 'northeast',
+    'bottom,left': 'southwest',
+    'bottom,right': 'southeast',
+    center: 'centre',
+    entropy: 'entropy',
+    faces: 'attention'
+};
+
+// Sharp output formats for each supported "fm" value
+const formats = {
+    jpg: 'jpeg',
+    jpeg: 'jpeg',
+    png: 'png',
+    webp: 'webp',
+    tiff: 'tiff',
+    avif: 'avif'
+};
+
+class QueryMapping {
+
+    // Constructor
+    constructor() {
+        this.edits = {};
+    }
+
+    /**
+     * Returns true if the query string of the request contains at least one of
+     * the supported query string parameters.
+     * @param {Object} event - The request body.
+     */
+    static hasEdits(event) {
+        const query = event.queryStringParameters || {};
+        return Object.keys(query).some(key => parameters.includes(key));
+    }
+
+    /**
+     * Initializer function for creating a new query string mapping, used by the
+     * image handler to perform image modifications based on imgix-style query
+     * string parameters. The edits are always built in the same order, so the
+     * order of the parameters in the URL does not change the result.
+     * @param {Object} event - The request body.
+     */
+    process(event) {
+        const query = event.queryStringParameters || {};
+        const filetype = (event.path.split('.'))[(event.path.split('.')).length - 1].toLowerCase();
+
+        // Resize
+        if (query.w !== undefined || query.h !== undefined || query.fit !== undefined) {
+            const fit = (query.fit !== undefined) ? query.fit : 'clip';
+            if (fitModes[fit] === undefined) {
+                throw this.invalidParameter('fit', query.fit);
+            }
+            this.edits.resize = { ...fitModes[fit] };
+            if (query.w !== undefined) {
+                this.edits.resize.width = this.parseNumber('w', query.w, 1);
+            }
+            if (query.h !== undefined) {
+                this.edits.resize.height = this.parseNumber('h', query.h, 1);
+            }
+            if (query.crop !== undefined) {
+                const sides = ['top', 'bottom', 'left', 'right'];
+                const crop = query.crop.split(',').sort((a, b) => sides.indexOf(a) - sides.indexOf(b)).join(',');
+                if (cropPositions[crop] === undefined) {
+                    throw this.invalidParameter('crop', query.crop);
+                }
+                this.edits.resize.position = cropPositions[crop];
+            }
+            if (query.bg !== undefined && fit === 'fill') {
+                this.edits.resize.background = this.parseColor(query.bg);
+            }
+        }
+
+        // Orientation
+        if (query.flip !== undefined) {
+            if (!['h', 'v', 'hv', 'vh'].includes(query.flip)) {
+                throw this.invalidParameter('flip', query.flip);
+            }
+            if (query.flip.includes('v')) {
+                this.edits.flip = true;
+            }
+            if (query.flip.includes('h')) {
+                this.edits.flop = true;
+            }
+        }
+        if (query.rot !== undefined) {
+            this.edits.rotate = this.parseNumber('rot', query.rot, 0, 359);
+        }
+
+        // Filters
+        if (query.blur !== undefined) {
+            const blur = this.parseNumber('blur', query.blur, 0, 2000);
+            if (blur > 0) {
+                this.edits.blur = Math.max(blur / 2, 0.3);
+            }
+        }
+        if (query.bg !== undefined && this.edits.resize === undefined) {
+            this.edits.flatten = { background: this.parseColor(query.bg) };
+        }
+
+        // Output
+        let format = formats[filetype];
+        if (query.fm !== undefined) {
+            if (formats[query.fm] === undefined) {
+                throw this.invalidParameter('fm', query.fm);
+            }
+            format = formats[query.fm];
+            this.edits.toFormat = format;
+        }
+        if (query.q !== undefined && format !== undefined) {
+            this.edits[format] = { quality: this.parseNumber('q', query.q, 1, 100) };
+        }
+
+        return this;
+    }
+
+    /**
+     * Parses a numeric query string parameter and checks that it is within the
+     * accepted range.
+     * @param {String} name - The name of the query string parameter.
+     * @param {String} value - The value of the query string parameter.
+     * @param {Number} min - The minimum accepted value.
+     * @param {Number} max - The maximum accepted value, if any.
+     */
+    parseNumber(name, value, min, max) {
+        const number = Number(value);
+        if (value === '' || isNaN(number) || number < min || (max !== undefined && number > max)) {
+            throw this.invalidParameter(name, value);
+        }
+        return number;
+    }
+
+    /**
+     * Parses a color query string parameter, given either as a hex value
+     * without the leading "#" or as a color name.
+     * @param {String} value - The value of the query string parameter.
+     */
+    parseColor(value) {
+        try {
+            return Color(ColorName[value] ? value : `#${value}`).object();
+        } catch (err) {
+            throw this.invalidParameter('bg', value);
+        }
+    }
+
+    /**
+     * Returns the error thrown for an invalid query string parameter value.
+     * @param {String} name - The name of the query string parameter.
+     * @param {String} value - The value of the query string parameter.
+     */
+    invalidParameter(name, value) {
+        return {
+            status: 400,
+            code: 'QueryMapping::InvalidParameter',
+            message: `The value "${value}" of the query string parameter "${name}" is not valid. Please refer to the documentation for the supported query string parameters and values.`
+        };
+    }
+}
+
+// Exports
+module.exports = QueryMapping;
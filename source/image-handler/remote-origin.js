@@ -0,0 +1,208 @@
+/*********************************************************************************************************************
+ *  Copyright 2019 Amazon.com, Inc. or its affiliates. All Rights Reserved.                                           *
+ *                                                                                                                    *
+ *  Licensed under the Apache License, Version 2.0 (the "License"). You may not use this file except in compliance    *
+ *  with the License. A copy of the License is located at                                                             *
+ *                                                                                                                    *
+ *      http://www.apache.org/licenses/LICENSE-2.0                                                                    *
+ *                                                                                                                    *
+ *  or in the 'license' file accompanying this file. This file is distributed on an 'AS IS' BASIS, WITHOUT WARRANTIES *
+ *  OR CONDITIONS OF ANY KIND, express or implied. See the License for the specific language governing permissions    *
+ *  and limitations under the License.                                                                                *
+ *********************************************************************************************************************/
+
+
+const http = require('http');
+const https = require('https');
+const RequestDeadline = require('./request-deadline');
+
+// Magic bytes of the supported image formats
+const signatures = [
+    { contentType: 'image/jpeg', test: body => body.length >= 3 && body[0] === 0xFF && body[1] === 0xD8 && body[2] === 0xFF },
+    { contentType: 'image/png', test: body => body.slice(0, 8).equals(Buffer.from([0x89, 0x50, 0x4E, 0x47, 0x0D, 0x0A, 0x1A, 0x0A])) },
+    { contentType: 'image/gif', test: body => body.slice(0, 4).toString('latin1') === 'GIF8' },
+    { contentType: 'image/webp', test: body => body.slice(0, 4).toString('latin1') === 'RIFF' && body.slice(8, 12).toString('latin1') === 'WEBP' },
+    { contentType: 'image/tiff', test: body => ['II*\u0000', 'MM\u0000*'].includes(body.slice(0, 4).toString('latin1')) },
+    { contentType: 'image/heif', test: body => body.slice(4, 8).toString('latin1') === 'ftyp' && ['heic', 'heix', 'mif1', 'msf1'].includes(body.slice(8, 12).toString('latin1')) }
+];
+
+class RemoteOrigin {
+
+    /**
+     * Fetches original images from remote URLs whose host is allowlisted.
+     * @param {Object} options - The "allowedHosts" ("*.example.com" matches any
+     * subdomain), the "maxBytes" of an image, the "timeout" of each request
+     * in milliseconds, from its start to the end of its body, and the
+     * "maxRedirects" followed.
+     */
+    constructor(options) {
+        this.allowedHosts = options.allowedHosts.map(host => host.toLowerCase());
+        this.maxBytes = options.maxBytes;
+        this.timeout = options.timeout;
+        this.maxRedirects = options.maxRedirects;
+    }
+
+    /**
+     * Returns the remote origin configured by the ORIGIN_ALLOWED_HOSTS,
+     * ORIGIN_MAX_BYTES, ORIGIN_TIMEOUT and ORIGIN_MAX_REDIRECTS environment
+     * variables.
+     */
+    static fromEnvironment() {
+        const { ORIGIN_ALLOWED_HOSTS, ORIGIN_MAX_BYTES, ORIGIN_TIMEOUT, ORIGIN_MAX_REDIRECTS } = process.env;
+        const number = (value, defaultValue) => (value !== undefined && value !== '' && !isNaN(value)) ? Number(value) : defaultValue;
+        return new RemoteOrigin({
+            allowedHosts: (ORIGIN_ALLOWED_HOSTS || '').split(',').map(host => host.trim()).filter(host => host !== ''),
+            maxBytes: number(ORIGIN_MAX_BYTES, 10485760),
+            timeout: number(ORIGIN_TIMEOUT, 5000),
+            maxRedirects: number(ORIGIN_MAX_REDIRECTS, 3)
+        });
+    }
+
+    /**
+     * Returns true if the URL uses HTTP or HTTPS and its host is allowlisted.
+     * @param {String} url - The URL of the image.
+     */
+    isAllowed(url) {
+        let hostname;
+        try {
+            const parsed = new URL(url);
+            if (parsed.protocol !== 'http:' && parsed.protocol !== 'https:') {
+                return false;
+            }
+            hostname = parsed.hostname.toLowerCase();
+        } catch (err) {
+            return false;
+        }
+        return this.allowedHosts.some(host => (host.startsWith('*.'))
+            ? hostname.endsWith(host.substring(1))
+            : hostname === host);
+    }
+
+    /**
+     * Gets an image from a remote URL, following redirects to allowlisted
+     * hosts only. The content type is sniffed from the image itself.
+     * @param {String} url - The URL of the image.
+     * @return {Promise} - The image, in the shape of an Amazon S3 object, or an error.
+     */
+    async getObject(url) {
+        let redirects = 0;
+        let location = url;
+        while (true) {
+            if (!this.isAllowed(location)) {
+                throw ({
+                    status: 403,
+                    code: 'RemoteOrigin::HostNotAllowed',
+                    message: 'The host of the image URL you provided is not allowed. Please check that it is listed in ORIGIN_ALLOWED_HOSTS.'
+                });
+            }
+            const response = await this.request(location);
+            if (response.redirect === undefined) {
+                return response;
+            }
+            if (++redirects > this.maxRedirects) {
+                throw ({
+                    status: 502,
+                    code: 'RemoteOrigin::TooManyRedirects',
+                    message: `The image URL you provided redirected more than ${this.maxRedirects} times.`
+                });
+            }
+            location = new URL(response.redirect, location).toString();
+        }
+    }
+
+    /**
+     * Sends a single GET request to a remote URL. Resolves to the image, or
+     * to the location of a redirect.
+     * @param {String} url - The URL of the image.
+     */
+    request(url) {
+        const client = url.startsWith('https:') ? https : http;
+        return new Promise((resolve, reject) => {
+            const request = client.get(url, { timeout: this.timeout }, (response) => {
+                const { statusCode, headers } = response;
+                if ([301, 302, 303, 307, 308].includes(statusCode) && headers.location) {
+                    response.resume();
+                    resolve({ redirect: headers.location });
+                    return;
+                }
+                if (statusCode !== 200) {
+                    response.resume();
+                    reject((statusCode === 404 || statusCode === 410) ? {
+                        status: 404,
+                        code: 'RemoteOrigin::NotFound',
+                        message: 'The image URL you provided could not be found.'
+                    } : {
+                        status: 502,
+                        code: 'RemoteOrigin::OriginError',
+                        message: `The origin of the image URL you provided responded with HTTP status ${statusCode}.`
+                    });
+                    return;
+                }
+                const tooLarge = {
+                    status: 413,
+                    code: 'RemoteOrigin::TooLarge',
+                    message: `The image at the URL you provided exceeds the limit of ${this.maxBytes} bytes.`
+                };
+                if (Number(headers['content-length']) > this.maxBytes) {
+                    request.destroy();
+                    reject(tooLarge);
+                    return;
+                }
+
+                const chunks = [];
+                let length = 0;
+                response.on('data', (chunk) => {
+                    length += chunk.length;
+                    if (length > this.maxBytes) {
+                        request.destroy();
+                        reject(tooLarge);
+                    } else {
+                        chunks.push(chunk);
+                    }
+                });
+                response.on('error', (err) => {
+                    reject({
+                        status: 502,
+                        code: 'RemoteOrigin::OriginError',
+                        message: err.message
+                    });
+                });
+                response.on('end', () => {
+                    const body = Buffer.concat(chunks);
+                    const signature = signatures.find(signature => signature.test(body));
+                    if (signature === undefined) {
+                        reject({
+                            status: 415,
+                            code: 'RemoteOrigin::UnsupportedContentType',
+                            message: 'The content at the image URL you provided is not a supported image.'
+                        });
+                        return;
+                    }
+                    resolve({
+                        Body: body,
+                        ContentType: signature.contentType,
+                        CacheControl: headers['cache-control'],
+                        Expires: headers['expires'],
+                        LastModified: headers['last-modified'],
+                        ETag: headers['etag']
+                    });
+                });
+            });
+            RequestDeadline.apply(request, this.timeout, () => reject({
+                status: 504,
+                code: 'RemoteOrigin::Timeout',
+                message: `The origin of the image URL you provided did not respond within ${this.timeout} ms.`
+            }));
+            request.on('error', (err) => {
+                reject({
+                    status: 502,
+                    code: 'RemoteOrigin::OriginError',
+                    message: err.message
+                });
+            });
+        });
+    }
+}
+
+// Exports
+module.exports = RemoteOrigin;
@@ -0,0 +1,42 @@
+/*********************************************************************************************************************
+ *  Copyright 2019 Amazon.com, Inc. or its affiliates. All Rights Reserved.                                           *
+ *                                                                                                                    *
+ *  Licensed under the Apache License, Version 2.0 (the "License"). You may not use this file except in compliance    *
+ *  with the License. A copy of the License is located at                                                             *
+ *                                                                                                                    *
+ *      http://www.apache.org/licenses/LICENSE-2.0                                                                    *
+ *                                                                                                                    *
+ *  or in the 'license' file accompanying this file. This file is distributed on an 'AS IS' BASIS, WITHOUT WARRANTIES *
+ *  OR CONDITIONS OF ANY KIND, express or implied. See the License for the specific language governing permissions    *
+ *  and limitations under the License.                                                                                *
+ *********************************************************************************************************************/
+
+class RequestDeadline {
+
+    /**
+     * Bounds the whole duration of an HTTP request. The "timeout" option of
+     * Node.js only bounds the idle periods of the socket, so an origin sending
+     * a byte now and then could otherwise hold the function until it is
+     * stopped. The request is destroyed once the deadline or the socket
+     * timeout is reached, whichever comes first.
+     * @param {ClientRequest} request - The HTTP request, created with a socket timeout.
+     * @param {Number} timeout - The time allowed for the whole request, in milliseconds.
+     * @param {Function} onTimeout - Called once, before the request is destroyed.
+     */
+    static apply(request, timeout, onTimeout) {
+        let expired = false;
+        const expire = () => {
+            if (!expired) {
+                expired = true;
+                onTimeout();
+                request.destroy();
+            }
+        };
+        const deadline = setTimeout(expire, timeout);
+        request.on('timeout', expire);
+        request.on('close', () => clearTimeout(deadline));
+    }
+}
+
+// Exports
+module.exports = RequestDeadline;
@@ -0,0 +1,105 @@
+/*********************************************************************************************************************
+ *  Copyright 2019 Amazon.com, Inc. or its affiliates. All Rights Reserved.                                           *
+ *                                                                                                                    *
+ *  Licensed under the Apache License, Version 2.0 (the "License"). You may not use this file except in compliance    *
+ *  with the License. A copy of the License is located at                                                             *
+ *                                                                                                                    *
+ *      http://www.apache.org/licenses/LICENSE-2.0                                                                    *
+ *                                                                                                                    *
+ *  or in the 'license' file accompanying this file. This file is distributed on an 'AS IS' BASIS, WITHOUT WARRANTIES *
+ *  OR CONDITIONS OF ANY KIND, express or implied. See the License for the specific language governing permissions    *
+ *  and limitations under the License.                                                                                *
+ *********************************************************************************************************************/
+
+const Ajv = require('ajv');
+const ImageEdits = require('./image-edits');
+
+let validateRequest;
+
+class RequestSchema {
+
+    /**
+     * Returns the JSON Schema of the decoded Default image request. The
+     * "edits" property is described by the operation registry, so the schema
+     * always matches the operations the image handler supports.
+     */
+    static getSchema() {
+        return {
+            $schema: 'http://json-schema.org/draft-07/schema#',
+            title: 'Serverless Image Handler Default image request',
+            type: 'object',
+            properties: {
+                bucket: { type: 'string', minLength: 1 },
+                key: { type: 'string', minLength: 1 },
+                url: { type: 'string', pattern: '^https?://' },
+                edits: ImageEdits.getSchema(),
+                preset: { type: 'string', minLength: 1 },
+                outputFormat: { enum: [ 'avif', 'heic', 'heif', 'jpeg', 'png', 'raw', 'tiff', 'webp' ] },
+                dpr: { type: 'number', exclusiveMinimum: 0 },
+                limits: {
+                    type: 'object',
+                    properties: {
+                        maxInputBytes: { type: 'integer', minimum: 1 },
+                        maxInputPixels: { type: 'integer', minimum: 1 },
+                        maxOutputWidth: { type: 'integer', minimum: 1 },
+                        maxOutputHeight: { type: 'integer', minimum: 1 },
+                        maxOutputPixels: { type: 'integer', minimum: 1 },
+                        maxEdits: { type: 'integer', minimum: 1 }
+                    },
+                    additionalProperties: false
+                },
+                debug: { type: 'boolean' },
+                expires: { type: 'integer', minimum: 0 }
+            },
+            // The key is required unless the image is fetched from a remote "url"
+            if: { not: { required: [ 'url' ] } },
+            then: { required: [ 'key' ] },
+            additionalProperties: false
+        };
+    }
+
+    /**
+     * Validates a decoded Default image request against the schema. Throws an
+     * error listing the JSON pointer of every offending field and the reason
+     * it was rejected.
+     * @param {Object} decoded - The decoded Default image request.
+     */
+    validate(decoded) {
+        if (validateRequest === undefined) {
+            validateRequest = new Ajv({ allErrors: true, jsonPointers: true }).compile(RequestSchema.getSchema());
+        }
+        if (validateRequest(decoded)) {
+            return;
+        }
+
+        const errors = [];
+        validateRequest.errors.forEach((error) => {
+            let pointer = error.dataPath;
+            let message = error.message;
+            if (error.keyword === 'if') {
+                return;
+            } else if (error.keyword === 'additionalProperties') {
+                pointer = `${error.dataPath}/${error.params.additionalProperty}`;
+                message = 'is not a supported field';
+            } else if (error.keyword === 'required') {
+                pointer = `${error.dataPath}/${error.params.missingProperty}`;
+                message = 'is required';
+            }
+            if (!errors.some(existing => existing.pointer === pointer && existing.message === message)) {
+                errors.push({ pointer, message });
+            }
+        });
+        // List the errors in the order of the fields of the schema
+        const fields = Object.keys(RequestSchema.getSchema().properties);
+        errors.sort((a, b) => fields.indexOf(a.pointer.split('/')[1]) - fields.indexOf(b.pointer.split('/')[1]));
+        throw ({
+            status: 400,
+            code: 'RequestSchema::InvalidRequest',
+            message: `The image request you provided is not valid: ${errors.map(error => `${error.pointer} ${error.message}`).join('; ')}. Please refer to the documentation for additional guidance.`,
+            errors
+        });
+    }
+}
+
+// Exports
+module.exports = RequestSchema;
@@ -0,0 +1,121 @@
+/*********************************************************************************************************************
+ *  Copyright 2019 Amazon.com, Inc. or its affiliates. All Rights Reserved.                                           *
+ *                                                                                                                    *
+ *  Licensed under the Apache License, Version 2.0 (the "License"). You may not use this file except in compliance    *
+ *  with the License. A copy of the License is located at                                                             *
+ *                                                                                                                    *
+ *      http://www.apache.org/licenses/LICENSE-2.0                                                                    *
+ *                                                                                                                    *
+ *  or in the 'license' file accompanying this file. This file is distributed on an 'AS IS' BASIS, WITHOUT WARRANTIES *
+ *  OR CONDITIONS OF ANY KIND, express or implied. See the License for the specific language governing permissions    *
+ *  and limitations under the License.                                                                                *
+ *********************************************************************************************************************/
+
+const fs = require('fs');
+const path = require('path');
+
+// Rewrite rules compiled from the current configuration, reused across warm invocations
+let cached;
+
+class RewriteRules {
+
+    /**
+     * Compiles an ordered list of named rewrite rules. Throws an error naming
+     * the offending rule if one of them is not valid.
+     * @param {Array} rules - List of { name, match, flags, substitution, bucket } rules.
+     */
+    constructor(rules) {
+        if (!Array.isArray(rules)) {
+            throw new Error('RewriteRules::InvalidConfiguration: the rewrite rules must be a JSON array.');
+        }
+        this.rules = rules.map((rule, index) => {
+            const name = (rule && rule.name !== undefined) ? rule.name : `#${index}`;
+            if (rule === null || typeof rule !== 'object' || rule.match === undefined || typeof rule.substitution !== 'string') {
+                throw new Error(`RewriteRules::InvalidConfiguration: the rewrite rule "${name}" must define "match" and "substitution".`);
+            }
+            let pattern;
+            try {
+                pattern = (rule.match instanceof RegExp) ? rule.match : this.parsePattern(rule.match, rule.flags);
+            } catch (err) {
+                throw new Error(`RewriteRules::InvalidConfiguration: the rewrite rule "${name}" has an invalid pattern: ${err.message}`);
+            }
+            return {
+                name,
+                pattern,
+                substitution: rule.substitution,
+                bucket: rule.bucket,
+                fallback: rule.fallback === true
+            };
+        });
+    }
+
+    /**
+     * Returns the rewrite rules for the current configuration. Named rules are
+     * read from the REWRITE_RULES environment variable (a JSON array) or from
+     * the JSON file named by REWRITE_RULES_FILE, relative to the function root.
+     * The legacy REWRITE_MATCH_PATTERN / REWRITE_SUBSTITUTION pair, if set, is
+     * added as a last rule named "default" that applies to every path.
+     */
+    static fromEnvironment() {
+        const { REWRITE_RULES, REWRITE_RULES_FILE, REWRITE_MATCH_PATTERN, REWRITE_SUBSTITUTION } = process.env;
+        const configuration = [REWRITE_RULES, REWRITE_RULES_FILE, String(REWRITE_MATCH_PATTERN), String(REWRITE_SUBSTITUTION)].join('\n');
+        if (cached !== undefined && cached.configuration === configuration) {
+            return cached.rewriteRules;
+        }
+
+        let rules = [];
+        try {
+            if (REWRITE_RULES) {
+                rules = JSON.parse(REWRITE_RULES);
+            } else if (REWRITE_RULES_FILE) {
+                rules = JSON.parse(fs.readFileSync(path.resolve(__dirname, REWRITE_RULES_FILE), 'utf8'));
+            }
+        } catch (err) {
+            throw new Error(`RewriteRules::InvalidConfiguration: the rewrite rules could not be read: ${err.message}`);
+        }
+        if (REWRITE_MATCH_PATTERN !== undefined && REWRITE_MATCH_PATTERN !== '' && REWRITE_SUBSTITUTION !== undefined && REWRITE_SUBSTITUTION !== '') {
+            rules = rules.concat([{ name: 'default', match: REWRITE_MATCH_PATTERN, substitution: REWRITE_SUBSTITUTION, fallback: true }]);
+        }
+
+        const rewriteRules = new RewriteRules(rules);
+        cached = { configuration, rewriteRules };
+        return rewriteRules;
+    }
+
+    /**
+     * Returns the first rule matching the path, along with the rewritten path,
+     * or undefined if no rule matches.
+     * @param {String} requestPath - The URL path extracted from the web request.
+     */
+    match(requestPath) {
+        for (const rule of this.rules) {
+            rule.pattern.lastIndex = 0;
+            if (rule.fallback || rule.pattern.test(requestPath)) {
+                rule.pattern.lastIndex = 0;
+                return {
+                    name: rule.name,
+                    bucket: rule.bucket,
+                    path: requestPath.replace(rule.pattern, rule.substitution)
+                };
+            }
+        }
+        return undefined;
+    }
+
+    /**
+     * Parses a pattern given either as a regular expression literal such as
+     * "/(filters-)/gm" or as the source of a regular expression.
+     * @param {String} match - The pattern of the rewrite rule.
+     * @param {String} flags - The flags of the regular expression, if not part of the pattern.
+     */
+    parsePattern(match, flags) {
+        const literal = /^\/(.+)\/([gimsuy]*)$/.exec(match);
+        if (literal && flags === undefined) {
+            return new RegExp(literal[1], literal[2]);
+        }
+        return new RegExp(match, flags);
+    }
+}
+
+// Exports
+module.exports = RewriteRules;
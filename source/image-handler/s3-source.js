@@ -0,0 +1,89 @@
+/*********************************************************************************************************************
+ *  Copyright 2019 Amazon.com, Inc. or its affiliates. All Rights Reserved.                                           *
+ *                                                                                                                    *
+ *  Licensed under the Apache License, Version 2.0 (the "License"). You may not use this file except in compliance    *
+ *  with the License. A copy of the License is located at                                                             *
+ *                                                                                                                    *
+ *      http://www.apache.org/licenses/LICENSE-2.0                                                                    *
+ *                                                                                                                    *
+ *  or in the 'license' file accompanying this file. This file is distributed on an 'AS IS' BASIS, WITHOUT WARRANTIES *
+ *  OR CONDITIONS OF ANY KIND, express or implied. See the License for the specific language governing permissions    *
+ *  and limitations under the License.                                                                                *
+ *********************************************************************************************************************/
+
+
+const Limits = require('./limits');
+
+class S3Source {
+
+    /**
+     * Image source reading objects from Amazon S3.
+     * @param {S3} s3 - The Amazon S3 client to use, a new client by default.
+     * @param {Number} maxBytes - The maximum size of an object, MAX_INPUT_BYTES by default.
+     */
+    constructor(s3, maxBytes) {
+        this.s3 = s3;
+        this.maxBytes = (maxBytes !== undefined) ? maxBytes : Limits.fromEnvironment().maxInputBytes;
+    }
+
+    /**
+     * Gets an object from an Amazon S3 bucket. Objects larger than the maximum
+     * size are rejected from their Content-Length, before their body is read.
+     * @param {String} bucket - The name of the bucket containing the object.
+     * @param {String} key - The key name corresponding to the object.
+     * @param {String} ifNoneMatch - The ETag of a cached copy, if any, answered
+     * with a "NotModified" error while it is current.
+     * @return {Promise} - The object, as returned by Amazon S3, or an error.
+     */
+    async getObject(bucket, key, ifNoneMatch) {
+        let s3 = this.s3;
+        if (s3 === undefined) {
+            const S3 = require('aws-sdk/clients/s3');
+            s3 = new S3();
+        }
+        const params = { Bucket: bucket, Key: key };
+        if (ifNoneMatch !== undefined) {
+            params.IfNoneMatch = ifNoneMatch;
+        }
+        const request = s3.getObject(params);
+        let contentLength;
+        if (typeof request.on === 'function') {
+            request.on('httpHeaders', (statusCode, headers) => {
+                if (statusCode === 200 && Number(headers['content-length']) > this.maxBytes) {
+                    contentLength = Number(headers['content-length']);
+                    request.abort();
+                }
+            });
+        }
+        try {
+            return await request.promise();
+        } catch (err) {
+            if (contentLength !== undefined) {
+                throw ({
+                    code: 'ImageLimits::InputTooLarge',
+                    message: `The original image is ${contentLength} bytes, more than the ${this.maxBytes} bytes allowed.`,
+                    statusCode: 413
+                });
+            }
+            throw err;
+        }
+    }
+
+    /**
+     * Gets the metadata of an object from an Amazon S3 bucket, without its body.
+     * @param {String} bucket - The name of the bucket containing the object.
+     * @param {String} key - The key name corresponding to the object.
+     * @return {Promise} - The metadata, as returned by Amazon S3, or an error.
+     */
+    async headObject(bucket, key) {
+        let s3 = this.s3;
+        if (s3 === undefined) {
+            const S3 = require('aws-sdk/clients/s3');
+            s3 = new S3();
+        }
+        return s3.headObject({ Bucket: bucket, Key: key }).promise();
+    }
+}
+
+// Exports
+module.exports = S3Source;
@@ -0,0 +1,115 @@
+/*********************************************************************************************************************
+ *  Copyright 2019 Amazon.com, Inc. or its affiliates. All Rights Reserved.                                           *
+ *                                                                                                                    *
+ *  Licensed under the Apache License, Version 2.0 (the "License"). You may not use this file except in compliance    *
+ *  with the License. A copy of the License is located at                                                             *
+ *                                                                                                                    *
+ *      http://www.apache.org/licenses/LICENSE-2.0                                                                    *
+ *                                                                                                                    *
+ *  or in the 'license' file accompanying this file. This file is distributed on an 'AS IS' BASIS, WITHOUT WARRANTIES *
+ *  OR CONDITIONS OF ANY KIND, express or implied. See the License for the specific language governing permissions    *
+ *  and limitations under the License.                                                                                *
+ *********************************************************************************************************************/
+
+
+class SourceBuckets {
+
+    /**
+     * Parses the entries of the SOURCE_BUCKETS allowlist. Each entry is a
+     * bucket name or glob pattern ("assets-*"), optionally followed by a key
+     * glob pattern the keys of that bucket must match ("my-bucket/public/*").
+     * In patterns, "*" matches any sequence of characters and "?" any single
+     * character; every other character matches itself.
+     * @param {Array} entries - The entries of the allowlist.
+     */
+    constructor(entries) {
+        this.entries = entries.map((entry) => {
+            const separator = entry.indexOf('/');
+            const bucket = (separator === -1) ? entry : entry.substring(0, separator);
+            const key = (separator === -1) ? undefined : entry.substring(separator + 1);
+            return {
+                bucket,
+                isPattern: /[*?]/.test(bucket),
+                bucketPattern: SourceBuckets.globToRegExp(bucket),
+                keyPattern: (key === undefined || key === '') ? undefined : SourceBuckets.globToRegExp(key)
+            };
+        });
+    }
+
+    /**
+     * Returns the entries of the SOURCE_BUCKETS environment variable, a
+     * comma-separated list in which spaces are ignored.
+     */
+    static getEntries() {
+        const sourceBuckets = process.env.SOURCE_BUCKETS;
+        if (sourceBuckets === undefined) {
+            throw ({
+                status: 400,
+                code: 'GetAllowedSourceBuckets::NoSourceBuckets',
+                message: 'The SOURCE_BUCKETS variable could not be read. Please check that it is not empty and contains at least one source bucket, or multiple buckets separated by commas. Spaces can be provided between commas and bucket names, these will be automatically parsed out when decoding.'
+            });
+        }
+        return sourceBuckets.replace(/\s+/g, '').split(',');
+    }
+
+    /**
+     * Returns the allowlist of the SOURCE_BUCKETS environment variable.
+     */
+    static fromEnvironment() {
+        return new SourceBuckets(SourceBuckets.getEntries());
+    }
+
+    /**
+     * Converts a glob pattern to an anchored regular expression.
+     * @param {String} glob - The glob pattern.
+     */
+    static globToRegExp(glob) {
+        const source = glob.split('').map((character) => {
+            if (character === '*') {
+                return '.*';
+            } else if (character === '?') {
+                return '.';
+            }
+            return character.replace(/[.+^${}()|[\]\\]/g, '\\$&');
+        }).join('');
+        return new RegExp(`^${source}$`);
+    }
+
+    /**
+     * Returns the bucket used when a request does not specify one: the first
+     * entry of the allowlist that is not a pattern.
+     */
+    getDefaultBucket() {
+        const entry = this.entries.find(entry => !entry.isPattern);
+        if (entry === undefined) {
+            throw ({
+                status: 400,
+                code: 'GetAllowedSourceBuckets::NoDefaultBucket',
+                message: 'The SOURCE_BUCKETS variable does not contain a bucket name to use by default. Please specify the bucket in your request, or list a bucket name that is not a pattern in SOURCE_BUCKETS.'
+            });
+        }
+        return entry.bucket;
+    }
+
+    /**
+     * Returns true if the bucket matches an entry of the allowlist.
+     * @param {String} bucket - The name of the bucket.
+     */
+    isBucketAllowed(bucket) {
+        return this.entries.some(entry => entry.bucketPattern.test(bucket));
+    }
+
+    /**
+     * Returns true if the bucket matches an entry of the allowlist whose key
+     * pattern, if any, matches the key.
+     * @param {String} bucket - The name of the bucket.
+     * @param {String} key - The key name of the image.
+     */
+    isKeyAllowed(bucket, key) {
+        return this.entries.some(entry => entry.bucketPattern.test(bucket)
+            && (entry.keyPattern === undefined || entry.keyPattern.test(key)));
+    }
+}
+
+// Exports
+module.exports = SourceBuckets;
@@ -0,0 +1,111 @@
+/*********************************************************************************************************************
+ *  Copyright 2019 Amazon.com, Inc. or its affiliates. All Rights Reserved.                                           *
+ *                                                                                                                    *
+ *  Licensed under the Apache License, Version 2.0 (the "License"). You may not use this file except in compliance    *
+ *  with the License. A copy of the License is located at                                                             *
+ *                                                                                                                    *
+ *      http://www.apache.org/licenses/LICENSE-2.0                                                                    *
+ *                                                                                                                    *
+ *  or in the 'license' file accompanying this file. This file is distributed on an 'AS IS' BASIS, WITHOUT WARRANTIES *
+ *  OR CONDITIONS OF ANY KIND, express or implied. See the License for the specific language governing permissions    *
+ *  and limitations under the License.                                                                                *
+ *********************************************************************************************************************/
+
+
+const FilesystemSource = require('./filesystem-source');
+const HttpSource = require('./http-source');
+const S3Source = require('./s3-source');
+
+class SourceProviders {
+
+    /**
+     * Selects the image source of each bucket and key prefix. Every provider
+     * implements getObject(bucket, key) and resolves to an object in the shape
+     * of an Amazon S3 object (Body, ContentType, CacheControl, Expires,
+     * LastModified), or rejects with an error in the shape of an Amazon S3
+     * error ("NoSuchKey" for missing images). Images not matching any entry
+     * are read from Amazon S3.
+     * @param {Array} configuration - List of { bucket, prefix, type, ...options } entries.
+     * @param {S3} s3 - The Amazon S3 client to use, a new client by default.
+     * @param {Number} maxBytes - The maximum size of an image, MAX_INPUT_BYTES by default.
+     */
+    constructor(configuration, s3, maxBytes) {
+        if (!Array.isArray(configuration)) {
+            throw new Error('SourceProviders::InvalidConfiguration: the source providers must be a JSON array.');
+        }
+        this.s3Source = new S3Source(s3, maxBytes);
+        this.entries = configuration.map((entry, index) => {
+            if (entry === null || typeof entry !== 'object') {
+                throw new Error(`SourceProviders::InvalidConfiguration: the source provider #${index} must be an object.`);
+            }
+            let source;
+            if (entry.type === 's3') {
+                source = this.s3Source;
+            } else if (entry.type === 'filesystem' && typeof entry.root === 'string') {
+                source = new FilesystemSource({ maxBytes, ...entry });
+            } else if (entry.type === 'http' && /^https?:\/\//.test(entry.baseUrl)) {
+                source = new HttpSource({ maxBytes, ...entry });
+            } else {
+                throw new Error(`SourceProviders::InvalidConfiguration: the source provider #${index} must be of type "s3", "filesystem" (with a "root") or "http" (with a "baseUrl").`);
+            }
+            return { bucket: entry.bucket, prefix: entry.prefix || '', source };
+        });
+    }
+
+    /**
+     * Returns the source providers configured in the SOURCE_PROVIDERS
+     * environment variable (a JSON array).
+     * @param {S3} s3 - The Amazon S3 client to use, a new client by default.
+     * @param {Number} maxBytes - The maximum size of an image, MAX_INPUT_BYTES by default.
+     */
+    static fromEnvironment(s3, maxBytes) {
+        let configuration = [];
+        try {
+            if (process.env.SOURCE_PROVIDERS) {
+                configuration = JSON.parse(process.env.SOURCE_PROVIDERS);
+            }
+        } catch (err) {
+            throw new Error(`SourceProviders::InvalidConfiguration: the source providers could not be read: ${err.message}`);
+        }
+        return new SourceProviders(configuration, s3, maxBytes);
+    }
+
+    /**
+     * Returns the source of the first entry matching the bucket and the key
+     * prefix, or the Amazon S3 source if none matches.
+     * @param {String} bucket - The name of the bucket containing the image.
+     * @param {String} key - The key name corresponding to the image.
+     */
+    getSource(bucket, key) {
+        const entry = this.entries.find(entry => (entry.bucket === undefined || entry.bucket === bucket) && key.startsWith(entry.prefix));
+        return (entry !== undefined) ? entry.source : this.s3Source;
+    }
+
+    /**
+     * Gets an image from the source of its bucket and key.
+     * @param {String} bucket - The name of the bucket containing the image.
+     * @param {String} key - The key name corresponding to the image.
+     * @param {String} ifNoneMatch - The ETag of a cached copy, if any. Sources
+     * supporting revalidation reject with a "NotModified" error while it is current.
+     * @return {Promise} - The image, in the shape of an Amazon S3 object, or an error.
+     */
+    getObject(bucket, key, ifNoneMatch) {
+        return this.getSource(bucket, key).getObject(bucket, key, ifNoneMatch);
+    }
+
+    /**
+     * Gets the metadata of an image (ETag, LastModified) from the source of
+     * its bucket and key, without its body. Sources that cannot read the
+     * metadata alone, such as HTTP origins, resolve to undefined.
+     * @param {String} bucket - The name of the bucket containing the image.
+     * @param {String} key - The key name corresponding to the image.
+     * @return {Promise} - The metadata of the image, undefined, or an error.
+     */
+    headObject(bucket, key) {
+        const source = this.getSource(bucket, key);
+        return (typeof source.headObject === 'function') ? source.headObject(bucket, key) : Promise.resolve(undefined);
+    }
+}
+
+// Exports
+module.exports = SourceProviders;
@@ -0,0 +1,122 @@
+/*********************************************************************************************************************
+ *  Copyright 2019 Amazon.com, Inc. or its affiliates. All Rights Reserved.                                           *
+ *                                                                                                                    *
+ *  Licensed under the Apache License, Version 2.0 (the "License"). You may not use this file except in compliance    *
+ *  with the License. A copy of the License is located at                                                             *
+ *                                                                                                                    *
+ *      http://www.apache.org/licenses/LICENSE-2.0                                                                    *
+ *                                                                                                                    *
+ *  or in the 'license' file accompanying this file. This file is distributed on an 'AS IS' BASIS, WITHOUT WARRANTIES *
+ *  OR CONDITIONS OF ANY KIND, express or implied. See the License for the specific language governing permissions    *
+ *  and limitations under the License.                                                                                *
+ *********************************************************************************************************************/
+
+
+const ClientHints = require('../client-hints');
+const PixelRatio = require('../pixel-ratio');
+let assert = require('assert');
+
+// ----------------------------------------------------------------------------
+// getResponseHeaders()
+// ----------------------------------------------------------------------------
+describe('getResponseHeaders()', function() {
+    describe('001/acceptAndVary', function() {
+        it(`Should pass if the hints are requested and responses vary on them`, function() {
+            // Act
+            const result = ClientHints.getResponseHeaders();
+            // Assert
+            assert.deepEqual(result, {
+                'Accept-CH': 'Sec-CH-DPR, Sec-CH-Width, Sec-CH-Viewport-Width',
+                'Vary': 'Accept, Sec-CH-DPR, Sec-CH-Width, Sec-CH-Viewport-Width, Save-Data'
+            });
+        });
+    });
+});
+
+// ----------------------------------------------------------------------------
+// apply()
+// ----------------------------------------------------------------------------
+describe('apply()', function() {
+    describe('001/dpr', function() {
+        it(`Should pass if the resize dimensions of the request are multiplied
+            by the DPR`, function() {
+            // Arrange
+            const hints = new ClientHints({ dpr: '1.5', width: '900' });
+            // Act
+            const result = hints.apply({ resize: { width: 300, fit: 'cover' } }, 'jpeg');
+            // Assert
+            assert.deepEqual(result, { edits: { resize: { width: 450, fit: 'cover' } }, dpr: 1.5 });
+        });
+    });
+    describe('002/widthHint', function() {
+        it(`Should pass if the Width hint is used without enlargement when the
+            request leaves the width open`, function() {
+            // Arrange
+            const hints = new ClientHints({ dpr: '2', width: '640', viewportWidth: '1024' });
+            // Act
+            const result = hints.apply({ grayscale: true }, 'jpeg');
+            // Assert
+            assert.deepEqual(result, { edits: { grayscale: true, resize: { withoutEnlargement: true, width: 640 } }, dpr: 2 });
+        });
+    });
+    describe('003/viewportWidthHint', function() {
+        it(`Should pass if the Viewport-Width hint multiplied by the DPR is used
+            when there is no Width hint`, function() {
+            // Arrange
+            const hints = new ClientHints({ dpr: '2', viewportWidth: '412' });
+            // Act
+            const result = hints.apply(undefined, 'jpeg');
+            // Assert
+            assert.deepEqual(result.edits, { resize: { withoutEnlargement: true, width: 824 } });
+        });
+    });
+    describe('004/saveData', function() {
+        it(`Should pass if the quality of lossy formats is capped for Save-Data
+            requests`, function() {
+            // Arrange
+            const hints = new ClientHints({ saveData: 'on' }, 40);
+            // Assert
+            assert.deepEqual(hints.apply({ webp: { quality: 80 } }, 'webp').edits, { webp: { quality: 40 } });
+            assert.deepEqual(hints.apply({ jpeg: { quality: 30 } }, 'jpeg').edits, { jpeg: { quality: 30 } });
+            assert.deepEqual(hints.apply({ png: { quality: 80 } }, 'png').edits, { png: { quality: 80 } });
+        });
+    });
+    describe('005/noHints', function() {
+        it(`Should pass if the edits are returned unchanged without hints or
+            with invalid hints`, function() {
+            // Arrange
+            const hints = new ClientHints({ dpr: 'abc', width: '-1', saveData: 'off' });
+            // Act
+            const result = hints.apply(undefined, 'jpeg');
+            // Assert
+            assert.deepEqual(result, { edits: undefined, dpr: undefined });
+        });
+    });
+    describe('006/dprClamped', function() {
+        it(`Should pass if the DPR hint is lowered to MAX_DPR and to the output
+            dimension limits, and the DPR applied is returned`, function() {
+            // Arrange
+            const hints = new ClientHints({ dpr: '4' });
+            // Act
+            const capped = hints.apply({ resize: { width: 300 } }, 'jpeg', new PixelRatio(3, 16383, 16383));
+            const limited = hints.apply({ resize: { width: 5000, height: 5000 } }, 'jpeg', new PixelRatio(4, 10000, 10000));
+            // Assert
+            assert.deepEqual(capped, { edits: { resize: { width: 900 } }, dpr: 3 });
+            assert.deepEqual(limited, { edits: { resize: { width: 10000, height: 10000 } }, dpr: 2 });
+        });
+    });
+    describe('007/widthHintClamped', function() {
+        it(`Should pass if the Width hint is lowered with the DPR it was
+            multiplied by, and the DPR applied is returned`, function() {
+            // Arrange
+            const retina = new ClientHints({ dpr: '4', width: '1600' });
+            const widthOnly = new ClientHints({ width: '20000' });
+            // Act
+            const capped = retina.apply(undefined, 'jpeg', new PixelRatio(3, 16383, 16383));
+            const limited = widthOnly.apply(undefined, 'jpeg', new PixelRatio(3, 16383, 16383));
+            // Assert
+            assert.deepEqual(capped, { edits: { resize: { withoutEnlargement: true, width: 1200 } }, dpr: 3 });
+            assert.deepEqual(limited, { edits: { resize: { withoutEnlargement: true, width: 16383 } }, dpr: 1 });
+        });
+    });
+});
@@ -0,0 +1,186 @@
+/*********************************************************************************************************************
+ *  Copyright 2019 Amazon.com, Inc. or its affiliates. All Rights Reserved.                                           *
+ *                                                                                                                    *
+ *  Licensed under the Apache License, Version 2.0 (the "License"). You may not use this file except in compliance    *
+ *  with the License. A copy of the License is located at                                                             *
+ *                                                                                                                    *
+ *      http://www.apache.org/licenses/LICENSE-2.0                                                                    *
+ *                                                                                                                    *
+ *  or in the 'license' file accompanying this file. This file is distributed on an 'AS IS' BASIS, WITHOUT WARRANTIES *
+ *  OR CONDITIONS OF ANY KIND, express or implied. See the License for the specific language governing permissions    *
+ *  and limitations under the License.                                                                                *
+ *********************************************************************************************************************/
+
+
+const DerivativeCache = require('../derivative-cache');
+let assert = require('assert');
+
+// ----------------------------------------------------------------------------
+// getKey()
+// ----------------------------------------------------------------------------
+describe('getKey()', function() {
+    describe('001/sourcePrefix', function() {
+        it(`Should pass if the derivatives of a source image share its prefix
+            and differ with its entity tag`, function() {
+            // Arrange
+            const cache = new DerivativeCache('derivativeBucket', 'derivatives/');
+            // Act
+            const result = cache.getKey('sourceBucket', 'folder/image.jpg', '"etag-1"', 'variant');
+            const changed = cache.getKey('sourceBucket', 'folder/image.jpg', '"etag-2"', 'variant');
+            // Assert
+            assert.deepEqual(result.startsWith(cache.getSourcePrefix('sourceBucket', 'folder/image.jpg')), true);
+            assert.deepEqual(/^derivatives\/sourceBucket\/[0-9a-f]{64}\/[0-9a-f]{64}$/.test(result), true);
+            assert.notDeepEqual(result, changed);
+        });
+    });
+    describe('002/nestedKeys', function() {
+        it(`Should pass if the prefix of a source image does not contain the
+            derivatives of the keys nested under it`, function() {
+            // Arrange
+            const cache = new DerivativeCache('derivativeBucket', 'derivatives/');
+            // Act
+            const prefix = cache.getSourcePrefix('sourceBucket', 'a/b');
+            const nested = cache.getKey('sourceBucket', 'a/b/c.jpg', '"etag"', 'variant');
+            // Assert
+            assert.deepEqual(nested.startsWith(prefix), false);
+        });
+    });
+});
+
+// ----------------------------------------------------------------------------
+// get()
+// ----------------------------------------------------------------------------
+describe('get()', function() {
+    describe('001/responseFields', function() {
+        it(`Should pass if the body and the response fields of the derivative
+            are returned`, async function() {
+            // Arrange
+            const sinon = require('sinon');
+            const getObject = sinon.stub();
+            getObject.withArgs({Bucket: 'derivativeBucket', Key: 'derivatives/key'}).returns({
+                promise: () => { return {
+                    Body: Buffer.from('ProcessedImageContent\n'),
+                    ContentType: 'image/webp',
+                    CacheControl: 'max-age=86400',
+                    Metadata: { etag: '"0f1e2d3c"', contentdpr: '2' }
+                }}
+            })
+            const s3 = { getObject };
+            // Act
+            const result = await new DerivativeCache('derivativeBucket', undefined, s3).get('derivatives/key');
+            // Assert
+            assert.deepEqual(result, {
+                body: Buffer.from('ProcessedImageContent\n'),
+                response: {
+                    ContentType: 'image/webp',
+                    CacheControl: 'max-age=86400',
+                    ETag: '"0f1e2d3c"',
+                    ContentDPR: '2'
+                }
+            });
+        });
+    });
+    describe('002/readError', function() {
+        it(`Should pass if a derivative that cannot be read is reported as
+            missing`, async function() {
+            // Arrange
+            const sinon = require('sinon');
+            const getObject = sinon.stub().returns({
+                promise: () => Promise.reject({ code: 'AccessDenied', message: 'Access Denied' })
+            });
+            const s3 = { getObject };
+            // Act
+            const result = await new DerivativeCache('derivativeBucket', undefined, s3).get('derivatives/key');
+            // Assert
+            assert.deepEqual(result, undefined);
+        });
+    });
+});
+
+// ----------------------------------------------------------------------------
+// put()
+// ----------------------------------------------------------------------------
+describe('put()', function() {
+    describe('001/responseFields', function() {
+        it(`Should pass if the derivative is stored with the response fields
+            of the image request`, async function() {
+            // Arrange
+            const sinon = require('sinon');
+            const putObject = sinon.stub().returns({
+                promise: () => Promise.resolve({})
+            });
+            const request = { ContentType: 'image/webp', CacheControl: 'max-age=86400', ETag: '"0f1e2d3c"', ContentDPR: 2 };
+            const s3 = { putObject };
+            // Act
+            const result = await new DerivativeCache('derivativeBucket', undefined, s3).put('derivatives/key', Buffer.from('ProcessedImageContent\n'), request);
+            // Assert
+            assert.deepEqual(result, true);
+            assert.deepEqual(putObject.firstCall.args[0], {
+                Bucket: 'derivativeBucket',
+                Key: 'derivatives/key',
+                Body: Buffer.from('ProcessedImageContent\n'),
+                ContentType: 'image/webp',
+                CacheControl: 'max-age=86400',
+                Metadata: { etag: '"0f1e2d3c"', contentdpr: '2' }
+            });
+        });
+    });
+    describe('002/writeError', function() {
+        it(`Should pass if a derivative that cannot be stored does not reject`, async function() {
+            // Arrange
+            const sinon = require('sinon');
+            const putObject = sinon.stub().returns({
+                promise: () => Promise.reject({ code: 'AccessDenied', message: 'Access Denied' })
+            });
+            const s3 = { putObject };
+            // Act
+            const result = await new DerivativeCache('derivativeBucket', undefined, s3).put('derivatives/key', Buffer.from(''), {});
+            // Assert
+            assert.deepEqual(result, false);
+        });
+    });
+});
+
+// ----------------------------------------------------------------------------
+// purge()
+// ----------------------------------------------------------------------------
+describe('purge()', function() {
+    describe('001/allPages', function() {
+        it(`Should pass if the derivatives of every listed page are deleted`, async function() {
+            // Arrange
+            const sinon = require('sinon');
+            const imageHash = require('crypto').createHash('sha256').update('image.jpg').digest('hex');
+            const listObjectsV2 = sinon.stub();
+            listObjectsV2.withArgs({Bucket: 'derivativeBucket', Prefix: `derivatives/sourceBucket/${imageHash}/`, ContinuationToken: undefined}).returns({
+                promise: () => Promise.resolve({ Contents: [ { Key: 'a' }, { Key: 'b' } ], IsTruncated: true, NextContinuationToken: 'next' })
+            });
+            listObjectsV2.withArgs({Bucket: 'derivativeBucket', Prefix: `derivatives/sourceBucket/${imageHash}/`, ContinuationToken: 'next'}).returns({
+                promise: () => Promise.resolve({ Contents: [ { Key: 'c' } ], IsTruncated: false })
+            });
+            const deleteObjects = sinon.stub().returns({
+                promise: () => Promise.resolve({})
+            });
+            const s3 = { listObjectsV2, deleteObjects };
+            // Act
+            const result = await new DerivativeCache('derivativeBucket', undefined, s3).purge('sourceBucket', 'image.jpg');
+            // Assert
+            assert.deepEqual(result, { deleted: 3 });
+            assert.deepEqual(deleteObjects.secondCall.args[0], {
+                Bucket: 'derivativeBucket',
+                Delete: { Objects: [ { Key: 'c' } ], Quiet: true }
+            });
+        });
+    });
+    describe('002/missingKey', function() {
+        it(`Should throw an error if the key of the source image is not provided`, async function() {
+            // Act
+            await new DerivativeCache('derivativeBucket').purge('sourceBucket').then(() => {
+                assert.fail('purge should have been rejected');
+            }).catch((err) => {
+                // Assert
+                assert.deepEqual(err.status, 400);
+                assert.deepEqual(err.code, 'DerivativeCache::InvalidPurge');
+            });
+        });
+    });
+});
@@ -0,0 +1,119 @@
+/*********************************************************************************************************************
+ *  Copyright 2019 Amazon.com, Inc. or its affiliates. All Rights Reserved.                                           *
+ *                                                                                                                    *
+ *  Licensed under the Apache License, Version 2.0 (the "License"). You may not use this file except in compliance    *
+ *  with the License. A copy of the License is located at                                                             *
+ *                                                                                                                    *
+ *      http://www.apache.org/licenses/LICENSE-2.0                                                                    *
+ *                                                                                                                    *
+ *  or in the 'license' file accompanying this file. This file is distributed on an 'AS IS' BASIS, WITHOUT WARRANTIES *
+ *  OR CONDITIONS OF ANY KIND, express or implied. See the License for the specific language governing permissions    *
+ *  and limitations under the License.                                                                                *
+ *********************************************************************************************************************/
+
+
+const FallbackImages = require('../fallback-images');
+let assert = require('assert');
+
+const entries = [
+    { preset: 'product-thumbnail', fallbackKey: 'placeholders/product.png' },
+    { bucket: 'assets', prefix: 'avatars/', fallbackBucket: 'placeholders', fallbackKey: 'avatar.png' },
+    { fallbackKey: 'placeholders/default.png' }
+];
+
+// ----------------------------------------------------------------------------
+// find()
+// ----------------------------------------------------------------------------
+describe('find()', function() {
+    describe('001/firstMatch', function() {
+        it(`Should pass if the first entry matching the bucket, key prefix and
+            preset is used`, function() {
+            // Arrange
+            const fallbackImages = new FallbackImages(entries);
+            // Act
+            const preset = fallbackImages.find('assets', 'avatars/user.jpg', 'product-thumbnail');
+            const prefix = fallbackImages.find('assets', 'avatars/user.jpg');
+            const global = fallbackImages.find('assets', 'products/item.jpg');
+            // Assert
+            assert.deepEqual(preset, { bucket: 'assets', key: 'placeholders/product.png' });
+            assert.deepEqual(prefix, { bucket: 'placeholders', key: 'avatar.png' });
+            assert.deepEqual(global, { bucket: 'assets', key: 'placeholders/default.png' });
+        });
+    });
+    describe('002/noMatch', function() {
+        it(`Should pass if no fallback image is returned when no entry matches`, function() {
+            // Arrange
+            const fallbackImages = new FallbackImages(entries.slice(0, 2));
+            // Act
+            const result = fallbackImages.find('assets', 'products/item.jpg');
+            // Assert
+            assert.deepEqual(result, undefined);
+        });
+    });
+});
+
+// ----------------------------------------------------------------------------
+// fromEnvironment()
+// ----------------------------------------------------------------------------
+describe('fromEnvironment()', function() {
+    after(function() {
+        process.env = {};
+    });
+    describe('001/status', function() {
+        it(`Should pass if the status code is read from FALLBACK_STATUS`, function() {
+            // Arrange
+            process.env = {
+                FALLBACK_IMAGES: JSON.stringify(entries),
+                FALLBACK_STATUS: '200'
+            }
+            // Act
+            const result = FallbackImages.fromEnvironment();
+            // Assert
+            assert.deepEqual(result.entries, entries);
+            assert.deepEqual(result.status, 200);
+        });
+    });
+    describe('002/invalidStatus', function() {
+        it(`Should throw an error if FALLBACK_STATUS is neither 404 nor 200`, function() {
+            // Arrange
+            process.env = {
+                FALLBACK_STATUS: '302'
+            }
+            // Assert
+            assert.throws(function() {
+                FallbackImages.fromEnvironment();
+            }, /FallbackImages::InvalidConfiguration/);
+        });
+    });
+    describe('003/missingFallbackKey', function() {
+        it(`Should throw an error if an entry has no fallback key`, function() {
+            // Arrange
+            process.env = {
+                FALLBACK_IMAGES: '[{ "bucket": "assets" }]'
+            }
+            // Assert
+            assert.throws(function() {
+                FallbackImages.fromEnvironment();
+            }, /FallbackImages::InvalidConfiguration/);
+        });
+    });
+    describe('004/cacheControl', function() {
+        it(`Should pass if the Cache-Control header is read from
+            FALLBACK_CACHE_CONTROL, and is short-lived by default`, function() {
+            // Arrange
+            process.env = {
+                FALLBACK_IMAGES: JSON.stringify(entries),
+                FALLBACK_CACHE_CONTROL: 'no-store'
+            }
+            // Act
+            const configured = FallbackImages.fromEnvironment();
+            process.env = {
+                FALLBACK_IMAGES: JSON.stringify(entries)
+            }
+            const result = FallbackImages.fromEnvironment();
+            // Assert
+            assert.deepEqual(configured.cacheControl, 'no-store');
+            assert.deepEqual(result.cacheControl, 'max-age=60,public');
+        });
+    });
+});
@@ -0,0 +1,150 @@
+/*********************************************************************************************************************
+ *  Copyright 2019 Amazon.com, Inc. or its affiliates. All Rights Reserved.                                           *
+ *                                                                                                                    *
+ *  Licensed under the Apache License, Version 2.0 (the "License"). You may not use this file except in compliance    *
+ *  with the License. A copy of the License is located at                                                             *
+ *                                                                                                                    *
+ *      http://www.apache.org/licenses/LICENSE-2.0                                                                    *
+ *                                                                                                                    *
+ *  or in the 'license' file accompanying this file. This file is distributed on an 'AS IS' BASIS, WITHOUT WARRANTIES *
+ *  OR CONDITIONS OF ANY KIND, express or implied. See the License for the specific language governing permissions    *
+ *  and limitations under the License.                                                                                *
+ *********************************************************************************************************************/
+
+
+const FormatNegotiation = require('../format-negotiation');
+let assert = require('assert');
+
+// Image headers of a PNG with the given colour type and of a WebP with the given VP8X flags
+const png = (colorType) => Buffer.concat([
+    Buffer.from('89504e470d0a1a0a0000000d49484452000000010000000108', 'hex'),
+    Buffer.from([ colorType, 0, 0, 0 ])
+]);
+const webp = (flags) => Buffer.concat([
+    Buffer.from('RIFF'), Buffer.alloc(4), Buffer.from('WEBPVP8X'), Buffer.alloc(4), Buffer.from([ flags, 0, 0, 0 ])
+]);
+const chromeAccept = 'image/avif,image/webp,image/apng,image/*,*/*;q=0.8';
+
+// ----------------------------------------------------------------------------
+// fromEnvironment()
+// ----------------------------------------------------------------------------
+describe('fromEnvironment()', function() {
+    after(function() {
+        process.env = {};
+    });
+    describe('001/perFormatVariables', function() {
+        it(`Should pass if each candidate format is enabled by its own variable`, function() {
+            // Arrange
+            process.env = {
+                AUTO_AVIF: 'Yes',
+                AUTO_WEBP: 'No'
+            }
+            // Act
+            const result = FormatNegotiation.fromEnvironment();
+            // Assert
+            assert.deepEqual(result.formats, ['avif']);
+        });
+    });
+});
+
+// ----------------------------------------------------------------------------
+// parseAccept()
+// ----------------------------------------------------------------------------
+describe('parseAccept()', function() {
+    describe('001/qualityValues', function() {
+        it(`Should pass if media types are read with their quality values,
+            whatever their case`, function() {
+            // Act
+            const result = FormatNegotiation.parseAccept('Image/WebP;q=0.9, image/avif ; q=0, image/png, */*;q=0.8');
+            // Assert
+            assert.deepEqual(result, { 'image/webp': 0.9, 'image/avif': 0, 'image/png': 1, '*/*': 0.8 });
+        });
+    });
+});
+
+// ----------------------------------------------------------------------------
+// describe()
+// ----------------------------------------------------------------------------
+describe('describe()', function() {
+    describe('001/transparency', function() {
+        it(`Should pass if the alpha channel of a PNG is read from its header`, function() {
+            // Assert
+            assert.deepEqual(FormatNegotiation.describe(png(6)), { format: 'png', hasAlpha: true, isAnimated: false });
+            assert.deepEqual(FormatNegotiation.describe(png(2)), { format: 'png', hasAlpha: false, isAnimated: false });
+        });
+    });
+    describe('002/animation', function() {
+        it(`Should pass if the animation of a WebP is read from its header`, function() {
+            // Assert
+            assert.deepEqual(FormatNegotiation.describe(webp(0x12)), { format: 'webp', hasAlpha: true, isAnimated: true });
+        });
+    });
+});
+
+// ----------------------------------------------------------------------------
+// negotiate()
+// ----------------------------------------------------------------------------
+describe('negotiate()', function() {
+    describe('001/preferredFormat', function() {
+        it(`Should pass if AVIF is preferred over WebP when both are accepted
+            with the same quality`, function() {
+            // Arrange
+            const negotiation = new FormatNegotiation(['avif', 'webp']);
+            // Act
+            const result = negotiation.negotiate(chromeAccept, png(2));
+            // Assert
+            assert.deepEqual(result, 'avif');
+        });
+    });
+    describe('002/qualityValues', function() {
+        it(`Should pass if the enabled format with the highest quality value
+            is returned and refused formats are skipped`, function() {
+            // Arrange
+            const negotiation = new FormatNegotiation(['avif', 'webp']);
+            // Assert
+            assert.deepEqual(negotiation.negotiate('image/avif;q=0.5,image/webp', png(2)), 'webp');
+            assert.deepEqual(negotiation.negotiate('image/avif;q=0,image/webp;q=0.1', png(2)), 'webp');
+        });
+    });
+    describe('003/disabledFormat', function() {
+        it(`Should pass if formats that are not enabled are never returned`, function() {
+            // Arrange
+            const negotiation = new FormatNegotiation(['webp']);
+            // Act
+            const result = negotiation.negotiate(chromeAccept, png(2));
+            // Assert
+            assert.deepEqual(result, 'webp');
+        });
+    });
+    describe('004/wildcards', function() {
+        it(`Should pass if formats only matched by wildcards are not returned`, function() {
+            // Arrange
+            const negotiation = new FormatNegotiation(['avif', 'webp']);
+            // Act
+            const result = negotiation.negotiate('image/png,image/*;q=0.8,*/*;q=0.5', png(2));
+            // Assert
+            assert.deepEqual(result, null);
+        });
+    });
+    describe('005/animatedSource', function() {
+        it(`Should pass if animated sources keep their format`, function() {
+            // Arrange
+            const negotiation = new FormatNegotiation(['avif', 'webp']);
+            // Act
+            const result = negotiation.negotiate('image/avif,image/png', webp(0x12));
+            // Assert
+            assert.deepEqual(result, null);
+        });
+    });
+    describe('006/fallback', function() {
+        it(`Should pass if a source the client does not accept is converted to
+            PNG when transparent, or to JPEG otherwise`, function() {
+            // Arrange
+            const negotiation = new FormatNegotiation(['avif', 'webp']);
+            const accept = 'image/png,image/*;q=0.8';
+            // Assert
+            assert.deepEqual(negotiation.negotiate(accept, webp(0x10)), 'png');
+            assert.deepEqual(negotiation.negotiate(accept, webp(0x00)), 'jpeg');
+        });
+    });
+});
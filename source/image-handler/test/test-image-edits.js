@@ -0,0 +1,135 @@
+/*********************************************************************************************************************
+ *  Copyright 2019 Amazon.com, Inc. or its affiliates. All Rights Reserved.                                           *
+ *                                                                                                                    *
+ *  Licensed under the Apache License, Version 2.0 (the "License"). You may not use this file except in compliance    *
+ *  with the License. A copy of the License is located at                                                             *
+ *                                                                                                                    *
+ *      http://www.apache.org/licenses/LICENSE-2.0                                                                    *
+ *                                                                                                                    *
+ *  or in the 'license' file accompanying this file. This file is distributed on an 'AS IS' BASIS, WITHOUT WARRANTIES *
+ *  OR CONDITIONS OF ANY KIND, express or implied. See the License for the specific language governing permissions    *
+ *  and limitations under the License.                                                                                *
+ *********************************************************************************************************************/
+
+const ImageEdits = require('../image-edits');
+const ThumborMapping = require('../thumbor-mapping');
+let assert = require('assert');
+
+// ----------------------------------------------------------------------------
+// validate()
+// ----------------------------------------------------------------------------
+describe('validate()', function() {
+    describe('001/supportedOperations', function() {
+        it(`Should pass if every edit is a supported operation with a valid argument`, function() {
+            // Arrange
+            const edits = {
+                resize: { width: 200, height: null, fit: 'inside' },
+                grayscale: true,
+                flip: 'true',
+                rotate: 90,
+                jpeg: { quality: 80 },
+                overlayWith: { bucket: 'bucket', key: 'watermark.png', options: { left: '10p' } }
+            }
+            // Act
+            const imageEdits = new ImageEdits();
+            // Assert
+            assert.doesNotThrow(function() {
+                imageEdits.validate(edits);
+            });
+        });
+    });
+    describe('002/unsupportedOperation', function() {
+        it(`Should throw an error if an edit is not a supported operation`, function() {
+            // Arrange
+            const edits = {
+                grayscale: true,
+                toFile: '/tmp/output.jpg'
+            }
+            // Act
+            const imageEdits = new ImageEdits();
+            // Assert
+            assert.throws(function() {
+                imageEdits.validate(edits);
+            }, function(err) {
+                return err.status === 400
+                    && err.code === 'ImageEdits::UnsupportedOperation'
+                    && err.message.includes('"toFile"');
+            });
+        });
+    });
+    describe('003/invalidParameter', function() {
+        it(`Should throw an error if the argument of an edit has the wrong shape`, function() {
+            // Arrange
+            const edits = {
+                resize: { widht: 200 }
+            }
+            // Act
+            const imageEdits = new ImageEdits();
+            // Assert
+            assert.throws(function() {
+                imageEdits.validate(edits);
+            }, function(err) {
+                return err.status === 400
+                    && err.code === 'ImageEdits::InvalidParameter'
+                    && err.message.includes('"resize"');
+            });
+        });
+    });
+    describe('004/thumborMapping', function() {
+        it(`Should pass if the edits produced by the Thumbor mapping are valid`, function() {
+            // Arrange
+            const event = {
+                path : '/fit-in/200x300/filters:grayscale()/filters:equalize()/filters:rgb(10,20,30)/filters:quality(80)/filters:watermark(bucket,key,10,-10,50)/test-image-001.jpg'
+            }
+            // Act
+            const thumborMapping = new ThumborMapping();
+            thumborMapping.process(event);
+            const imageEdits = new ImageEdits();
+            // Assert
+            assert.doesNotThrow(function() {
+                imageEdits.validate(thumborMapping.edits);
+            });
+        });
+    });
+    describe('005/booleanStrings', function() {
+        it(`Should convert the "true" and "false" strings of boolean arguments to booleans`, function() {
+            // Arrange
+            const edits = {
+                resize: { width: 200, withoutEnlargement: 'true' },
+                grayscale: 'false',
+                negate: 'false',
+                sharpen: 'true',
+                blur: 3
+            }
+            // Act
+            const imageEdits = new ImageEdits();
+            imageEdits.validate(edits);
+            // Assert
+            assert.deepEqual(edits, {
+                resize: { width: 200, withoutEnlargement: true },
+                grayscale: false,
+                negate: false,
+                sharpen: true,
+                blur: 3
+            });
+        });
+    });
+    describe('006/watermarkOptions', function() {
+        it(`Should throw an error if the options of a watermark are not supported`, function() {
+            // Arrange
+            const edits = {
+                TEPWatermark: { options: { name: 'Kevin', gravity: 'center', input: { file: '/etc/passwd' } } }
+            }
+            // Act
+            const imageEdits = new ImageEdits();
+            // Assert
+            assert.throws(function() {
+                imageEdits.validate(edits);
+            }, function(err) {
+                return err.status === 400
+                    && err.code === 'ImageEdits::InvalidParameter'
+                    && err.message.includes('"TEPWatermark"');
+            });
+        });
+    });
+});
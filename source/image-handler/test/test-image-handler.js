@@ -106,6 +106,25 @@ describe('process()', function() {
             assert.deepEqual(result, 'iVBORw0KGgoAAAANSUhEUgAAAAEAAAABCAYAAAAfFcSJAAAADUlEQVR42mP8z8BQDwAEhQGAhKmMIQAAAABJRU5ErkJggg==');
         });
     });
+    describe('004/noEditsWithOutputFormat', function() {
+        it(`Should pass if an image without edits is converted to the output
+            format negotiated for the request`, async function() {
+            // Arrange
+            const request = {
+                requestType: "default",
+                bucket: "sample-bucket",
+                key: "sample-image-001.png",
+                outputFormat: "webp",
+                originalImage: Buffer.from('iVBORw0KGgoAAAANSUhEUgAAAAEAAAABCAYAAAAfFcSJAAAADUlEQVR42mP8z8BQDwAEhQGAhKmMIQAAAABJRU5ErkJggg==', 'base64')
+            }
+            // Act
+            const imageHandler = new ImageHandler();
+            const result = await imageHandler.process(request);
+            // Assert
+            const metadata = await sharp(Buffer.from(result, 'base64')).metadata();
+            assert.deepEqual(metadata.format, 'webp');
+        });
+    });
 });
 
 // ----------------------------------------------------------------------------
@@ -135,6 +154,9 @@ describe('applyEdits()', function() {
         it(`Should pass if an edit with the overlayWith keyname is passed to
             the function`, async function() {
             // Arrange
+            process.env = {
+                SOURCE_BUCKETS: 'aaa'
+            };
             const sinon = require('sinon');
             // ---- Amazon S3 stub
             const S3 = require('aws-sdk/clients/s3');
@@ -316,6 +338,197 @@ describe('applyEdits()', function() {
             })
         });
     });
+    describe('007/unsupportedOperation', function() {
+        it(`Should throw an error if an edit is not in the operation registry`, async function() {
+            // Arrange
+            const originalImage = Buffer.from('iVBORw0KGgoAAAANSUhEUgAAAAEAAAABCAYAAAAfFcSJAAAADUlEQVR42mP8z8BQDwAEhQGAhKmMIQAAAABJRU5ErkJggg==', 'base64');
+            const edits = {
+                toFile: '/tmp/output.png'
+            }
+            // Act
+            const imageHandler = new ImageHandler();
+            // Assert
+            await imageHandler.applyEdits(originalImage, edits).then(() => {
+                assert.fail('applyEdits should have been rejected');
+            }).catch((err) => {
+                assert.deepEqual(err.status, 400);
+                assert.deepEqual(err.code, 'ImageEdits::UnsupportedOperation');
+            });
+        });
+    });
+    describe('008/outputTooLarge', function() {
+        it(`Should throw an error before decoding if the output image exceeds
+            the pixel limit`, async function() {
+            // Arrange
+            const Limits = require('../limits');
+            const originalImage = Buffer.from('iVBORw0KGgoAAAANSUhEUgAAAAEAAAABCAYAAAAfFcSJAAAADUlEQVR42mP8z8BQDwAEhQGAhKmMIQAAAABJRU5ErkJggg==', 'base64');
+            const edits = {
+                resize: { width: 200, height: 200, fit: 'fill' },
+                extend: 10
+            }
+            // Act
+            const imageHandler = new ImageHandler();
+            // Assert
+            await imageHandler.applyEdits(originalImage, edits, new Limits({ maxOutputPixels: 40000 })).then(() => {
+                assert.fail('applyEdits should have been rejected');
+            }).catch((err) => {
+                assert.deepEqual(err.status, 400);
+                assert.deepEqual(err.code, 'ImageLimits::OutputTooLarge');
+            });
+        });
+    });
+    describe('009/overlayPresetReused', function() {
+        it(`Should pass if the overlay of a preset can be applied by more than
+            one request`, async function() {
+            // Arrange
+            process.env = {
+                SOURCE_BUCKETS: 'aaa'
+            };
+            const sinon = require('sinon');
+            const Presets = require('../presets');
+            // ---- Amazon S3 stub
+            const S3 = require('aws-sdk/clients/s3');
+            const getObject = S3.prototype.getObject = sinon.stub();
+            getObject.returns({
+                promise: () => { return {
+                  Body: Buffer.from('iVBORw0KGgoAAAANSUhEUgAAAAEAAAABCAYAAAAfFcSJAAAADUlEQVR42mP8z8BQDwAEhQGAhKmMIQAAAABJRU5ErkJggg==', 'base64')
+                }}
+            })
+            const originalImage = Buffer.from('iVBORw0KGgoAAAANSUhEUgAAAAEAAAABCAYAAAAfFcSJAAAADUlEQVR42mP8z8BQDwAEhQGAhKmMIQAAAABJRU5ErkJggg==', 'base64');
+            const presets = new Presets({
+                watermarked: {
+                    edits: { overlayWith: { bucket: 'aaa', key: 'bbb', options: { left: '0', top: '0p' } } }
+                }
+            });
+            // Act
+            const imageHandler = new ImageHandler();
+            await imageHandler.applyEdits(originalImage, presets.expand('watermarked'));
+            const result = await imageHandler.applyEdits(originalImage, presets.expand('watermarked'));
+            // Assert
+            assert.deepEqual(result.options.input.buffer, originalImage);
+            assert.deepEqual(presets.get('watermarked').edits.overlayWith.options, { left: '0', top: '0p' });
+        });
+    });
+});
+
+// ----------------------------------------------------------------------------
+// [async] getMeta()
+// ----------------------------------------------------------------------------
+describe('getMeta()', function() {
+    describe('001/thumborMetaRequest', function() {
+        it(`Should pass if the source image, edits and target dimensions are
+            described without encoding the image`, async function() {
+            // Arrange
+            const request = {
+                requestType: 'Thumbor',
+                bucket: 'sample-bucket',
+                key: 'sample-image-001.png',
+                edits: {
+                    resize: { width: 20, height: 10, fit: 'cover' },
+                    grayscale: true
+                },
+                outputFormat: 'webp',
+                originalImage: Buffer.from('iVBORw0KGgoAAAANSUhEUgAAAAEAAAABCAYAAAAfFcSJAAAADUlEQVR42mP8z8BQDwAEhQGAhKmMIQAAAABJRU5ErkJggg==', 'base64')
+            }
+            // Act
+            const imageHandler = new ImageHandler();
+            const result = await imageHandler.getMeta(request);
+            // Assert
+            assert.deepEqual(result, {
+                source: { bucket: 'sample-bucket', key: 'sample-image-001.png', width: 1, height: 1, format: 'png' },
+                edits: {
+                    resize: { width: 20, height: 10, fit: 'cover' },
+                    grayscale: true
+                },
+                target: { width: 20, height: 10, format: 'webp' }
+            });
+        });
+    });
+});
+
+// ----------------------------------------------------------------------------
+// getDebug()
+// ----------------------------------------------------------------------------
+describe('getDebug()', function() {
+    describe('001/thumborDebugRequest', function() {
+        it(`Should pass if the edits are listed in the order they are applied,
+            with the output format and quality, without encoding the image`, async function() {
+            // Arrange
+            const request = {
+                requestType: 'Custom',
+                bucket: 'sample-bucket',
+                key: 'sample-image-001.png',
+                rewriteRule: 'filters',
+                edits: {
+                    grayscale: true,
+                    webp: { quality: 60 }
+                },
+                outputFormat: 'webp',
+                timings: { parse: 1, fetch: 2, format: 0 },
+                originalImage: Buffer.from('iVBORw0KGgoAAAANSUhEUgAAAAEAAAABCAYAAAAfFcSJAAAADUlEQVR42mP8z8BQDwAEhQGAhKmMIQAAAABJRU5ErkJggg==', 'base64')
+            }
+            // Act
+            const imageHandler = new ImageHandler();
+            const result = await imageHandler.getDebug(request);
+            // Assert
+            assert.deepEqual(result.rewriteRule, 'filters');
+            assert.deepEqual(result.edits, [
+                { name: 'grayscale', options: true },
+                { name: 'webp', options: { quality: 60 } },
+                { name: 'resize', options: { fit: 'inside' } }
+            ]);
+            assert.deepEqual(result.output, { format: 'webp', quality: 60, width: 1, height: 1 });
+            assert.deepEqual(Object.keys(result.timings), ['parse', 'fetch', 'format', 'metadata']);
+            assert.deepEqual(request.edits.resize, undefined);
+        });
+    });
+});
+
+// ----------------------------------------------------------------------------
+// getTargetDimensions()
+// ----------------------------------------------------------------------------
+describe('getTargetDimensions()', function() {
+    describe('001/resizeInside', function() {
+        it(`Should pass if the dimensions fit inside the resize box`, function() {
+            // Arrange
+            const metadata = { width: 1000, height: 500 };
+            const edits = { resize: { width: 300, height: 300, fit: 'inside' } };
+            // Act
+            const imageHandler = new ImageHandler();
+            const result = imageHandler.getTargetDimensions(metadata, edits);
+            // Assert
+            assert.deepEqual(result, { width: 300, height: 150 });
+        });
+    });
+    describe('002/extractResizeExtend', function() {
+        it(`Should pass if the crop, resize and extend edits are applied in order`, function() {
+            // Arrange
+            const metadata = { width: 1000, height: 500 };
+            const edits = {
+                extract: { left: 0, top: 0, width: 400, height: 400 },
+                resize: { width: 200, height: null, fit: 'cover' },
+                extend: { top: 10, bottom: 10 }
+            };
+            // Act
+            const imageHandler = new ImageHandler();
+            const result = imageHandler.getTargetDimensions(metadata, edits);
+            // Assert
+            assert.deepEqual(result, { width: 200, height: 220 });
+        });
+    });
+    describe('003/withoutEnlargement', function() {
+        it(`Should pass if the source dimensions are kept when the image would
+            be enlarged`, function() {
+            // Arrange
+            const metadata = { width: 100, height: 50 };
+            const edits = { resize: { width: 300, height: 300, withoutEnlargement: true } };
+            // Act
+            const imageHandler = new ImageHandler();
+            const result = imageHandler.getTargetDimensions(metadata, edits);
+            // Assert
+            assert.deepEqual(result, { width: 100, height: 50 });
+        });
+    });
 });
 
 // ----------------------------------------------------------------------------
@@ -326,6 +539,9 @@ describe('getOverlayImage()', function() {
         it(`Should pass if the proper bucket name and key are supplied,
             simulating an image file that can be retrieved`, async function() {
             // Arrange
+            process.env = {
+                SOURCE_BUCKETS: 'validBucket'
+            };
             const S3 = require('aws-sdk/clients/s3');
             const sinon = require('sinon');
             const getObject = S3.prototype.getObject = sinon.stub();
@@ -367,6 +583,60 @@ describe('getOverlayImage()', function() {
             })
         });
     });
+    describe('003/cachedOverlay', function() {
+        after(function() {
+            process.env = {};
+        });
+        it(`Should pass if a resized overlay is served from the memory cache
+            once its ETag is revalidated`, async function() {
+            // Arrange
+            process.env = {
+                MEMORY_CACHE_SIZE_MB: '1',
+                SOURCE_BUCKETS: 'validBucket'
+            };
+            const sinon = require('sinon');
+            const getObject = sinon.stub();
+            getObject.withArgs({Bucket: 'validBucket', Key: 'cachedKey'}).returns({
+                promise: () => Promise.resolve({
+                    Body: Buffer.from('iVBORw0KGgoAAAANSUhEUgAAAAEAAAABCAYAAAAfFcSJAAAADUlEQVR42mP8z8BQDwAEhQGAhKmMIQAAAABJRU5ErkJggg==', 'base64'),
+                    ETag: '"overlay-1"'
+                })
+            });
+            getObject.withArgs({Bucket: 'validBucket', Key: 'cachedKey', IfNoneMatch: '"overlay-1"'}).returns({
+                promise: () => Promise.reject({ code: 'NotModified', statusCode: 304 })
+            });
+            const metadata = { width: 1, height: 1 };
+            // Act
+            const imageHandler = new ImageHandler({ getObject });
+            const first = await imageHandler.getOverlayImage('validBucket', 'cachedKey', '100', '100', '20', metadata);
+            const second = await imageHandler.getOverlayImage('validBucket', 'cachedKey', '100', '100', '20', metadata);
+            // Assert
+            assert.deepEqual(getObject.secondCall.args[0].IfNoneMatch, '"overlay-1"');
+            assert.strictEqual(second, first);
+        });
+    });
+    describe('004/keyNotAllowed', function() {
+        it(`Should throw an error if the overlay key is not allowed for its
+            bucket in SOURCE_BUCKETS, without reading the overlay`, async function() {
+            // Arrange
+            process.env = {
+                SOURCE_BUCKETS: 'validBucket/public/*'
+            };
+            const sinon = require('sinon');
+            const getObject = sinon.stub();
+            const metadata = { width: 1, height: 1 };
+            // Act
+            const imageHandler = new ImageHandler({ getObject });
+            await imageHandler.getOverlayImage('validBucket', 'private/watermark.png', '100', '100', '20', metadata).then(() => {
+                assert.fail('getOverlayImage should have been rejected');
+            }).catch((err) => {
+                // Assert
+                assert.deepEqual(err.status, 403);
+                assert.deepEqual(err.code, 'ImageKey::CannotAccessKey');
+                assert.deepEqual(getObject.called, false);
+            });
+        });
+    });
 });
 
 // ----------------------------------------------------------------------------
@@ -473,4 +743,24 @@ describe('getBoundingBox()', function() {
             })
         });
     });
+    describe('003/injectedRekognition', function() {
+        it(`Should pass if the injected Amazon Rekognition client is used`,
+            async function() {
+            // Arrange
+            const rekognition = {
+                detectFaces: () => ({
+                    promise: () => Promise.resolve({
+                        FaceDetails: [{
+                            BoundingBox: { Height: 0.18, Left: 0.55, Top: 0.33, Width: 0.23 }
+                        }]
+                    })
+                })
+            };
+            // Act
+            const imageHandler = new ImageHandler(undefined, rekognition);
+            const result = await imageHandler.getBoundingBox(Buffer.from('TestImageData'), 0);
+            // Assert
+            assert.deepEqual(result, { Height: 0.18, Left: 0.55, Top: 0.33, Width: 0.23 });
+        });
+    });
 });
\ No newline at end of file
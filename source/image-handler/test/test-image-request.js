@@ -12,6 +12,8 @@
  *********************************************************************************************************************/
 
 const ImageRequest = require('../image-request');
+const DerivativeCache = require('../derivative-cache');
+const Logger = require('../logger');
 let assert = require('assert');
 
 // ----------------------------------------------------------------------------
@@ -161,15 +163,50 @@ describe('setup()', function() {
             })
         });
     });
-});
-// ----------------------------------------------------------------------------
-// getOriginalImage()
-// ----------------------------------------------------------------------------
-describe('getOriginalImage()', function() {
-    describe('001/imageExists', function() {
-        it(`Should pass if the proper bucket name and key are supplied,
-            simulating an image file that can be retrieved`, async function() {
+    describe('005/invalidDefaultRequest', function() {
+        it(`Should pass if a default image request that does not match the
+            request schema is rejected before the original image is fetched`, async function() {
+            // Arrange
+            const event = {
+                path : '/eyJidWNrZXQiOiJ2YWxpZEJ1Y2tldCIsImtleSI6InZhbGlkS2V5IiwiZWRpdHMiOnsicmVzaXplIjp7IndpZGh0IjoyMDB9fX0='
+            }
+            process.env = {
+                SOURCE_BUCKETS : "validBucket, validBucket2"
+            }
+            // ----
+            const S3 = require('aws-sdk/clients/s3');
+            const sinon = require('sinon');
+            const getObject = S3.prototype.getObject = sinon.stub();
+            // Act
+            const imageRequest = new ImageRequest();
+            // Assert
+            await imageRequest.setup(event).then(() => {
+                assert.fail('setup should have been rejected');
+            }).catch((err) => {
+                assert.deepEqual(err.status, 400);
+                assert.deepEqual(err.code, 'RequestSchema::InvalidRequest');
+                assert.deepEqual(err.errors, [{ pointer: '/edits/resize/widht', message: 'is not a supported field' }]);
+                assert.deepEqual(getObject.called, false);
+            });
+        });
+    });
+    describe('006/presetRequest', function() {
+        it(`Should pass if the preset is expanded with the edits of the request
+            merged on top, before the output format is decided`, async function() {
             // Arrange
+            const event = {
+                path : '/eyJidWNrZXQiOiJ2YWxpZEJ1Y2tldCIsImtleSI6InZhbGlkS2V5IiwicHJlc2V0IjoicHJvZHVjdC10aHVtYm5haWwiLCJlZGl0cyI6eyJyZXNpemUiOnsid2lkdGgiOjIwMH19fQ=='
+            }
+            process.env = {
+                SOURCE_BUCKETS : "validBucket, validBucket2",
+                PRESETS : JSON.stringify({
+                    'product-thumbnail': {
+                        edits: { resize: { width: 300, height: 300, fit: 'cover' }, sharpen: true },
+                        outputFormat: 'webp'
+                    }
+                })
+            }
+            // ----
             const S3 = require('aws-sdk/clients/s3');
             const sinon = require('sinon');
             const getObject = S3.prototype.getObject = sinon.stub();
@@ -180,464 +217,1942 @@ describe('getOriginalImage()', function() {
             })
             // Act
             const imageRequest = new ImageRequest();
-            const result = await imageRequest.getOriginalImage('validBucket', 'validKey');
+            await imageRequest.setup(event);
+            const expectedResult = {
+                requestType: 'Default',
+                bucket: 'validBucket',
+                key: 'validKey',
+                preset: 'product-thumbnail',
+                edits: { resize: { width: 200, height: 300, fit: 'cover' }, sharpen: true },
+                outputFormat: 'webp',
+                originalImage: Buffer.from('SampleImageContent\n'),
+                CacheControl: 'max-age=31536000,public',
+                ContentType: 'image/webp'
+            }
             // Assert
-            assert.deepEqual(result, Buffer.from('SampleImageContent\n'));
+            assert.deepEqual(imageRequest, expectedResult);
         });
     });
-    describe('002/imageDoesNotExist', async function() {
-        it(`Should throw an error if an invalid bucket or key name is provided,
-            simulating a non-existant original image`, async function() {
+    describe('007/thumborMetaRequest', function() {
+        it(`Should pass if a thumbor meta request is flagged and its edits are
+            resolved`, async function() {
             // Arrange
+            const event = {
+                path : "/meta/fit-in/200x300/test-image-001.jpg"
+            }
+            process.env = {
+                SOURCE_BUCKETS : "allowedBucket001, allowedBucket002"
+            }
+            // ----
             const S3 = require('aws-sdk/clients/s3');
             const sinon = require('sinon');
             const getObject = S3.prototype.getObject = sinon.stub();
-            getObject.withArgs({Bucket: 'invalidBucket', Key: 'invalidKey'}).returns({
-                promise: () => {
-                    return Promise.reject({
-                        code: 'NoSuchKey',
-                        message: 'SimulatedException'
-                    })
-                }
+            getObject.withArgs({Bucket: 'allowedBucket001', Key: 'test-image-001.jpg'}).returns({
+                promise: () => { return {
+                    Body: Buffer.from('SampleImageContent\n')
+                }}
+            })
+            // Act
+            const imageRequest = new ImageRequest();
+            await imageRequest.setup(event);
+            const expectedResult = {
+                requestType: 'Thumbor',
+                bucket: 'allowedBucket001',
+                key: 'test-image-001.jpg',
+                edits: { resize: { fit: 'inside', width: 200, height: 300 } },
+                meta: true,
+                originalImage: Buffer.from('SampleImageContent\n'),
+                CacheControl: 'max-age=31536000,public',
+                ContentType: 'image'
+            }
+            // Assert
+            assert.deepEqual(imageRequest, expectedResult);
+        });
+    });
+    describe('008/remoteUrlRequest', function() {
+        it(`Should pass if the original image of a default image request with
+            a url is fetched from the remote origin`, async function() {
+            // Arrange
+            const event = {
+                path : '/eyJ1cmwiOiJodHRwczovL2ltYWdlcy5wYXJ0bmVyLmNvbS9wcm9kdWN0cy9zaG9lLmpwZyIsImVkaXRzIjp7ImdyYXlzY2FsZSI6dHJ1ZX19'
+            }
+            process.env = {
+                SOURCE_BUCKETS : "validBucket, validBucket2",
+                ORIGIN_ALLOWED_HOSTS : "images.partner.com"
+            }
+            // ----
+            const sinon = require('sinon');
+            const RemoteOrigin = require('../remote-origin');
+            const getObject = sinon.stub(RemoteOrigin.prototype, 'getObject');
+            getObject.withArgs('https://images.partner.com/products/shoe.jpg').resolves({
+                Body: Buffer.from('SampleImageContent\n'),
+                ContentType: 'image/jpeg'
             });
             // Act
             const imageRequest = new ImageRequest();
+            await imageRequest.setup(event).finally(() => getObject.restore());
+            const expectedResult = {
+                requestType: 'Default',
+                url: 'https://images.partner.com/products/shoe.jpg',
+                edits: { grayscale: true },
+                originalImage: Buffer.from('SampleImageContent\n'),
+                CacheControl: 'max-age=31536000,public',
+                ContentType: 'image/jpeg'
+            }
             // Assert
-            imageRequest.getOriginalImage('invalidBucket', 'invalidKey').then((result) => {
-                assert.equal(typeof result, Error);
-                assert.equal(result.status, 404);
-            }).catch((err) => console.log(err));
+            assert.deepEqual(imageRequest, expectedResult);
         });
     });
-    describe('003/unknownError', async function() {
-        it(`Should throw an error if an unkown problem happens when getting an object`, async function() {
+    describe('009/keyNotAllowed', function() {
+        it(`Should throw an error before the original image is fetched if the
+            key does not match the key pattern of its bucket in SOURCE_BUCKETS`, async function() {
             // Arrange
+            const event = {
+                path : '/eyJidWNrZXQiOiJhbGxvd2VkQnVja2V0MDAxIiwia2V5IjoicHJpdmF0ZS9pbWFnZS5qcGcifQ=='
+            }
+            process.env = {
+                SOURCE_BUCKETS : "allowedBucket001/public/*, allowedBucket002"
+            }
+            // ----
             const S3 = require('aws-sdk/clients/s3');
             const sinon = require('sinon');
             const getObject = S3.prototype.getObject = sinon.stub();
-            getObject.withArgs({Bucket: 'invalidBucket', Key: 'invalidKey'}).returns({
-                promise: () => {
-                    return Promise.reject({
-                        code: 'InternalServerError',
-                        message: 'SimulatedException'
-                    })
-                }
+            // Act
+            const imageRequest = new ImageRequest();
+            await imageRequest.setup(event).then(() => {
+                assert.fail('setup should have been rejected');
+            }).catch((err) => {
+                // Assert
+                assert.deepEqual(err.status, 403);
+                assert.deepEqual(err.code, 'ImageKey::CannotAccessKey');
+                assert.deepEqual(getObject.called, false);
             });
+        });
+    });
+    describe('010/clientHints', function() {
+        it(`Should pass if the resize dimensions are scaled for the DPR hint and
+            the quality is lowered for Save-Data when client hints are enabled`, async function() {
+            // Arrange
+            const event = {
+                path : '/fit-in/200x100/filters:format(webp):quality(80)/test-image-001.jpg',
+                headers : {
+                    'sec-ch-dpr': '2',
+                    'Save-Data': 'on'
+                }
+            }
+            process.env = {
+                SOURCE_BUCKETS : "allowedBucket001, allowedBucket002",
+                ENABLE_CLIENT_HINTS : "Yes"
+            }
+            // ----
+            const S3 = require('aws-sdk/clients/s3');
+            const sinon = require('sinon');
+            const getObject = S3.prototype.getObject = sinon.stub();
+            getObject.withArgs({Bucket: 'allowedBucket001', Key: 'test-image-001.jpg'}).returns({
+                promise: () => { return {
+                    Body: Buffer.from('SampleImageContent\n')
+                }}
+            })
             // Act
             const imageRequest = new ImageRequest();
+            await imageRequest.setup(event);
+            const expectedResult = {
+                requestType: 'Thumbor',
+                bucket: 'allowedBucket001',
+                key: 'test-image-001.jpg',
+                edits: {
+                    resize: { width: 400, height: 200, fit: 'inside' },
+                    toFormat: 'webp',
+                    webp: { quality: 50 }
+                },
+                originalImage: Buffer.from('SampleImageContent\n'),
+                CacheControl: 'max-age=31536000,public',
+                outputFormat: 'webp',
+                ContentType: 'image/webp',
+                ContentDPR: 2
+            }
             // Assert
-            imageRequest.getOriginalImage('invalidBucket', 'invalidKey').then((result) => {
-                assert.equal(typeof result, Error);
-                assert.equal(result.status, 500);
-            }).catch((err) => console.log(err));
+            assert.deepEqual(imageRequest, expectedResult);
         });
     });
-});
-
-// ----------------------------------------------------------------------------
-// parseImageBucket()
-// ----------------------------------------------------------------------------
-describe('parseImageBucket()', function() {
-    describe('001/defaultRequestType/bucketSpecifiedInRequest/allowed', function() {
-        it(`Should pass if the bucket name is provided in the image request
-            and has been whitelisted in SOURCE_BUCKETS`, function() {
+    describe('011/queryDprRequest', function() {
+        after(function() {
+            process.env = {};
+        });
+        it(`Should pass if the resize dimensions of a query request are
+            multiplied by its dpr, capped at MAX_DPR`, async function() {
             // Arrange
             const event = {
-                path : '/eyJidWNrZXQiOiJhbGxvd2VkQnVja2V0MDAxIiwia2V5Ijoic2FtcGxlSW1hZ2VLZXkwMDEuanBnIiwiZWRpdHMiOnsiZ3JheXNjYWxlIjoidHJ1ZSJ9fQ=='
+                path : '/test-image-001.jpg',
+                queryStringParameters : { w: '300', h: '200', dpr: '3' }
             }
             process.env = {
-                SOURCE_BUCKETS : "allowedBucket001, allowedBucket002"
+                SOURCE_BUCKETS : "allowedBucket001, allowedBucket002",
+                MAX_DPR : "2"
             }
+            // ----
+            const S3 = require('aws-sdk/clients/s3');
+            const sinon = require('sinon');
+            const getObject = S3.prototype.getObject = sinon.stub();
+            getObject.withArgs({Bucket: 'allowedBucket001', Key: 'test-image-001.jpg'}).returns({
+                promise: () => { return {
+                    Body: Buffer.from('SampleImageContent\n')
+                }}
+            })
             // Act
             const imageRequest = new ImageRequest();
-            const result = imageRequest.parseImageBucket(event, 'Default');
+            await imageRequest.setup(event);
             // Assert
-            const expectedResult = 'allowedBucket001';
-            assert.deepEqual(result, expectedResult);
+            assert.deepEqual(imageRequest.dpr, 3);
+            assert.deepEqual(imageRequest.edits.resize, { fit: 'inside', width: 600, height: 400 });
+            assert.deepEqual(imageRequest.ContentDPR, 2);
         });
     });
-    describe('002/defaultRequestType/bucketSpecifiedInRequest/notAllowed', function() {
-        it(`Should throw an error if the bucket name is provided in the image request
-            but has not been whitelisted in SOURCE_BUCKETS`, function() {
+    describe('012/inputTooLarge', function() {
+        after(function() {
+            process.env = {};
+        });
+        it(`Should throw an error if the original image is larger than
+            MAX_INPUT_BYTES`, async function() {
             // Arrange
             const event = {
-                path : '/eyJidWNrZXQiOiJhbGxvd2VkQnVja2V0MDAxIiwia2V5Ijoic2FtcGxlSW1hZ2VLZXkwMDEuanBnIiwiZWRpdHMiOnsiZ3JheXNjYWxlIjoidHJ1ZSJ9fQ=='
+                path : '/fit-in/300x200/test-image-001.jpg'
             }
             process.env = {
-                SOURCE_BUCKETS : "allowedBucket003, allowedBucket004"
+                SOURCE_BUCKETS : "allowedBucket001, allowedBucket002",
+                MAX_INPUT_BYTES : "8"
             }
+            // ----
+            const S3 = require('aws-sdk/clients/s3');
+            const sinon = require('sinon');
+            const getObject = S3.prototype.getObject = sinon.stub();
+            getObject.withArgs({Bucket: 'allowedBucket001', Key: 'test-image-001.jpg'}).returns({
+                promise: () => { return {
+                    Body: Buffer.from('SampleImageContent\n')
+                }}
+            })
             // Act
             const imageRequest = new ImageRequest();
-            // Assert
-            assert.throws(function() {
-                imageRequest.parseImageBucket(event, 'Default');
-            }, Object, {
-                status: 403,
-                code: 'ImageBucket::CannotAccessBucket',
-                message: 'The bucket you specified could not be accessed. Please check that the bucket is specified in your SOURCE_BUCKETS.'
+            await imageRequest.setup(event).then(() => {
+                assert.fail('setup should have been rejected');
+            }).catch((err) => {
+                // Assert
+                assert.deepEqual(err.status, 413);
+                assert.deepEqual(err.code, 'ImageLimits::InputTooLarge');
             });
         });
     });
-    describe('003/defaultRequestType/bucketNotSpecifiedInRequest', function() {
-        it(`Should pass if the image request does not contain a source bucket
-            but SOURCE_BUCKETS contains at least one bucket that can be
-            used as a default`, function() {
+    describe('013/sourceETag', function() {
+        it(`Should pass if the entity tag of the response is derived from the
+            entity tag of the source image and the edits`, async function() {
             // Arrange
             const event = {
-                path : '/eyJrZXkiOiJzYW1wbGVJbWFnZUtleTAwMS5qcGciLCJlZGl0cyI6eyJncmF5c2NhbGUiOiJ0cnVlIn19=='
+                path : '/fit-in/300x200/test-image-001.jpg'
             }
             process.env = {
                 SOURCE_BUCKETS : "allowedBucket001, allowedBucket002"
             }
+            // ----
+            const S3 = require('aws-sdk/clients/s3');
+            const sinon = require('sinon');
+            const getObject = S3.prototype.getObject = sinon.stub();
+            getObject.withArgs({Bucket: 'allowedBucket001', Key: 'test-image-001.jpg'}).returns({
+                promise: () => { return {
+                    Body: Buffer.from('SampleImageContent\n'),
+                    ETag: '"8c2e5f3a0d1b4e6f"'
+                }}
+            })
             // Act
             const imageRequest = new ImageRequest();
-            const result = imageRequest.parseImageBucket(event, 'Default');
+            await imageRequest.setup(event);
+            const otherRequest = new ImageRequest();
+            await otherRequest.setup({ path: '/fit-in/300x300/test-image-001.jpg' });
             // Assert
-            const expectedResult = 'allowedBucket001';
-            assert.deepEqual(result, expectedResult);
+            assert.deepEqual(imageRequest.SourceETag, '"8c2e5f3a0d1b4e6f"');
+            assert.deepEqual(/^"[0-9a-f]{32}"$/.test(imageRequest.ETag), true);
+            assert.notDeepEqual(imageRequest.ETag, otherRequest.ETag);
         });
     });
-    describe('004/thumborRequestType', function() {
-        it(`Should pass if there is at least one SOURCE_BUCKET specified that can
-            be used as the default for Thumbor requests`, function() {
+    describe('014/derivativeHit', function() {
+        it(`Should pass if the stored derivative of the request is used and
+            the original image is not read`, async function() {
             // Arrange
             const event = {
-                path : "/filters:grayscale()/test-image-001.jpg"
+                path : '/fit-in/300x200/test-image-001.jpg'
             }
             process.env = {
-                SOURCE_BUCKETS : "allowedBucket001, allowedBucket002"
+                SOURCE_BUCKETS : "allowedBucket001, allowedBucket002",
+                DERIVATIVE_BUCKET : "derivativeBucket"
             }
+            // ----
+            const sinon = require('sinon');
+            const s3 = {
+                headObject: sinon.stub().returns({
+                    promise: () => Promise.resolve({ ETag: '"8c2e5f3a0d1b4e6f"' })
+                }),
+                getObject: sinon.stub()
+            };
+            const getObject = s3.getObject;
+            getObject.withArgs(sinon.match({Bucket: 'derivativeBucket'})).returns({
+                promise: () => { return {
+                    Body: Buffer.from('ProcessedImageContent\n'),
+                    ContentType: 'image/webp',
+                    CacheControl: 'max-age=86400',
+                    Metadata: { etag: '"0f1e2d3c"', lastmodified: 'Tue, 01 Sep 2020 00:00:00 GMT' }
+                }}
+            })
             // Act
-            const imageRequest = new ImageRequest();
-            const result = imageRequest.parseImageBucket(event, 'Thumbor');
+            const imageRequest = new ImageRequest(s3);
+            await imageRequest.setup(event);
             // Assert
-            const expectedResult = 'allowedBucket001';
-            assert.deepEqual(result, expectedResult);
+            assert.deepEqual(getObject.calledWith(sinon.match({Bucket: 'allowedBucket001'})), false);
+            assert.deepEqual(imageRequest.DerivativeKey.startsWith(new DerivativeCache('derivativeBucket').getSourcePrefix('allowedBucket001', 'test-image-001.jpg')), true);
+            assert.deepEqual(imageRequest.derivativeImage, Buffer.from('ProcessedImageContent\n'));
+            assert.deepEqual(imageRequest.ContentType, 'image/webp');
+            assert.deepEqual(imageRequest.ETag, '"0f1e2d3c"');
+            assert.deepEqual(imageRequest.LastModified, 'Tue, 01 Sep 2020 00:00:00 GMT');
         });
     });
-    describe('005/customRequestType', function() {
-        it(`Should pass if there is at least one SOURCE_BUCKET specified that can
-            be used as the default for Custom requests`, function() {
+    describe('015/derivativeMiss', function() {
+        it(`Should pass if the original image is read and the derivative key
+            is kept when the derivative is not stored yet`, async function() {
             // Arrange
             const event = {
-                path : "/filters:grayscale()/test-image-001.jpg"
+                path : '/fit-in/300x200/test-image-001.jpg'
             }
             process.env = {
-                SOURCE_BUCKETS : "allowedBucket001, allowedBucket002"
+                SOURCE_BUCKETS : "allowedBucket001, allowedBucket002",
+                DERIVATIVE_BUCKET : "derivativeBucket"
+            }
+            // ----
+            const sinon = require('sinon');
+            const s3 = {
+                headObject: sinon.stub().returns({
+                    promise: () => Promise.resolve({ ETag: '"8c2e5f3a0d1b4e6f"' })
+                }),
+                getObject: sinon.stub()
+            };
+            const getObject = s3.getObject;
+            getObject.withArgs(sinon.match({Bucket: 'derivativeBucket'})).returns({
+                promise: () => Promise.reject({ code: 'NoSuchKey' })
+            })
+            getObject.withArgs({Bucket: 'allowedBucket001', Key: 'test-image-001.jpg'}).returns({
+                promise: () => { return {
+                    Body: Buffer.from('SampleImageContent\n'),
+                    ETag: '"8c2e5f3a0d1b4e6f"'
+                }}
+            })
+            // Act
+            const imageRequest = new ImageRequest(s3);
+            await imageRequest.setup(event);
+            const otherRequest = new ImageRequest(s3);
+            await otherRequest.setup({ path: '/fit-in/300x300/test-image-001.jpg' });
+            // Assert
+            assert.deepEqual(imageRequest.originalImage, Buffer.from('SampleImageContent\n'));
+            assert.deepEqual(imageRequest.derivativeImage, undefined);
+            assert.deepEqual(imageRequest.DerivativeKey.startsWith(new DerivativeCache('derivativeBucket').getSourcePrefix('allowedBucket001', 'test-image-001.jpg')), true);
+            assert.notDeepEqual(imageRequest.DerivativeKey, otherRequest.DerivativeKey);
+        });
+    });
+    describe('016/fallbackImage', function() {
+        it(`Should pass if the fallback image of a missing original image is
+            read with the status code of fallback responses`, async function() {
+            // Arrange
+            const event = {
+                path : '/fit-in/300x200/products/missing.jpg'
+            }
+            process.env = {
+                SOURCE_BUCKETS : "allowedBucket001, allowedBucket002",
+                FALLBACK_IMAGES : '[{ "prefix": "products/", "fallbackKey": "placeholders/product.png" }]',
+                FALLBACK_STATUS : "200"
+            }
+            // ----
+            const S3 = require('aws-sdk/clients/s3');
+            const sinon = require('sinon');
+            const getObject = S3.prototype.getObject = sinon.stub();
+            getObject.withArgs({Bucket: 'allowedBucket001', Key: 'products/missing.jpg'}).returns({
+                promise: () => Promise.reject({ code: 'NoSuchKey', message: 'The specified key does not exist.' })
+            })
+            getObject.withArgs({Bucket: 'allowedBucket001', Key: 'placeholders/product.png'}).returns({
+                promise: () => Promise.resolve({ Body: Buffer.from('PlaceholderImageContent\n'), ContentType: 'image/png', CacheControl: 'max-age=31536000,public', LastModified: 'Wed, 21 Oct 2015 07:28:00 GMT' })
+            })
+            // Act
+            const imageRequest = new ImageRequest();
+            await imageRequest.setup(event);
+            // Assert
+            assert.deepEqual(imageRequest.originalImage, Buffer.from('PlaceholderImageContent\n'));
+            assert.deepEqual(imageRequest.key, 'products/missing.jpg');
+            assert.deepEqual(imageRequest.edits.resize, { width: 300, height: 200, fit: 'inside' });
+            assert.deepEqual(imageRequest.FallbackStatus, 200);
+            assert.deepEqual(imageRequest.CacheControl, 'max-age=60,public');
+            assert.deepEqual(imageRequest.LastModified, undefined);
+        });
+    });
+    describe('017/noFallbackImage', function() {
+        it(`Should throw an error if the original image is missing and no
+            fallback image matches`, async function() {
+            // Arrange
+            const event = {
+                path : '/fit-in/300x200/missing.jpg'
+            }
+            process.env = {
+                SOURCE_BUCKETS : "allowedBucket001, allowedBucket002",
+                FALLBACK_IMAGES : '[{ "prefix": "products/", "fallbackKey": "placeholders/product.png" }]'
+            }
+            // ----
+            const S3 = require('aws-sdk/clients/s3');
+            const sinon = require('sinon');
+            const getObject = S3.prototype.getObject = sinon.stub();
+            getObject.withArgs({Bucket: 'allowedBucket001', Key: 'missing.jpg'}).returns({
+                promise: () => Promise.reject({ code: 'NoSuchKey', message: 'The specified key does not exist.' })
+            })
+            // Act
+            const imageRequest = new ImageRequest();
+            await imageRequest.setup(event).then(() => {
+                assert.fail('setup should have been rejected');
+            }).catch((err) => {
+                // Assert
+                assert.deepEqual(err.status, 404);
+                assert.deepEqual(err.code, 'NoSuchKey');
+            });
+        });
+    });
+    describe('018/debugRewriteRule', function() {
+        it(`Should pass if a debug request records the rewrite rule applied
+            and the time spent in each stage`, async function() {
+            // Arrange
+            const event = {
+                path : '/filters-rotate(90)/filters-grayscale()/custom-image.jpg',
+                headers : { 'X-Image-Debug': '1' },
+                requestContext : { stage: 'dev' }
+            }
+            process.env = {
+                REWRITE_RULES : JSON.stringify([{ name: 'filters', match: '/(filters-)/gm', substitution: 'filters:' }]),
+                SOURCE_BUCKETS : "allowedBucket001, allowedBucket002",
+                DEBUG_STAGES : "dev"
+            }
+            // ----
+            const S3 = require('aws-sdk/clients/s3');
+            const sinon = require('sinon');
+            const getObject = S3.prototype.getObject = sinon.stub();
+            getObject.withArgs({Bucket: 'allowedBucket001', Key: 'custom-image.jpg'}).returns({
+                promise: () => { return {
+                    Body: Buffer.from('SampleImageContent\n')
+                }}
+            })
+            // Act
+            const imageRequest = new ImageRequest();
+            await imageRequest.setup(event);
+            // Assert
+            assert.deepEqual(imageRequest.debug, true);
+            assert.deepEqual(imageRequest.rewriteRule, 'filters');
+            assert.deepEqual(Object.keys(imageRequest.timings), ['parse', 'fetch', 'format']);
+        });
+    });
+    describe('019/signedPathRequest', function() {
+        it(`Should pass if a default image request is signed with the path
+            segment preceding the encoded request`, async function() {
+            // Arrange
+            const crypto = require('crypto');
+            const encoded = 'eyJidWNrZXQiOiJ2YWxpZEJ1Y2tldCIsImtleSI6InZhbGlkS2V5IiwiZWRpdHMiOnsiZ3JheXNjYWxlIjp0cnVlfSwib3V0cHV0Rm9ybWF0IjoianBlZyJ9';
+            const signature = crypto.createHmac('sha256', 'secret001').update(encoded).digest('hex');
+            const event = {
+                path : `/${signature}/${encoded}`
+            }
+            process.env = {
+                SOURCE_BUCKETS : "validBucket, validBucket2",
+                ENABLE_SIGNATURE : "Yes",
+                SIGNATURE_SECRETS : "secret001"
+            }
+            // ----
+            const S3 = require('aws-sdk/clients/s3');
+            const sinon = require('sinon');
+            const getObject = S3.prototype.getObject = sinon.stub();
+            getObject.withArgs({Bucket: 'validBucket', Key: 'validKey'}).returns({
+                promise: () => { return {
+                    Body: Buffer.from('SampleImageContent\n')
+                }}
+            })
+            // Act
+            const imageRequest = new ImageRequest();
+            await imageRequest.setup(event);
+            // Assert
+            assert.deepEqual(imageRequest.requestType, 'Default');
+            assert.deepEqual(imageRequest.key, 'validKey');
+            assert.deepEqual(imageRequest.edits, { grayscale: true });
+        });
+    });
+    describe('020/clientHints/dprClamped', function() {
+        it(`Should pass if the DPR hint is lowered so that a valid request stays
+            within the output limits, and the DPR applied is recorded`, async function() {
+            // Arrange
+            const event = {
+                path : '/fit-in/5000x5000/test-image-001.png',
+                headers : { 'Sec-CH-DPR': '4' }
+            }
+            process.env = {
+                SOURCE_BUCKETS : "allowedBucket001, allowedBucket002",
+                ENABLE_CLIENT_HINTS : "Yes",
+                MAX_DPR : "4"
+            }
+            // ----
+            const S3 = require('aws-sdk/clients/s3');
+            const sinon = require('sinon');
+            const getObject = S3.prototype.getObject = sinon.stub();
+            getObject.withArgs({Bucket: 'allowedBucket001', Key: 'test-image-001.png'}).returns({
+                promise: () => { return {
+                    Body: Buffer.from('SampleImageContent\n')
+                }}
+            })
+            // Act
+            const imageRequest = new ImageRequest();
+            await imageRequest.setup(event);
+            // Assert
+            assert.deepEqual(imageRequest.edits.resize, { width: 10000, height: 10000, fit: 'inside' });
+            assert.deepEqual(imageRequest.ContentDPR, 2);
+        });
+    });
+});
+// ----------------------------------------------------------------------------
+// getOriginalImage()
+// ----------------------------------------------------------------------------
+describe('getOriginalImage()', function() {
+    describe('001/imageExists', function() {
+        it(`Should pass if the proper bucket name and key are supplied,
+            simulating an image file that can be retrieved`, async function() {
+            // Arrange
+            const S3 = require('aws-sdk/clients/s3');
+            const sinon = require('sinon');
+            const getObject = S3.prototype.getObject = sinon.stub();
+            getObject.withArgs({Bucket: 'validBucket', Key: 'validKey'}).returns({
+                promise: () => { return {
+                    Body: Buffer.from('SampleImageContent\n')
+                }}
+            })
+            // Act
+            const imageRequest = new ImageRequest();
+            const result = await imageRequest.getOriginalImage('validBucket', 'validKey');
+            // Assert
+            assert.deepEqual(result, Buffer.from('SampleImageContent\n'));
+        });
+    });
+    describe('002/imageDoesNotExist', async function() {
+        it(`Should throw an error if an invalid bucket or key name is provided,
+            simulating a non-existant original image`, async function() {
+            // Arrange
+            const S3 = require('aws-sdk/clients/s3');
+            const sinon = require('sinon');
+            const getObject = S3.prototype.getObject = sinon.stub();
+            getObject.withArgs({Bucket: 'invalidBucket', Key: 'invalidKey'}).returns({
+                promise: () => {
+                    return Promise.reject({
+                        code: 'NoSuchKey',
+                        message: 'SimulatedException'
+                    })
+                }
+            });
+            // Act
+            const imageRequest = new ImageRequest();
+            // Assert
+            imageRequest.getOriginalImage('invalidBucket', 'invalidKey').then((result) => {
+                assert.equal(typeof result, Error);
+                assert.equal(result.status, 404);
+            }).catch((err) => console.log(err));
+        });
+    });
+    describe('003/unknownError', async function() {
+        it(`Should throw an error if an unkown problem happens when getting an object`, async function() {
+            // Arrange
+            const S3 = require('aws-sdk/clients/s3');
+            const sinon = require('sinon');
+            const getObject = S3.prototype.getObject = sinon.stub();
+            getObject.withArgs({Bucket: 'invalidBucket', Key: 'invalidKey'}).returns({
+                promise: () => {
+                    return Promise.reject({
+                        code: 'InternalServerError',
+                        message: 'SimulatedException'
+                    })
+                }
+            });
+            // Act
+            const imageRequest = new ImageRequest();
+            // Assert
+            imageRequest.getOriginalImage('invalidBucket', 'invalidKey').then((result) => {
+                assert.equal(typeof result, Error);
+                assert.equal(result.status, 500);
+            }).catch((err) => console.log(err));
+        });
+    });
+    describe('004/injectedS3', function() {
+        it(`Should pass if the image is read with the injected Amazon S3 client`, async function() {
+            // Arrange
+            const s3 = {
+                getObject: (params) => ({
+                    promise: () => Promise.resolve({
+                        Body: Buffer.from(`${params.Bucket}/${params.Key}`),
+                        ContentType: 'image/png'
+                    })
+                })
+            };
+            process.env = {};
+            // Act
+            const imageRequest = new ImageRequest(s3);
+            const result = await imageRequest.getOriginalImage('validBucket', 'validKey');
+            // Assert
+            assert.deepEqual(result, Buffer.from('validBucket/validKey'));
+            assert.deepEqual(imageRequest.ContentType, 'image/png');
+        });
+    });
+});
+
+// ----------------------------------------------------------------------------
+// getDerivative()
+// ----------------------------------------------------------------------------
+describe('getDerivative()', function() {
+    const lookup = async (headError) => {
+        const sinon = require('sinon');
+        const s3 = {
+            headObject: sinon.stub().returns({
+                promise: () => Promise.reject(headError)
+            })
+        };
+        process.env = {
+            DERIVATIVE_BUCKET: 'derivativeBucket'
+        };
+        const logger = Logger.fromEnvironment();
+        const write = logger.write;
+        const lines = [];
+        logger.write = line => lines.push(JSON.parse(line));
+        const imageRequest = new ImageRequest(s3);
+        imageRequest.bucket = 'validBucket';
+        imageRequest.key = 'validKey';
+        try {
+            const result = await imageRequest.getDerivative({ path: '/validKey' });
+            return { result, lines };
+        } finally {
+            logger.write = write;
+        }
+    };
+    describe('001/missingSource', function() {
+        it(`Should pass if a missing source image is reported as a miss
+            without a warning`, async function() {
+            // Act
+            const { result, lines } = await lookup({ code: 'NotFound', statusCode: 404 });
+            // Assert
+            assert.deepEqual(result, false);
+            assert.deepEqual(lines.filter(line => line.level === 'warn'), []);
+        });
+    });
+    describe('002/lookupError', function() {
+        it(`Should pass if a failed lookup is reported as a miss with a
+            warning`, async function() {
+            // Act
+            const { result, lines } = await lookup({ code: 'AccessDenied', statusCode: 403 });
+            // Assert
+            assert.deepEqual(result, false);
+            assert.deepEqual(lines.map(line => line.message), [ 'Derivative lookup failed' ]);
+            assert.deepEqual(lines[0].errorCode, 'AccessDenied');
+        });
+    });
+});
+
+// ----------------------------------------------------------------------------
+// parseImageBucket()
+// ----------------------------------------------------------------------------
+describe('parseImageBucket()', function() {
+    describe('001/defaultRequestType/bucketSpecifiedInRequest/allowed', function() {
+        it(`Should pass if the bucket name is provided in the image request
+            and has been whitelisted in SOURCE_BUCKETS`, function() {
+            // Arrange
+            const event = {
+                path : '/eyJidWNrZXQiOiJhbGxvd2VkQnVja2V0MDAxIiwia2V5Ijoic2FtcGxlSW1hZ2VLZXkwMDEuanBnIiwiZWRpdHMiOnsiZ3JheXNjYWxlIjoidHJ1ZSJ9fQ=='
+            }
+            process.env = {
+                SOURCE_BUCKETS : "allowedBucket001, allowedBucket002"
+            }
+            // Act
+            const imageRequest = new ImageRequest();
+            const result = imageRequest.parseImageBucket(event, 'Default');
+            // Assert
+            const expectedResult = 'allowedBucket001';
+            assert.deepEqual(result, expectedResult);
+        });
+    });
+    describe('002/defaultRequestType/bucketSpecifiedInRequest/notAllowed', function() {
+        it(`Should throw an error if the bucket name is provided in the image request
+            but has not been whitelisted in SOURCE_BUCKETS`, function() {
+            // Arrange
+            const event = {
+                path : '/eyJidWNrZXQiOiJhbGxvd2VkQnVja2V0MDAxIiwia2V5Ijoic2FtcGxlSW1hZ2VLZXkwMDEuanBnIiwiZWRpdHMiOnsiZ3JheXNjYWxlIjoidHJ1ZSJ9fQ=='
+            }
+            process.env = {
+                SOURCE_BUCKETS : "allowedBucket003, allowedBucket004"
+            }
+            // Act
+            const imageRequest = new ImageRequest();
+            // Assert
+            assert.throws(function() {
+                imageRequest.parseImageBucket(event, 'Default');
+            }, Object, {
+                status: 403,
+                code: 'ImageBucket::CannotAccessBucket',
+                message: 'The bucket you specified could not be accessed. Please check that the bucket is specified in your SOURCE_BUCKETS.'
+            });
+        });
+    });
+    describe('003/defaultRequestType/bucketNotSpecifiedInRequest', function() {
+        it(`Should pass if the image request does not contain a source bucket
+            but SOURCE_BUCKETS contains at least one bucket that can be
+            used as a default`, function() {
+            // Arrange
+            const event = {
+                path : '/eyJrZXkiOiJzYW1wbGVJbWFnZUtleTAwMS5qcGciLCJlZGl0cyI6eyJncmF5c2NhbGUiOiJ0cnVlIn19=='
+            }
+            process.env = {
+                SOURCE_BUCKETS : "allowedBucket001, allowedBucket002"
+            }
+            // Act
+            const imageRequest = new ImageRequest();
+            const result = imageRequest.parseImageBucket(event, 'Default');
+            // Assert
+            const expectedResult = 'allowedBucket001';
+            assert.deepEqual(result, expectedResult);
+        });
+    });
+    describe('004/thumborRequestType', function() {
+        it(`Should pass if there is at least one SOURCE_BUCKET specified that can
+            be used as the default for Thumbor requests`, function() {
+            // Arrange
+            const event = {
+                path : "/filters:grayscale()/test-image-001.jpg"
+            }
+            process.env = {
+                SOURCE_BUCKETS : "allowedBucket001, allowedBucket002"
+            }
+            // Act
+            const imageRequest = new ImageRequest();
+            const result = imageRequest.parseImageBucket(event, 'Thumbor');
+            // Assert
+            const expectedResult = 'allowedBucket001';
+            assert.deepEqual(result, expectedResult);
+        });
+    });
+    describe('005/customRequestType', function() {
+        it(`Should pass if there is at least one SOURCE_BUCKET specified that can
+            be used as the default for Custom requests`, function() {
+            // Arrange
+            const event = {
+                path : "/filters:grayscale()/test-image-001.jpg"
+            }
+            process.env = {
+                SOURCE_BUCKETS : "allowedBucket001, allowedBucket002"
+            }
+            // Act
+            const imageRequest = new ImageRequest();
+            const result = imageRequest.parseImageBucket(event, 'Custom');
+            // Assert
+            const expectedResult = 'allowedBucket001';
+            assert.deepEqual(result, expectedResult);
+        });
+    });
+    describe('006/invalidRequestType', function() {
+        it(`Should pass if there is at least one SOURCE_BUCKET specified that can
+            be used as the default for Custom requests`, function() {
+            // Arrange
+            const event = {
+                path : "/filters:grayscale()/test-image-001.jpg"
+            }
+            process.env = {
+                SOURCE_BUCKETS : "allowedBucket001, allowedBucket002"
+            }
+            // Act
+            const imageRequest = new ImageRequest();
+            // Assert
+            assert.throws(function() {
+                imageRequest.parseImageBucket(event, undefined);
+            }, Object, {
+                status: 400,
+                code: 'ImageBucket::CannotFindBucket',
+                message: 'The bucket you specified could not be found. Please check the spelling of the bucket name in your request.'
+            });
+        });
+    });
+    describe('007/customRequestType/rewriteRuleBucket', function() {
+        it(`Should pass if the bucket of the matching rewrite rule is used for
+            Custom requests`, function() {
+            // Arrange
+            const event = {
+                path : "/cms/300x200/test-image-001.jpg"
+            }
+            process.env = {
+                SOURCE_BUCKETS : "allowedBucket001, allowedBucket002",
+                REWRITE_RULES: JSON.stringify([
+                    { name: 'legacy-cms', match: '^/cms/(\\d+)x(\\d+)/', substitution: '/fit-in/$1x$2/', bucket: 'allowedBucket002' }
+                ])
+            }
+            // Act
+            const imageRequest = new ImageRequest();
+            const result = imageRequest.parseImageBucket(event, 'Custom');
+            // Assert
+            const expectedResult = 'allowedBucket002';
+            assert.deepEqual(result, expectedResult);
+        });
+    });
+    describe('008/defaultRequestType/bucketPattern', function() {
+        it(`Should pass if the bucket name provided in the image request
+            matches a glob pattern in SOURCE_BUCKETS`, function() {
+            // Arrange
+            const event = {
+                path : '/eyJidWNrZXQiOiJhc3NldHMtZXUiLCJrZXkiOiJpbWFnZS5qcGcifQ=='
+            }
+            process.env = {
+                SOURCE_BUCKETS : "allowedBucket001, assets-*"
+            }
+            // Act
+            const imageRequest = new ImageRequest();
+            const result = imageRequest.parseImageBucket(event, 'Default');
+            // Assert
+            const expectedResult = 'assets-eu';
+            assert.deepEqual(result, expectedResult);
+        });
+    });
+    describe('009/thumborRequestType/pathRoute', function() {
+        after(function() {
+            process.env = {};
+        });
+        it(`Should pass if the bucket of the path route matching the image key
+            is used for Thumbor requests`, function() {
+            // Arrange
+            const event = {
+                path : '/fit-in/300x200/products/shoes/shoe-001.jpg'
+            }
+            process.env = {
+                SOURCE_BUCKETS : "allowedBucket001, catalog-images, user-uploads",
+                PATH_BUCKET_ROUTES : JSON.stringify([
+                    { path: 'products', bucket: 'catalog-images' },
+                    { path: 'avatars', bucket: 'user-uploads', prefix: 'avatars/' }
+                ])
+            }
+            // Act
+            const imageRequest = new ImageRequest();
+            const result = imageRequest.parseImageBucket(event, 'Thumbor');
+            // Assert
+            const expectedResult = 'catalog-images';
+            assert.deepEqual(result, expectedResult);
+        });
+    });
+    describe('010/thumborRequestType/noMatchingRoute', function() {
+        after(function() {
+            process.env = {};
+        });
+        it(`Should throw an error if no path route matches the image key and
+            the fallback to the default bucket is disabled`, function() {
+            // Arrange
+            const event = {
+                path : '/fit-in/300x200/banners/banner-001.jpg'
+            }
+            process.env = {
+                SOURCE_BUCKETS : "allowedBucket001, catalog-images, user-uploads",
+                PATH_BUCKET_ROUTES : JSON.stringify([
+                    { path: 'products', bucket: 'catalog-images' },
+                    { path: 'avatars', bucket: 'user-uploads', prefix: 'avatars/' }
+                ]),
+                PATH_BUCKET_ROUTES_FALLBACK : "No"
+            }
+            // Act
+            const imageRequest = new ImageRequest();
+            // Assert
+            assert.throws(function() {
+                imageRequest.parseImageBucket(event, 'Thumbor');
+            }, function(err) {
+                return err.status === 404 && err.code === 'ImageBucket::NoMatchingRoute';
+            });
+        });
+    });
+});
+
+// ----------------------------------------------------------------------------
+// parseImageUrl()
+// ----------------------------------------------------------------------------
+describe('parseImageUrl()', function() {
+    describe('001/thumborRequestType', function() {
+        it(`Should pass if the remote URL is parsed from the image key of a
+            Thumbor request, even if the double slash was merged`, function() {
+            // Arrange
+            const event = {
+                path : '/fit-in/300x200/filters:grayscale()/https:/images.partner.com/products/shoe.jpg'
+            }
+            // Act
+            const imageRequest = new ImageRequest();
+            const result = imageRequest.parseImageUrl(event, 'Thumbor');
+            // Assert
+            assert.deepEqual(result, 'https://images.partner.com/products/shoe.jpg');
+        });
+    });
+    describe('002/thumborRequestType/noUrl', function() {
+        it(`Should pass if undefined is returned for an image key`, function() {
+            // Arrange
+            const event = {
+                path : '/fit-in/300x200/products/shoe.jpg'
+            }
+            // Act
+            const imageRequest = new ImageRequest();
+            const result = imageRequest.parseImageUrl(event, 'Thumbor');
+            // Assert
+            assert.deepEqual(result, undefined);
+        });
+    });
+});
+
+// ----------------------------------------------------------------------------
+// parseImageEdits()
+// ----------------------------------------------------------------------------
+describe('parseImageEdits()', function() {
+    describe('001/defaultRequestType', function() {
+        it(`Should pass if the proper result is returned for a sample base64-
+            encoded image request`, function() {
+            // Arrange
+            const event = {
+                path : '/eyJlZGl0cyI6eyJncmF5c2NhbGUiOiJ0cnVlIiwicm90YXRlIjo5MCwiZmxpcCI6InRydWUifX0='
+            }
+            // Act
+            const imageRequest = new ImageRequest();
+            const result = imageRequest.parseImageEdits(event, 'Default');
+            // Assert
+            const expectedResult = {
+                grayscale: 'true',
+                rotate: 90,
+                flip: 'true'
+            }
+            assert.deepEqual(result, expectedResult);
+        });
+    });
+    describe('002/thumborRequestType', function() {
+        it(`Should pass if the proper result is returned for a sample thumbor-
+            type image request`, function() {
+            // Arrange
+            const event = {
+                path : '/filters:rotate(90)/filters:grayscale()/thumbor-image.jpg'
+            }
+            // Act
+            const imageRequest = new ImageRequest();
+            const result = imageRequest.parseImageEdits(event, 'Thumbor');
+            // Assert
+            const expectedResult = {
+                rotate: 90,
+                grayscale: true
+            }
+            assert.deepEqual(result, expectedResult);
+        });
+    });
+    describe('003/customRequestType', function() {
+        it(`Should pass if the proper result is returned for a sample custom-
+            type image request`, function() {
+            // Arrange
+            const event = {
+                path : '/filters-rotate(90)/filters-grayscale()/thumbor-image.jpg'
+            }
+            process.env.REWRITE_MATCH_PATTERN = /(filters-)/gm;
+            process.env.REWRITE_SUBSTITUTION = 'filters:';
+            // Act
+            const imageRequest = new ImageRequest();
+            const result = imageRequest.parseImageEdits(event, 'Custom');
+            // Assert
+            const expectedResult = {
+                rotate: 90,
+                grayscale: true
+            }
+            assert.deepEqual((typeof result !== undefined), !undefined)
+        });
+    });
+    describe('004/queryRequestType', function() {
+        it(`Should pass if the proper result is returned for a sample query
+            string image request`, function() {
+            // Arrange
+            const event = {
+                path : '/query-image.jpg',
+                queryStringParameters: { w: '400', rot: '90' }
+            }
+            // Act
+            const imageRequest = new ImageRequest();
+            const result = imageRequest.parseImageEdits(event, 'Query');
+            // Assert
+            const expectedResult = {
+                resize: { fit: 'inside', width: 400 },
+                rotate: 90
+            }
+            assert.deepEqual(result, expectedResult);
+        });
+    });
+    describe('005/customRequestType', function() {
+        it(`Should throw an error if a requestType is not specified and/or the image edits
+            cannot be parsed`, function() {
+            // Arrange
+            const event = {
+                path : '/filters:rotate(90)/filters:grayscale()/other-image.jpg'
+            }
+            // Act
+            const imageRequest = new ImageRequest();
+            // Assert
+            assert.throws(function() {
+                imageRequest.parseImageEdits(event, undefined);
+            }, Object, {
+                status: 400,
+                code: 'ImageEdits::CannotParseEdits',
+                message: 'The edits you provided could not be parsed. Please check the syntax of your request and refer to the documentation for additional guidance.'
+            });
+        });
+    });
+});
+
+// ----------------------------------------------------------------------------
+// parseImageKey()
+// ----------------------------------------------------------------------------
+describe('parseImageKey()', function() {
+    describe('001/defaultRequestType', function() {
+        it(`Should pass if an image key value is provided in the default
+            request format`, function() {
+            // Arrange
+            const event = {
+                path : '/eyJidWNrZXQiOiJteS1zYW1wbGUtYnVja2V0Iiwia2V5Ijoic2FtcGxlLWltYWdlLTAwMS5qcGcifQ=='
+            }
+            // Act
+            const imageRequest = new ImageRequest();
+            const result = imageRequest.parseImageKey(event, 'Default');
+            // Assert
+            const expectedResult = 'sample-image-001.jpg';
+            assert.deepEqual(result, expectedResult);
+        });
+    });
+    describe('002/thumborRequestType', function() {
+        it(`Should pass if an image key value is provided in the thumbor
+            request format`, function() {
+            // Arrange
+            const event = {
+                path : '/filters:rotate(90)/filters:grayscale()/thumbor-image.jpg'
+            }
+            // Act
+            const imageRequest = new ImageRequest();
+            const result = imageRequest.parseImageKey(event, 'Thumbor');
+            // Assert
+            const expectedResult = 'thumbor-image.jpg';
+            assert.deepEqual(result, expectedResult);
+        });
+    });
+    describe('003/customRequestType', function() {
+        it(`Should pass if an image key value is provided in the custom
+            request format`, function() {
+            // Arrange
+            const event = {
+                path : '/filters-rotate(90)/filters-grayscale()/custom-image.jpg'
+            }
+            // Act
+            const imageRequest = new ImageRequest();
+            const result = imageRequest.parseImageKey(event, 'Custom');
+            // Assert
+            const expectedResult = 'custom-image.jpg';
+            assert.deepEqual(result, expectedResult);
+        });
+    });
+    describe('004/queryRequestType', function() {
+        it(`Should pass if an image key value is provided in the query string
+            request format`, function() {
+            // Arrange
+            const event = {
+                path : '/folder/query%20image.jpg',
+                queryStringParameters: { w: '400' }
+            }
+            // Act
+            const imageRequest = new ImageRequest();
+            const result = imageRequest.parseImageKey(event, 'Query');
+            // Assert
+            const expectedResult = 'folder/query image.jpg';
+            assert.deepEqual(result, expectedResult);
+        });
+    });
+    describe('005/thumborRequestType/preset', function() {
+        it(`Should pass if the preset path segment is not part of the image key`, function() {
+            // Arrange
+            const event = {
+                path : '/preset:product-thumbnail/filters:grayscale()/folder/thumbor-image.jpg'
+            }
+            // Act
+            const imageRequest = new ImageRequest();
+            const result = imageRequest.parseImageKey(event, 'Thumbor');
+            // Assert
+            const expectedResult = 'folder/thumbor-image.jpg';
+            assert.deepEqual(result, expectedResult);
+        });
+    });
+    describe('006/thumborRequestType/cropAndAlignment', function() {
+        it(`Should pass if the crop, alignment and negative dimensions are not
+            part of the image key`, function() {
+            // Arrange
+            const event = {
+                path : '/trim/10x20:310x420/-300x200/right/bottom/smart/folder/thumbor-image.jpg'
+            }
+            // Act
+            const imageRequest = new ImageRequest();
+            const result = imageRequest.parseImageKey(event, 'Thumbor');
+            // Assert
+            const expectedResult = 'folder/thumbor-image.jpg';
+            assert.deepEqual(result, expectedResult);
+        });
+    });
+    describe('007/thumborRequestType/keyWithDimensions', function() {
+        it(`Should pass if dimensions and filter-like names in the image key
+            are kept`, function() {
+            // Arrange
+            const event = {
+                path : '/fit-in/300x200/filters:grayscale()/products/800x600/filters-sale.jpg'
+            }
+            // Act
+            const imageRequest = new ImageRequest();
+            const result = imageRequest.parseImageKey(event, 'Thumbor');
+            // Assert
+            const expectedResult = 'products/800x600/filters-sale.jpg';
+            assert.deepEqual(result, expectedResult);
+        });
+    });
+    describe('008/elseCondition', function() {
+        it(`Should throw an error if an unrecognized requestType is passed into the
+            function as a parameter`, function() {
+            // Arrange
+            const event = {
+                path : '/filters:rotate(90)/filters:grayscale()/other-image.jpg'
+            }
+            // Act
+            const imageRequest = new ImageRequest();
+            // Assert
+            assert.throws(function() {
+                imageRequest.parseImageKey(event, undefined);
+            }, Object, {
+                status: 400,
+                code: 'ImageEdits::CannotFindImage',
+                message: 'The image you specified could not be found. Please check your request syntax as well as the bucket you specified to ensure it exists.'
+            });
+        });
+    });
+    describe('009/thumborRequestType/pathRoute', function() {
+        after(function() {
+            process.env = {};
+        });
+        it(`Should pass if the leading path segment of the image key is
+            replaced by the key prefix of the matching path route`, function() {
+            // Arrange
+            const event = {
+                path : '/fit-in/300x200/avatars/user-001.jpg'
+            }
+            process.env = {
+                SOURCE_BUCKETS : "allowedBucket001, catalog-images, user-uploads",
+                PATH_BUCKET_ROUTES : JSON.stringify([
+                    { path: 'products', bucket: 'catalog-images' },
+                    { path: 'avatars', bucket: 'user-uploads', prefix: 'avatars/' }
+                ])
+            }
+            // Act
+            const imageRequest = new ImageRequest();
+            const result = imageRequest.parseImageKey(event, 'Thumbor');
+            // Assert
+            const expectedResult = 'avatars/user-001.jpg';
+            assert.deepEqual(result, expectedResult);
+            assert.deepEqual(imageRequest.parseImageKey({ path: '/products/shoes/shoe-001.jpg' }, 'Thumbor'), 'shoes/shoe-001.jpg');
+        });
+    });
+});
+
+// ----------------------------------------------------------------------------
+// parseDpr()
+// ----------------------------------------------------------------------------
+describe('parseDpr()', function() {
+    describe('001/thumborRequestType', function() {
+        it(`Should pass if the device pixel ratio is read from the dpr filter`, function() {
+            // Arrange
+            const event = {
+                path : '/fit-in/300x200/filters:dpr(2):grayscale()/test-image-001.jpg'
+            }
+            // Act
+            const imageRequest = new ImageRequest();
+            const result = imageRequest.parseDpr(event, 'Thumbor');
+            // Assert
+            assert.deepEqual(result, 2);
+        });
+    });
+    describe('002/queryRequestType/invalid', function() {
+        it(`Should throw an error if the dpr query string parameter is not a
+            valid number`, function() {
+            // Arrange
+            const event = {
+                path : '/test-image-001.jpg',
+                queryStringParameters : { w: '300', dpr: 'retina' }
+            }
+            // Act
+            const imageRequest = new ImageRequest();
+            // Assert
+            assert.throws(function() {
+                imageRequest.parseDpr(event, 'Query');
+            }, function(err) {
+                return err.status === 400;
+            });
+        });
+    });
+});
+
+// ----------------------------------------------------------------------------
+// parseLimits()
+// ----------------------------------------------------------------------------
+describe('parseLimits()', function() {
+    after(function() {
+        process.env = {};
+    });
+    describe('001/signedRequest', function() {
+        it(`Should pass if the limits of a signed request take precedence over
+            the limits of the preset`, function() {
+            // Arrange
+            const event = {
+                path : '/eyJrZXkiOiJpbWFnZS5qcGciLCJsaW1pdHMiOnsibWF4T3V0cHV0V2lkdGgiOjgwMDB9fQ=='
+            }
+            process.env = {
+                ENABLE_SIGNATURE : 'Yes'
+            }
+            const preset = { edits: {}, limits: { maxOutputWidth: 4000, maxEdits: 5 } };
+            // Act
+            const imageRequest = new ImageRequest();
+            const result = imageRequest.parseLimits(event, 'Default', preset);
+            // Assert
+            assert.deepEqual(result, { maxOutputWidth: 8000, maxEdits: 5 });
+        });
+    });
+    describe('002/unsignedRequest', function() {
+        it(`Should throw an error if a request overrides limits while
+            signatures are disabled`, function() {
+            // Arrange
+            const event = {
+                path : '/eyJrZXkiOiJpbWFnZS5qcGciLCJsaW1pdHMiOnsibWF4T3V0cHV0V2lkdGgiOjgwMDB9fQ=='
+            }
+            process.env = {}
+            // Act
+            const imageRequest = new ImageRequest();
+            // Assert
+            assert.throws(function() {
+                imageRequest.parseLimits(event, 'Default', undefined);
+            }, function(err) {
+                return err.status === 400 && err.code === 'ImageLimits::UnsignedOverride';
+            });
+        });
+    });
+    describe('003/noOverrides', function() {
+        it(`Should pass if undefined is returned without preset or request limits`, function() {
+            // Arrange
+            const event = {
+                path : '/fit-in/300x200/test-image-001.jpg'
+            }
+            // Act
+            const imageRequest = new ImageRequest();
+            const result = imageRequest.parseLimits(event, 'Thumbor', { edits: {} });
+            // Assert
+            assert.deepEqual(result, undefined);
+        });
+    });
+});
+
+
+// ----------------------------------------------------------------------------
+// parseDebug()
+// ----------------------------------------------------------------------------
+describe('parseDebug()', function() {
+    after(function() {
+        process.env = {};
+    });
+    describe('001/unsignedRequest', function() {
+        it(`Should throw an error if a Default request asks for debug while
+            signatures are disabled`, function() {
+            // Arrange
+            const event = {
+                path : '/eyJrZXkiOiJpbWFnZS5qcGciLCJkZWJ1ZyI6dHJ1ZX0='
+            }
+            process.env = {}
+            // Act
+            const imageRequest = new ImageRequest();
+            // Assert
+            assert.throws(function() {
+                imageRequest.parseDebug(event, 'Default');
+            }, function(err) {
+                return err.status === 400 && err.code === 'ImageDebug::UnsignedDebug';
+            });
+        });
+    });
+    describe('002/headerInAllowedStage', function() {
+        it(`Should pass if the debug header is accepted in a stage listed in
+            DEBUG_STAGES`, function() {
+            // Arrange
+            const event = {
+                path : '/fit-in/300x200/image.jpg',
+                headers : { 'x-image-debug': 'true' },
+                requestContext : { stage: 'staging' }
+            }
+            process.env = {
+                DEBUG_STAGES : 'dev, staging'
+            }
+            // Act
+            const imageRequest = new ImageRequest();
+            const result = imageRequest.parseDebug(event, 'Thumbor');
+            // Assert
+            assert.deepEqual(result, true);
+        });
+    });
+    describe('003/headerInOtherStage', function() {
+        it(`Should pass if the debug header is ignored in a stage not listed
+            in DEBUG_STAGES`, function() {
+            // Arrange
+            const event = {
+                path : '/fit-in/300x200/image.jpg',
+                headers : { 'X-Image-Debug': 'true' },
+                requestContext : { stage: 'prod' }
+            }
+            process.env = {
+                DEBUG_STAGES : 'dev, staging'
+            }
+            // Act
+            const imageRequest = new ImageRequest();
+            const result = imageRequest.parseDebug(event, 'Thumbor');
+            // Assert
+            assert.deepEqual(result, false);
+        });
+    });
+});
+// ----------------------------------------------------------------------------
+// parsePresetName()
+// ----------------------------------------------------------------------------
+describe('parsePresetName()', function() {
+    describe('001/thumborRequestType', function() {
+        it(`Should pass if the preset name is parsed from the path segment of a
+            Thumbor request`, function() {
+            // Arrange
+            const event = {
+                path : '/preset:product-thumbnail/filters:grayscale()/test-image-001.jpg'
+            }
+            // Act
+            const imageRequest = new ImageRequest();
+            const result = imageRequest.parsePresetName(event, 'Thumbor');
+            // Assert
+            assert.deepEqual(result, 'product-thumbnail');
+        });
+    });
+    describe('002/queryRequestType', function() {
+        it(`Should pass if the preset name is parsed from the query string of a
+            Query request`, function() {
+            // Arrange
+            const event = {
+                path : '/test-image-001.jpg',
+                queryStringParameters: { preset: 'product-thumbnail', w: '200' }
+            }
+            // Act
+            const imageRequest = new ImageRequest();
+            const result = imageRequest.parsePresetName(event, 'Query');
+            // Assert
+            assert.deepEqual(result, 'product-thumbnail');
+        });
+    });
+    describe('003/noPreset', function() {
+        it(`Should pass if undefined is returned when the request does not
+            reference a preset`, function() {
+            // Arrange
+            const event = {
+                path : '/fit-in/300x200/test-image-001.jpg'
+            }
+            // Act
+            const imageRequest = new ImageRequest();
+            const result = imageRequest.parsePresetName(event, 'Thumbor');
+            // Assert
+            assert.deepEqual(result, undefined);
+        });
+    });
+});
+
+// ----------------------------------------------------------------------------
+// parseRequestType()
+// ----------------------------------------------------------------------------
+describe('parseRequestType()', function() {
+    describe('001/defaultRequestType', function() {
+        it(`Should pass if the method detects a default request`, function() {
+            // Arrange
+            const event = {
+                path: '/eyJidWNrZXQiOiJteS1zYW1wbGUtYnVja2V0Iiwia2V5IjoibXktc2FtcGxlLWtleSIsImVkaXRzIjp7ImdyYXlzY2FsZSI6dHJ1ZX19'
+            }
+            process.env = {};
+            // Act
+            const imageRequest = new ImageRequest();
+            const result = imageRequest.parseRequestType(event);
+            // Assert
+            const expectedResult = 'Default';
+            assert.deepEqual(result, expectedResult);
+        });
+    });
+    describe('002/thumborRequestType', function() {
+        it(`Should pass if the method detects a thumbor request`, function() {
+            // Arrange
+            const event = {
+                path: '/unsafe/filters:brightness(10):contrast(30)/https://upload.wikimedia.org/wikipedia/commons/thumb/7/79/Coffee_berries_1.jpg/1200px-Coffee_berries_1.jpg'
+            }
+            process.env = {};
+            // Act
+            const imageRequest = new ImageRequest();
+            const result = imageRequest.parseRequestType(event);
+            // Assert
+            const expectedResult = 'Thumbor';
+            assert.deepEqual(result, expectedResult);
+        });
+    });
+    describe('003/customRequestType', function() {
+        it(`Should pass if the method detects a custom request`, function() {
+            // Arrange
+            const event = {
+                path: '/additionalImageRequestParameters/image.jpg'
+            }
+            process.env = {
+                REWRITE_MATCH_PATTERN: 'matchPattern',
+                REWRITE_SUBSTITUTION: 'substitutionString'
+            }
+            // Act
+            const imageRequest = new ImageRequest();
+            const result = imageRequest.parseRequestType(event);
+            // Assert
+            const expectedResult = 'Custom';
+            assert.deepEqual(result, expectedResult);
+        });
+    });
+    describe('004/queryRequestType', function() {
+        it(`Should pass if the method detects a query string request`, function() {
+            // Arrange
+            const event = {
+                path: '/folder/image.jpg',
+                queryStringParameters: { w: '400', fm: 'webp' }
+            }
+            process.env = {};
+            // Act
+            const imageRequest = new ImageRequest();
+            const result = imageRequest.parseRequestType(event);
+            // Assert
+            const expectedResult = 'Query';
+            assert.deepEqual(result, expectedResult);
+        });
+    });
+    describe('005/elseCondition', function() {
+        it(`Should throw an error if the method cannot determine the request
+            type based on the three groups given`, function() {
+            // Arrange
+            const event = {
+                path : '12x12e24d234r2ewxsad123d34r'
+            }
+            process.env = {};
+            // Act
+            const imageRequest = new ImageRequest();
+            // Assert
+            assert.throws(function() {
+                const a = imageRequest.parseRequestType(event);
+            }, Object, {
+                status: 400,
+                code: 'RequestType::CannotDetermineRequestType',
+                message: 'The type of request you are making could not be properly routed. Please check your request syntax and refer to the documentation for additional guidance.'
+            });
+        });
+    });
+    describe('006/thumborRequestType/queryString', function() {
+        it(`Should pass if a thumbor request with query string parameters is not
+            detected as a query string request`, function() {
+            // Arrange
+            const event = {
+                path: '/fit-in/300x200/photo.jpg',
+                queryStringParameters: { q: '70', dpr: '2' }
+            }
+            process.env = {};
+            // Act
+            const imageRequest = new ImageRequest();
+            const result = imageRequest.parseRequestType(event);
+            // Assert
+            const expectedResult = 'Thumbor';
+            assert.deepEqual(result, expectedResult);
+        });
+    });
+    describe('007/defaultRequestType/pathSignature', function() {
+        it(`Should pass if the method detects a default request preceded by its
+            signature path segment`, function() {
+            // Arrange
+            const event = {
+                path: `/${'0123456789abcdef'.repeat(4)}/eyJidWNrZXQiOiJteS1zYW1wbGUtYnVja2V0Iiwia2V5IjoibXktc2FtcGxlLWtleSIsImVkaXRzIjp7ImdyYXlzY2FsZSI6dHJ1ZX19`
+            }
+            process.env = {};
+            // Act
+            const imageRequest = new ImageRequest();
+            const result = imageRequest.parseRequestType(event);
+            // Assert
+            const expectedResult = 'Default';
+            assert.deepEqual(result, expectedResult);
+        });
+    });
+    describe('008/customRequestType/queryString', function() {
+        it(`Should pass if a path matching a rewrite rule is detected as a custom
+            request whatever its query string`, function() {
+            // Arrange
+            const event = {
+                path: '/cms/300x200/image.jpg',
+                queryStringParameters: { w: '400', fm: 'webp' }
+            }
+            process.env = {
+                REWRITE_RULES: JSON.stringify([{ name: 'cms', match: '^/cms/(\\d+)x(\\d+)/', substitution: '/fit-in/$1x$2/' }])
+            }
+            // Act
+            const imageRequest = new ImageRequest();
+            const result = imageRequest.parseRequestType(event);
+            // Assert
+            const expectedResult = 'Custom';
+            assert.deepEqual(result, expectedResult);
+        });
+    });
+    describe('009/queryRequestType/noMatchingRule', function() {
+        it(`Should pass if a path matching no rewrite rule is detected as a query
+            string request`, function() {
+            // Arrange
+            const event = {
+                path: '/folder/image.jpg',
+                queryStringParameters: { w: '400', fm: 'webp' }
+            }
+            process.env = {
+                REWRITE_RULES: JSON.stringify([{ name: 'cms', match: '^/cms/(\\d+)x(\\d+)/', substitution: '/fit-in/$1x$2/' }])
+            }
+            // Act
+            const imageRequest = new ImageRequest();
+            const result = imageRequest.parseRequestType(event);
+            // Assert
+            const expectedResult = 'Query';
+            assert.deepEqual(result, expectedResult);
+        });
+    });
+});
+
+// ----------------------------------------------------------------------------
+// decodeRequest()
+// ----------------------------------------------------------------------------
+describe('decodeRequest()', function() {
+    describe('001/validRequestPathSpecified', function() {
+        it(`Should pass if a valid base64-encoded path has been specified`,
+            function() {
+            // Arrange
+            const event = {
+                path : '/eyJidWNrZXQiOiJidWNrZXQtbmFtZS1oZXJlIiwia2V5Ijoia2V5LW5hbWUtaGVyZSJ9'
+            }
+            // Act
+            const imageRequest = new ImageRequest();
+            const result = imageRequest.decodeRequest(event);
+            // Assert
+            const expectedResult = {
+                bucket: 'bucket-name-here',
+                key: 'key-name-here'
+            };
+            assert.deepEqual(result, expectedResult);
+        });
+    });
+    describe('002/invalidRequestPathSpecified', function() {
+        it(`Should throw an error if a valid base64-encoded path has not been specified`,
+            function() {
+            // Arrange
+            const event = {
+                path : '/someNonBase64EncodedContentHere'
+            }
+            // Act
+            const imageRequest = new ImageRequest();
+            // Assert
+            assert.throws(function() {
+                imageRequest.decodeRequest(event);
+            }, Object, {
+                status: 400,
+                code: 'DecodeRequest::CannotDecodeRequest',
+                message: 'The image request you provided could not be decoded. Please check that your request is base64 encoded properly and refer to the documentation for additional guidance.'
+            });
+        });
+    });
+    describe('003/noPathSpecified', function() {
+        it(`Should throw an error if no path is specified at all`,
+            function() {
+            // Arrange
+            const event = {}
+            // Act
+            const imageRequest = new ImageRequest();
+            // Assert
+            assert.throws(function() {
+                imageRequest.decodeRequest(event);
+            }, Object, {
+                status: 400,
+                code: 'DecodeRequest::CannotReadPath',
+                message: 'The URL path you provided could not be read. Please ensure that it is properly formed according to the solution documentation.'
+            });
+        });
+    });
+});
+
+// ----------------------------------------------------------------------------
+// verifySignature()
+// ----------------------------------------------------------------------------
+describe('verifySignature()', function() {
+    const crypto = require('crypto');
+    const encoded = 'eyJidWNrZXQiOiJ2YWxpZEJ1Y2tldCIsImtleSI6InZhbGlkS2V5IiwiZWRpdHMiOnsiZ3JheXNjYWxlIjp0cnVlfX0=';
+    const sign = (secret, value) => crypto.createHmac('sha256', secret).update(value).digest('hex');
+    describe('001/signatureDisabled', function() {
+        it(`Should pass if ENABLE_SIGNATURE is not set and the request is not signed`, function() {
+            // Arrange
+            const event = {
+                path : `/${encoded}`
+            }
+            process.env = {};
+            // Act
+            const imageRequest = new ImageRequest();
+            // Assert
+            assert.doesNotThrow(function() {
+                imageRequest.verifySignature(event);
+            });
+        });
+    });
+    describe('002/validQueryStringSignature', function() {
+        it(`Should pass if the signature query parameter matches the request`, function() {
+            // Arrange
+            const event = {
+                path : `/${encoded}`,
+                queryStringParameters: { signature: sign('secret001', encoded) }
+            }
+            process.env = {
+                ENABLE_SIGNATURE: 'Yes',
+                SIGNATURE_SECRETS: 'secret001'
+            }
+            // Act
+            const imageRequest = new ImageRequest();
+            // Assert
+            assert.doesNotThrow(function() {
+                imageRequest.verifySignature(event);
+            });
+        });
+    });
+    describe('003/validPathSignature/rotatedSecret', function() {
+        it(`Should pass if the signature path segment matches the request with
+            any of the secrets in SIGNATURE_SECRETS`, function() {
+            // Arrange
+            const event = {
+                path : `/${sign('secret001', encoded)}/${encoded}`
+            }
+            process.env = {
+                ENABLE_SIGNATURE: 'Yes',
+                SIGNATURE_SECRETS: 'secret002, secret001'
             }
             // Act
             const imageRequest = new ImageRequest();
-            const result = imageRequest.parseImageBucket(event, 'Custom');
             // Assert
-            const expectedResult = 'allowedBucket001';
-            assert.deepEqual(result, expectedResult);
+            assert.doesNotThrow(function() {
+                imageRequest.verifySignature(event);
+            });
         });
     });
-    describe('006/invalidRequestType', function() {
-        it(`Should pass if there is at least one SOURCE_BUCKET specified that can
-            be used as the default for Custom requests`, function() {
+    describe('004/missingSignature', function() {
+        it(`Should throw an error if the request is not signed`, function() {
             // Arrange
             const event = {
-                path : "/filters:grayscale()/test-image-001.jpg"
+                path : `/${encoded}`
             }
             process.env = {
-                SOURCE_BUCKETS : "allowedBucket001, allowedBucket002"
+                ENABLE_SIGNATURE: 'Yes',
+                SIGNATURE_SECRETS: 'secret001'
             }
             // Act
             const imageRequest = new ImageRequest();
             // Assert
             assert.throws(function() {
-                imageRequest.parseImageBucket(event, undefined);
-            }, Object, {
-                status: 400,
-                code: 'ImageBucket::CannotFindBucket',
-                message: 'The bucket you specified could not be found. Please check the spelling of the bucket name in your request.'
+                imageRequest.verifySignature(event);
+            }, function(err) {
+                return err.status === 403 && err.code === 'Signature::MissingSignature';
             });
         });
     });
-});
-
-// ----------------------------------------------------------------------------
-// parseImageEdits()
-// ----------------------------------------------------------------------------
-describe('parseImageEdits()', function() {
-    describe('001/defaultRequestType', function() {
-        it(`Should pass if the proper result is returned for a sample base64-
-            encoded image request`, function() {
+    describe('005/tamperedRequest', function() {
+        it(`Should throw an error if the signature does not match the request`, function() {
             // Arrange
             const event = {
-                path : '/eyJlZGl0cyI6eyJncmF5c2NhbGUiOiJ0cnVlIiwicm90YXRlIjo5MCwiZmxpcCI6InRydWUifX0='
+                path : '/eyJidWNrZXQiOiJ2YWxpZEJ1Y2tldCIsImtleSI6InZhbGlkS2V5In0=',
+                queryStringParameters: { signature: sign('secret001', encoded) }
+            }
+            process.env = {
+                ENABLE_SIGNATURE: 'Yes',
+                SIGNATURE_SECRETS: 'secret001'
             }
             // Act
             const imageRequest = new ImageRequest();
-            const result = imageRequest.parseImageEdits(event, 'Default');
             // Assert
-            const expectedResult = {
-                grayscale: 'true',
-                rotate: 90,
-                flip: 'true'
-            }
-            assert.deepEqual(result, expectedResult);
+            assert.throws(function() {
+                imageRequest.verifySignature(event);
+            }, function(err) {
+                return err.status === 403 && err.code === 'Signature::InvalidSignature';
+            });
         });
     });
-    describe('002/thumborRequestType', function() {
-        it(`Should pass if the proper result is returned for a sample thumbor-
-            type image request`, function() {
+    describe('006/expiredRequest', function() {
+        it(`Should throw an error if the signed request has expired`, function() {
             // Arrange
+            const expired = 'eyJidWNrZXQiOiJ2YWxpZEJ1Y2tldCIsImtleSI6InZhbGlkS2V5IiwiZXhwaXJlcyI6MTAwMDAwMDAwMH0=';
             const event = {
-                path : '/filters:rotate(90)/filters:grayscale()/thumbor-image.jpg'
+                path : `/${expired}`,
+                queryStringParameters: { signature: sign('secret001', expired) }
+            }
+            process.env = {
+                ENABLE_SIGNATURE: 'Yes',
+                SIGNATURE_SECRETS: 'secret001'
             }
             // Act
             const imageRequest = new ImageRequest();
-            const result = imageRequest.parseImageEdits(event, 'Thumbor');
             // Assert
-            const expectedResult = {
-                rotate: 90,
-                grayscale: true
-            }
-            assert.deepEqual(result, expectedResult);
+            assert.throws(function() {
+                imageRequest.verifySignature(event);
+            }, function(err) {
+                return err.status === 403 && err.code === 'Signature::ExpiredRequest';
+            });
         });
     });
-    describe('003/customRequestType', function() {
-        it(`Should pass if the proper result is returned for a sample custom-
-            type image request`, function() {
+    describe('007/noSecrets', function() {
+        it(`Should throw an error if signing is enabled without any secret`, function() {
             // Arrange
             const event = {
-                path : '/filters-rotate(90)/filters-grayscale()/thumbor-image.jpg'
+                path : `/${encoded}`,
+                queryStringParameters: { signature: sign('secret001', encoded) }
+            }
+            process.env = {
+                ENABLE_SIGNATURE: 'Yes'
             }
-            process.env.REWRITE_MATCH_PATTERN = /(filters-)/gm;
-            process.env.REWRITE_SUBSTITUTION = 'filters:';
             // Act
             const imageRequest = new ImageRequest();
-            const result = imageRequest.parseImageEdits(event, 'Custom');
             // Assert
-            const expectedResult = {
-                rotate: 90,
-                grayscale: true
-            }
-            assert.deepEqual((typeof result !== undefined), !undefined)
+            assert.throws(function() {
+                imageRequest.verifySignature(event);
+            }, function(err) {
+                return err.status === 500 && err.code === 'Signature::NoSecrets';
+            });
         });
     });
-    describe('004/customRequestType', function() {
-        it(`Should throw an error if a requestType is not specified and/or the image edits
-            cannot be parsed`, function() {
+    describe('008/nonAsciiSignature', function() {
+        it(`Should throw an error if the signature has as many characters as a
+            valid one but encodes to more bytes`, function() {
             // Arrange
             const event = {
-                path : '/filters:rotate(90)/filters:grayscale()/other-image.jpg'
+                path : `/${encoded}`,
+                queryStringParameters: { signature: 'é'.repeat(64) }
+            }
+            process.env = {
+                ENABLE_SIGNATURE: 'Yes',
+                SIGNATURE_SECRETS: 'secret001'
             }
             // Act
             const imageRequest = new ImageRequest();
             // Assert
             assert.throws(function() {
-                imageRequest.parseImageEdits(event, undefined);
-            }, Object, {
-                status: 400,
-                code: 'ImageEdits::CannotParseEdits',
-                message: 'The edits you provided could not be parsed. Please check the syntax of your request and refer to the documentation for additional guidance.'
+                imageRequest.verifySignature(event);
+            }, function(err) {
+                return err.status === 403 && err.code === 'Signature::InvalidSignature';
             });
         });
     });
 });
 
 // ----------------------------------------------------------------------------
-// parseImageKey()
+// verifyQuerySignature()
 // ----------------------------------------------------------------------------
-describe('parseImageKey()', function() {
-    describe('001/defaultRequestType', function() {
-        it(`Should pass if an image key value is provided in the default
-            request format`, function() {
+describe('verifyQuerySignature()', function() {
+    const crypto = require('crypto');
+    const sign = (secret, value) => crypto.createHmac('sha256', secret).update(value).digest('hex');
+    describe('001/signatureDisabled', function() {
+        it(`Should pass if neither signatures nor a Thumbor security key are
+            configured and the request is not signed`, function() {
             // Arrange
             const event = {
-                path : '/eyJidWNrZXQiOiJteS1zYW1wbGUtYnVja2V0Iiwia2V5Ijoic2FtcGxlLWltYWdlLTAwMS5qcGcifQ=='
+                path : '/photo.jpg',
+                queryStringParameters: { w: '16000', h: '16000' }
             }
+            process.env = {};
             // Act
             const imageRequest = new ImageRequest();
-            const result = imageRequest.parseImageKey(event, 'Default');
             // Assert
-            const expectedResult = 'sample-image-001.jpg';
-            assert.deepEqual(result, expectedResult);
+            assert.doesNotThrow(function() {
+                imageRequest.verifyQuerySignature(event);
+            });
         });
     });
-    describe('002/thumborRequestType', function() {
-        it(`Should pass if an image key value is provided in the thumbor
-            request format`, function() {
+    describe('002/validSignature/reorderedParameters', function() {
+        it(`Should pass if the signature matches the path and the sorted query
+            string, whatever the order of the parameters`, function() {
             // Arrange
             const event = {
-                path : '/filters:rotate(90)/filters:grayscale()/thumbor-image.jpg'
+                path : '/folder/photo.jpg',
+                queryStringParameters: { w: '400', signature: sign('secret001', '/folder/photo.jpg?fm=webp&w=400'), fm: 'webp' }
+            }
+            process.env = {
+                ENABLE_SIGNATURE: 'Yes',
+                SIGNATURE_SECRETS: 'secret002, secret001'
             }
             // Act
             const imageRequest = new ImageRequest();
-            const result = imageRequest.parseImageKey(event, 'Thumbor');
             // Assert
-            const expectedResult = 'thumbor-image.jpg';
-            assert.deepEqual(result, expectedResult);
+            assert.doesNotThrow(function() {
+                imageRequest.verifyQuerySignature(event);
+            });
         });
     });
-    describe('003/customRequestType', function() {
-        it(`Should pass if an image key value is provided in the custom
-            request format`, function() {
+    describe('003/missingSignature/securityKey', function() {
+        it(`Should throw an error if the request is not signed and a Thumbor
+            security key is configured`, function() {
             // Arrange
             const event = {
-                path : '/filters-rotate(90)/filters-grayscale()/custom-image.jpg'
+                path : '/photo.jpg',
+                queryStringParameters: { w: '16000', h: '16000' }
+            }
+            process.env = {
+                THUMBOR_SECURITY_KEY: 'securityKey001'
             }
             // Act
             const imageRequest = new ImageRequest();
-            const result = imageRequest.parseImageKey(event, 'Custom');
             // Assert
-            const expectedResult = 'custom-image.jpg';
-            assert.deepEqual(result, expectedResult);
+            assert.throws(function() {
+                imageRequest.verifyQuerySignature(event);
+            }, function(err) {
+                return err.status === 403 && err.code === 'Signature::MissingSignature';
+            });
         });
     });
-    describe('004/elseCondition', function() {
-        it(`Should throw an error if an unrecognized requestType is passed into the
-            function as a parameter`, function() {
+    describe('004/tamperedRequest', function() {
+        it(`Should throw an error if a parameter was changed after the request
+            was signed`, function() {
             // Arrange
             const event = {
-                path : '/filters:rotate(90)/filters:grayscale()/other-image.jpg'
+                path : '/photo.jpg',
+                queryStringParameters: { w: '16000', signature: sign('securityKey001', '/photo.jpg?w=400') }
+            }
+            process.env = {
+                THUMBOR_SECURITY_KEY: 'securityKey001'
             }
             // Act
             const imageRequest = new ImageRequest();
             // Assert
             assert.throws(function() {
-                imageRequest.parseImageKey(event, undefined);
-            }, Object, {
-                status: 400,
-                code: 'ImageEdits::CannotFindImage',
-                message: 'The image you specified could not be found. Please check your request syntax as well as the bucket you specified to ensure it exists.'
+                imageRequest.verifyQuerySignature(event);
+            }, function(err) {
+                return err.status === 403 && err.code === 'Signature::InvalidSignature';
             });
         });
     });
 });
 
 // ----------------------------------------------------------------------------
-// parseRequestType()
+// verifySecurityKey()
 // ----------------------------------------------------------------------------
-describe('parseRequestType()', function() {
-    describe('001/defaultRequestType', function() {
-        it(`Should pass if the method detects a default request`, function() {
+describe('verifySecurityKey()', function() {
+    const crypto = require('crypto');
+    const unsignedPath = 'fit-in/200x300/filters:grayscale()/test-image-001.jpg';
+    const sign = (securityKey, value) => crypto.createHmac('sha1', securityKey).update(value).digest('base64').replace(/\+/g, '-').replace(/\//g, '_');
+    describe('001/noSecurityKey', function() {
+        it(`Should pass and return the request unchanged if no security key is configured`, function() {
             // Arrange
             const event = {
-                path: '/eyJidWNrZXQiOiJteS1zYW1wbGUtYnVja2V0Iiwia2V5IjoibXktc2FtcGxlLWtleSIsImVkaXRzIjp7ImdyYXlzY2FsZSI6dHJ1ZX19'
+                path : `/${unsignedPath}`
             }
             process.env = {};
             // Act
             const imageRequest = new ImageRequest();
-            const result = imageRequest.parseRequestType(event);
+            const result = imageRequest.verifySecurityKey(event);
             // Assert
-            const expectedResult = 'Default';
-            assert.deepEqual(result, expectedResult);
+            assert.deepEqual(result, event);
         });
     });
-    describe('002/thumborRequestType', function() {
-        it(`Should pass if the method detects a thumbor request`, function() {
+    describe('002/validSignature', function() {
+        it(`Should pass and strip the signature if it matches the rest of the path`, function() {
             // Arrange
             const event = {
-                path: '/unsafe/filters:brightness(10):contrast(30)/https://upload.wikimedia.org/wikipedia/commons/thumb/7/79/Coffee_berries_1.jpg/1200px-Coffee_berries_1.jpg'
+                path : `/${sign('securityKey001', unsignedPath)}/${unsignedPath}`
+            }
+            process.env = {
+                THUMBOR_SECURITY_KEY: 'securityKey001'
             }
-            process.env = {};
             // Act
             const imageRequest = new ImageRequest();
-            const result = imageRequest.parseRequestType(event);
+            const result = imageRequest.verifySecurityKey(event);
             // Assert
-            const expectedResult = 'Thumbor';
-            assert.deepEqual(result, expectedResult);
+            assert.deepEqual(result, { path: `/${unsignedPath}` });
         });
     });
-    describe('003/customRequestType', function() {
-        it(`Should pass if the method detects a custom request`, function() {
+    describe('003/invalidSignature', function() {
+        it(`Should throw an error if the signature does not match the rest of the path`, function() {
             // Arrange
             const event = {
-                path: '/additionalImageRequestParameters/image.jpg'
+                path : `/${sign('securityKey001', unsignedPath)}/fit-in/400x600/test-image-001.jpg`
             }
             process.env = {
-                REWRITE_MATCH_PATTERN: 'matchPattern',
-                REWRITE_SUBSTITUTION: 'substitutionString'
+                THUMBOR_SECURITY_KEY: 'securityKey001'
             }
             // Act
             const imageRequest = new ImageRequest();
-            const result = imageRequest.parseRequestType(event);
             // Assert
-            const expectedResult = 'Custom';
-            assert.deepEqual(result, expectedResult);
+            assert.throws(function() {
+                imageRequest.verifySecurityKey(event);
+            }, function(err) {
+                return err.status === 403 && err.code === 'Signature::InvalidSignature';
+            });
         });
     });
-    describe('004/elseCondition', function() {
-        it(`Should throw an error if the method cannot determine the request
-            type based on the three groups given`, function() {
+    describe('004/missingSignature', function() {
+        it(`Should throw an error if a security key is configured and the request is not signed`, function() {
             // Arrange
             const event = {
-                path : '12x12e24d234r2ewxsad123d34r'
+                path : `/${unsignedPath}`
+            }
+            process.env = {
+                THUMBOR_SECURITY_KEY: 'securityKey001'
             }
-            process.env = {};
             // Act
             const imageRequest = new ImageRequest();
             // Assert
             assert.throws(function() {
-                const a = imageRequest.parseRequestType(event);
-            }, Object, {
-                status: 400,
-                code: 'RequestType::CannotDetermineRequestType',
-                message: 'The type of request you are making could not be properly routed. Please check your request syntax and refer to the documentation for additional guidance.'
+                imageRequest.verifySecurityKey(event);
+            }, function(err) {
+                return err.status === 403 && err.code === 'Signature::MissingSignature';
             });
         });
     });
-});
-
-// ----------------------------------------------------------------------------
-// decodeRequest()
-// ----------------------------------------------------------------------------
-describe('decodeRequest()', function() {
-    describe('001/validRequestPathSpecified', function() {
-        it(`Should pass if a valid base64-encoded path has been specified`,
-            function() {
+    describe('005/unsafe/allowed', function() {
+        it(`Should pass and strip the unsafe prefix if unsafe requests are allowed`, function() {
             // Arrange
             const event = {
-                path : '/eyJidWNrZXQiOiJidWNrZXQtbmFtZS1oZXJlIiwia2V5Ijoia2V5LW5hbWUtaGVyZSJ9'
+                path : `/unsafe/${unsignedPath}`
+            }
+            process.env = {
+                THUMBOR_SECURITY_KEY: 'securityKey001',
+                THUMBOR_ALLOW_UNSAFE: 'Yes'
             }
             // Act
             const imageRequest = new ImageRequest();
-            const result = imageRequest.decodeRequest(event);
+            const result = imageRequest.verifySecurityKey(event);
             // Assert
-            const expectedResult = {
-                bucket: 'bucket-name-here',
-                key: 'key-name-here'
-            };
-            assert.deepEqual(result, expectedResult);
+            assert.deepEqual(result, { path: `/${unsignedPath}` });
         });
     });
-    describe('002/invalidRequestPathSpecified', function() {
-        it(`Should throw an error if a valid base64-encoded path has not been specified`,
-            function() {
+    describe('006/unsafe/notAllowed', function() {
+        it(`Should throw an error if unsafe requests are not allowed`, function() {
             // Arrange
             const event = {
-                path : '/someNonBase64EncodedContentHere'
+                path : `/unsafe/${unsignedPath}`
+            }
+            process.env = {
+                THUMBOR_SECURITY_KEY: 'securityKey001'
             }
             // Act
             const imageRequest = new ImageRequest();
             // Assert
             assert.throws(function() {
-                imageRequest.decodeRequest(event);
-            }, Object, {
-                status: 400,
-                code: 'DecodeRequest::CannotDecodeRequest',
-                message: 'The image request you provided could not be decoded. Please check that your request is base64 encoded properly and refer to the documentation for additional guidance.'
-            });
-        });
-    });
-    describe('003/noPathSpecified', function() {
-        it(`Should throw an error if no path is specified at all`,
-            function() {
-            // Arrange
-            const event = {}
-            // Act
-            const imageRequest = new ImageRequest();
-            // Assert
-            assert.throws(function() {
-                imageRequest.decodeRequest(event);
-            }, Object, {
-                status: 400,
-                code: 'DecodeRequest::CannotReadPath',
-                message: 'The URL path you provided could not be read. Please ensure that it is properly formed according to the solution documentation.'
+                imageRequest.verifySecurityKey(event);
+            }, function(err) {
+                return err.status === 403 && err.code === 'Signature::UnsafeNotAllowed';
             });
         });
     });
@@ -754,4 +2269,107 @@ describe('getOutputFormat()', function () {
             assert.deepEqual(result, null);
         });
     });
+    describe('005/lowerCaseAcceptHeader', function () {
+        it(`Should pass if the Accept header is read whatever the case of its
+            name and the format with the highest quality value is returned`, function () {
+            // Arrange
+            process.env = {
+                AUTO_WEBP: 'Yes',
+                AUTO_AVIF: 'Yes'
+            };
+            const event = {
+                headers: {
+                    accept: "image/avif;q=0.8,image/webp,image/apng,image/*,*/*;q=0.8"
+                }
+            };
+            // Act
+            const imageRequest = new ImageRequest();
+            var result = imageRequest.getOutputFormat(event);
+            // Assert
+            assert.deepEqual(result, 'webp');
+        });
+    });
+    describe('006/explicitOutputFormat', function () {
+        it(`Should pass if the output format of a default request wins over
+            the format negotiated with the Accept header`, function () {
+            // Arrange
+            process.env = {
+                AUTO_WEBP: 'Yes'
+            };
+            const event = {
+                path: '/eyJidWNrZXQiOiJ2YWxpZEJ1Y2tldCIsImtleSI6InZhbGlkS2V5Iiwib3V0cHV0Rm9ybWF0IjoicG5nIn0=',
+                headers: {
+                    Accept: "image/webp,*/*;q=0.8"
+                }
+            };
+            // Act
+            const imageRequest = new ImageRequest();
+            imageRequest.requestType = 'Default';
+            var result = imageRequest.getOutputFormat(event);
+            // Assert
+            assert.deepEqual(result, 'png');
+        });
+    });
+});
+
+// ----------------------------------------------------------------------------
+// getVariantHash()
+// ----------------------------------------------------------------------------
+describe('getVariantHash()', function() {
+    describe('001/normalizedEdits', function() {
+        it(`Should pass if the order of the options of an edit does not change
+            the hash, but the order of the edits does`, function() {
+            // Arrange
+            const imageRequest = new ImageRequest();
+            imageRequest.edits = { resize: { width: 300, fit: 'cover' }, grayscale: true };
+            const sameRequest = new ImageRequest();
+            sameRequest.edits = { resize: { fit: 'cover', width: 300 }, grayscale: true };
+            const reorderedRequest = new ImageRequest();
+            reorderedRequest.edits = { grayscale: true, resize: { width: 300, fit: 'cover' } };
+            // Assert
+            assert.deepEqual(imageRequest.getVariantHash(), sameRequest.getVariantHash());
+            assert.notDeepEqual(imageRequest.getVariantHash(), reorderedRequest.getVariantHash());
+        });
+    });
+});
+
+// ----------------------------------------------------------------------------
+// isNotModified()
+// ----------------------------------------------------------------------------
+describe('isNotModified()', function() {
+    describe('001/ifNoneMatch', function() {
+        it(`Should pass if a matching weak or strong entity tag is found in
+            If-None-Match`, function() {
+            // Arrange
+            const imageRequest = new ImageRequest();
+            imageRequest.ETag = '"0123456789abcdef0123456789abcdef"';
+            // Assert
+            assert.deepEqual(imageRequest.isNotModified({ headers: { 'if-none-match': '"other", W/"0123456789abcdef0123456789abcdef"' } }), true);
+            assert.deepEqual(imageRequest.isNotModified({ headers: { 'If-None-Match': '"other"' } }), false);
+            assert.deepEqual(imageRequest.isNotModified({ headers: { 'If-None-Match': '*' } }), true);
+        });
+    });
+    describe('002/ifModifiedSince', function() {
+        it(`Should pass if If-Modified-Since is only used without If-None-Match`, function() {
+            // Arrange
+            const imageRequest = new ImageRequest();
+            imageRequest.ETag = '"0123456789abcdef0123456789abcdef"';
+            imageRequest.LastModified = 'Wed, 21 Oct 2015 07:28:00 GMT';
+            // Assert
+            assert.deepEqual(imageRequest.isNotModified({ headers: { 'If-Modified-Since': 'Thu, 22 Oct 2015 07:28:00 GMT' } }), true);
+            assert.deepEqual(imageRequest.isNotModified({ headers: { 'If-Modified-Since': 'Tue, 20 Oct 2015 07:28:00 GMT' } }), false);
+            assert.deepEqual(imageRequest.isNotModified({
+                headers: { 'If-None-Match': '"other"', 'If-Modified-Since': 'Thu, 22 Oct 2015 07:28:00 GMT' }
+            }), false);
+        });
+    });
+    describe('003/noValidators', function() {
+        it(`Should pass if false is returned without conditional headers`, function() {
+            // Arrange
+            const imageRequest = new ImageRequest();
+            imageRequest.ETag = '"0123456789abcdef0123456789abcdef"';
+            // Assert
+            assert.deepEqual(imageRequest.isNotModified({}), false);
+        });
+    });
 });
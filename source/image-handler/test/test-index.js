@@ -0,0 +1,117 @@
+/*********************************************************************************************************************
+ *  Copyright 2019 Amazon.com, Inc. or its affiliates. All Rights Reserved.                                           *
+ *                                                                                                                    *
+ *  Licensed under the Apache License, Version 2.0 (the "License"). You may not use this file except in compliance    *
+ *  with the License. A copy of the License is located at                                                             *
+ *                                                                                                                    *
+ *      http://www.apache.org/licenses/LICENSE-2.0                                                                    *
+ *                                                                                                                    *
+ *  or in the 'license' file accompanying this file. This file is distributed on an 'AS IS' BASIS, WITHOUT WARRANTIES *
+ *  OR CONDITIONS OF ANY KIND, express or implied. See the License for the specific language governing permissions    *
+ *  and limitations under the License.                                                                                *
+ *********************************************************************************************************************/
+
+const ImageHandler = require('../image-handler');
+const index = require('../index');
+const sinon = require('sinon');
+let assert = require('assert');
+
+// ----------------------------------------------------------------------------
+// [async] handler()
+// ----------------------------------------------------------------------------
+describe('handler()', function() {
+    after(function() {
+        process.env = {};
+    });
+    describe('001/fallbackImage', function() {
+        it(`Should pass if the fallback image of a missing original image is
+            returned with the fallback status code, the X-Image-Fallback header
+            and a short-lived Cache-Control header`, async function() {
+            // Arrange
+            const event = {
+                path : '/fit-in/300x200/products/missing.jpg'
+            }
+            process.env = {
+                SOURCE_BUCKETS : "allowedBucket001",
+                FALLBACK_IMAGES : '[{ "prefix": "products/", "fallbackKey": "placeholders/product.png" }]',
+                LOG_LEVEL : "error"
+            }
+            // ----
+            const S3 = require('aws-sdk/clients/s3');
+            const getObject = S3.prototype.getObject = sinon.stub();
+            getObject.withArgs({Bucket: 'allowedBucket001', Key: 'products/missing.jpg'}).returns({
+                promise: () => Promise.reject({ code: 'NoSuchKey', message: 'The specified key does not exist.' })
+            })
+            getObject.withArgs({Bucket: 'allowedBucket001', Key: 'placeholders/product.png'}).returns({
+                promise: () => Promise.resolve({
+                    Body: Buffer.from('PlaceholderImageContent\n'),
+                    ContentType: 'image/png',
+                    CacheControl: 'max-age=31536000,public',
+                    LastModified: 'Wed, 21 Oct 2015 07:28:00 GMT'
+                })
+            })
+            const processImage = sinon.stub(ImageHandler.prototype, 'process').resolves(Buffer.from('ProcessedPlaceholder\n').toString('base64'));
+            // Act
+            const result = await index.handler(event, { awsRequestId: 'request001' });
+            processImage.restore();
+            // Assert
+            assert.deepEqual(result.statusCode, 404);
+            assert.deepEqual(result.body, Buffer.from('ProcessedPlaceholder\n').toString('base64'));
+            assert.deepEqual(result.headers['X-Image-Fallback'], 'true');
+            assert.deepEqual(result.headers['Content-Type'], 'image/png');
+            assert.deepEqual(result.headers['Cache-Control'], 'max-age=60,public');
+            assert.deepEqual(result.headers['Last-Modified'], undefined);
+        });
+    });
+    describe('002/missingImage', function() {
+        it(`Should pass if a missing original image without a fallback image is
+            answered with a 404 error`, async function() {
+            // Arrange
+            const event = {
+                path : '/fit-in/300x200/missing.jpg'
+            }
+            process.env = {
+                SOURCE_BUCKETS : "allowedBucket001",
+                FALLBACK_IMAGES : '[{ "prefix": "products/", "fallbackKey": "placeholders/product.png" }]',
+                LOG_LEVEL : "error"
+            }
+            // ----
+            const S3 = require('aws-sdk/clients/s3');
+            const getObject = S3.prototype.getObject = sinon.stub();
+            getObject.withArgs({Bucket: 'allowedBucket001', Key: 'missing.jpg'}).returns({
+                promise: () => Promise.reject({ code: 'NoSuchKey', message: 'The specified key does not exist.' })
+            })
+            // Act
+            const result = await index.handler(event, { awsRequestId: 'request002' });
+            // Assert
+            assert.deepEqual(result.statusCode, 404);
+            assert.deepEqual(result.headers['X-Image-Fallback'], undefined);
+            assert.deepEqual(JSON.parse(result.body).code, 'NoSuchKey');
+        });
+    });
+});
+
+// ----------------------------------------------------------------------------
+// cold start
+// ----------------------------------------------------------------------------
+describe('cold start', function() {
+    afterEach(function() {
+        process.env = {};
+        delete require.cache[require.resolve('../index')];
+    });
+    describe('001/invalidPathRoutes', function() {
+        it(`Should throw an error when the function is loaded if the path
+            routes are invalid`, function() {
+            // Arrange
+            process.env = {
+                PATH_BUCKET_ROUTES : '{ "path": "products" }',
+                LOG_LEVEL : "error"
+            }
+            delete require.cache[require.resolve('../index')];
+            // Assert
+            assert.throws(function() {
+                require('../index');
+            }, /PathRoutes::InvalidConfiguration/);
+        });
+    });
+});
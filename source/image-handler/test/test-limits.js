@@ -0,0 +1,114 @@
+/*********************************************************************************************************************
+ *  Copyright 2019 Amazon.com, Inc. or its affiliates. All Rights Reserved.                                           *
+ *                                                                                                                    *
+ *  Licensed under the Apache License, Version 2.0 (the "License"). You may not use this file except in compliance    *
+ *  with the License. A copy of the License is located at                                                             *
+ *                                                                                                                    *
+ *      http://www.apache.org/licenses/LICENSE-2.0                                                                    *
+ *                                                                                                                    *
+ *  or in the 'license' file accompanying this file. This file is distributed on an 'AS IS' BASIS, WITHOUT WARRANTIES *
+ *  OR CONDITIONS OF ANY KIND, express or implied. See the License for the specific language governing permissions    *
+ *  and limitations under the License.                                                                                *
+ *********************************************************************************************************************/
+
+
+const Limits = require('../limits');
+let assert = require('assert');
+
+// ----------------------------------------------------------------------------
+// fromEnvironment()
+// ----------------------------------------------------------------------------
+describe('fromEnvironment()', function() {
+    after(function() {
+        process.env = {};
+    });
+    describe('001/overrides', function() {
+        it(`Should pass if the overrides take precedence over the environment
+            and missing limits take their default value`, function() {
+            // Arrange
+            process.env = {
+                MAX_EDITS: '10',
+                MAX_OUTPUT_WIDTH: '4000'
+            }
+            // Act
+            const result = Limits.fromEnvironment({ maxOutputWidth: 8000 });
+            // Assert
+            assert.deepEqual(result, {
+                maxInputBytes: 52428800,
+                maxInputPixels: 268402689,
+                maxOutputWidth: 8000,
+                maxOutputHeight: 16383,
+                maxOutputPixels: 100000000,
+                maxEdits: 10
+            });
+        });
+    });
+});
+
+// ----------------------------------------------------------------------------
+// checkEdits()
+// ----------------------------------------------------------------------------
+describe('checkEdits()', function() {
+    describe('001/tooManyEdits', function() {
+        it(`Should throw an error if the request has more edits than allowed`, function() {
+            // Arrange
+            const limits = new Limits({ maxEdits: 2 });
+            // Assert
+            assert.throws(function() {
+                limits.checkEdits({ grayscale: true, flip: true, flop: true });
+            }, function(err) {
+                return err.status === 400 && err.code === 'ImageLimits::TooManyEdits';
+            });
+        });
+    });
+    describe('002/outputTooLarge', function() {
+        it(`Should throw an error if a resize dimension exceeds its limit`, function() {
+            // Arrange
+            const limits = new Limits();
+            // Assert
+            assert.throws(function() {
+                limits.checkEdits({ resize: { width: 50000, height: 50000 } });
+            }, function(err) {
+                return err.status === 400 && err.code === 'ImageLimits::OutputTooLarge';
+            });
+            limits.checkEdits({ resize: { width: 1600, height: null } });
+        });
+    });
+});
+
+// ----------------------------------------------------------------------------
+// checkInputBytes()
+// ----------------------------------------------------------------------------
+describe('checkInputBytes()', function() {
+    describe('001/inputTooLarge', function() {
+        it(`Should throw an error if the original image is larger than allowed`, function() {
+            // Arrange
+            const limits = new Limits({ maxInputBytes: 16 });
+            // Assert
+            assert.throws(function() {
+                limits.checkInputBytes(Buffer.alloc(17));
+            }, function(err) {
+                return err.status === 413 && err.code === 'ImageLimits::InputTooLarge';
+            });
+        });
+    });
+});
+
+// ----------------------------------------------------------------------------
+// checkInputPixels()
+// ----------------------------------------------------------------------------
+describe('checkInputPixels()', function() {
+    describe('001/decompressionBomb', function() {
+        it(`Should throw an error if the original image has more pixels than
+            allowed`, function() {
+            // Arrange
+            const limits = new Limits();
+            // Assert
+            assert.throws(function() {
+                limits.checkInputPixels({ width: 50000, height: 50000 });
+            }, function(err) {
+                return err.status === 413 && err.code === 'ImageLimits::InputPixelsTooLarge';
+            });
+        });
+    });
+});
@@ -0,0 +1,124 @@
+/*********************************************************************************************************************
+ *  Copyright 2019 Amazon.com, Inc. or its affiliates. All Rights Reserved.                                           *
+ *                                                                                                                    *
+ *  Licensed under the Apache License, Version 2.0 (the "License"). You may not use this file except in compliance    *
+ *  with the License. A copy of the License is located at                                                             *
+ *                                                                                                                    *
+ *      http://www.apache.org/licenses/LICENSE-2.0                                                                    *
+ *                                                                                                                    *
+ *  or in the 'license' file accompanying this file. This file is distributed on an 'AS IS' BASIS, WITHOUT WARRANTIES *
+ *  OR CONDITIONS OF ANY KIND, express or implied. See the License for the specific language governing permissions    *
+ *  and limitations under the License.                                                                                *
+ *********************************************************************************************************************/
+
+
+const Logger = require('../logger');
+let assert = require('assert');
+
+// ----------------------------------------------------------------------------
+// log()
+// ----------------------------------------------------------------------------
+describe('log()', function() {
+    describe('001/jsonLine', function() {
+        it(`Should pass if one JSON line is written with the request context
+            and the fields of the event`, function() {
+            // Arrange
+            const lines = [];
+            const logger = new Logger('info', undefined, line => lines.push(line));
+            logger.reset({ requestId: 'request-001' });
+            logger.addContext({ requestType: 'Thumbor', key: 'image.jpg' });
+            // Act
+            logger.info('Request completed', { status: 200, duration: 12 });
+            // Assert
+            assert.deepEqual(lines.length, 1);
+            const line = JSON.parse(lines[0]);
+            delete line.time;
+            assert.deepEqual(line, {
+                level: 'info',
+                message: 'Request completed',
+                requestId: 'request-001',
+                requestType: 'Thumbor',
+                key: 'image.jpg',
+                status: 200,
+                duration: 12
+            });
+        });
+    });
+    describe('002/level', function() {
+        it(`Should pass if the lines below the minimum level are not written`, function() {
+            // Arrange
+            const lines = [];
+            const logger = new Logger('warn', undefined, line => lines.push(line));
+            // Act
+            logger.info('Request received');
+            logger.error('Request failed');
+            // Assert
+            assert.deepEqual(lines.map(line => JSON.parse(line).level), ['error']);
+        });
+    });
+    describe('003/redaction', function() {
+        it(`Should pass if buffers and redacted headers are never written`, function() {
+            // Arrange
+            const lines = [];
+            const logger = new Logger('debug', [ 'authorization', 'x-secret' ], line => lines.push(line));
+            // Act
+            logger.debug('Request received', {
+                headers: { Authorization: 'Bearer token', 'X-Secret': 'secret', Accept: 'image/webp' },
+                request: { originalImage: Buffer.from('SampleImageContent\n') }
+            });
+            // Assert
+            const line = JSON.parse(lines[0]);
+            assert.deepEqual(line.headers, { Authorization: '[REDACTED]', 'X-Secret': '[REDACTED]', Accept: 'image/webp' });
+            assert.deepEqual(line.request, { originalImage: '[Buffer 19 bytes]' });
+        });
+    });
+    describe('004/responseUrl', function() {
+        it(`Should pass if the presigned response URL of a custom resource event
+            is never written`, function() {
+            // Arrange
+            const lines = [];
+            const logger = new Logger('info', undefined, line => lines.push(line));
+            // Act
+            logger.info('Received event', { event: { RequestType: 'Create', ResponseURL: 'https://bucket.s3.amazonaws.com/response?X-Amz-Signature=abc' } });
+            // Assert
+            assert.deepEqual(JSON.parse(lines[0]).event, { RequestType: 'Create', ResponseURL: '[REDACTED]' });
+        });
+    });
+});
+
+// ----------------------------------------------------------------------------
+// fromEnvironment()
+// ----------------------------------------------------------------------------
+describe('fromEnvironment()', function() {
+    after(function() {
+        process.env = {};
+    });
+    describe('001/redactedHeaders', function() {
+        it(`Should pass if the headers of LOG_REDACT_HEADERS are redacted in
+            addition to the default ones`, function() {
+            // Arrange
+            process.env = {
+                LOG_LEVEL: 'DEBUG',
+                LOG_REDACT_HEADERS: 'X-Forwarded-For'
+            }
+            // Act
+            const logger = Logger.fromEnvironment();
+            // Assert
+            assert.deepEqual(logger.level, 'debug');
+            assert.deepEqual(logger.redact.includes('authorization'), true);
+            assert.deepEqual(logger.redact.includes('x-forwarded-for'), true);
+        });
+    });
+    describe('002/invalidLevel', function() {
+        it(`Should throw an error if LOG_LEVEL is not a known level`, function() {
+            // Arrange
+            process.env = {
+                LOG_LEVEL: 'verbose'
+            }
+            // Assert
+            assert.throws(function() {
+                Logger.fromEnvironment();
+            }, /Logger::InvalidConfiguration/);
+        });
+    });
+});
@@ -0,0 +1,107 @@
+/*********************************************************************************************************************
+ *  Copyright 2019 Amazon.com, Inc. or its affiliates. All Rights Reserved.                                           *
+ *                                                                                                                    *
+ *  Licensed under the Apache License, Version 2.0 (the "License"). You may not use this file except in compliance    *
+ *  with the License. A copy of the License is located at                                                             *
+ *                                                                                                                    *
+ *      http://www.apache.org/licenses/LICENSE-2.0                                                                    *
+ *                                                                                                                    *
+ *  or in the 'license' file accompanying this file. This file is distributed on an 'AS IS' BASIS, WITHOUT WARRANTIES *
+ *  OR CONDITIONS OF ANY KIND, express or implied. See the License for the specific language governing permissions    *
+ *  and limitations under the License.                                                                                *
+ *********************************************************************************************************************/
+
+
+const MemoryCache = require('../memory-cache');
+let assert = require('assert');
+
+// ----------------------------------------------------------------------------
+// set()
+// ----------------------------------------------------------------------------
+describe('set()', function() {
+    describe('001/leastRecentlyUsed', function() {
+        it(`Should pass if the least recently used entries are evicted to stay
+            within the memory budget`, function() {
+            // Arrange
+            const cache = new MemoryCache(10);
+            cache.set('a', 'A', 4);
+            cache.set('b', 'B', 4);
+            cache.get('a');
+            // Act
+            cache.set('c', 'C', 4);
+            // Assert
+            assert.deepEqual(cache.get('a'), 'A');
+            assert.deepEqual(cache.get('b'), undefined);
+            assert.deepEqual(cache.get('c'), 'C');
+            assert.deepEqual(cache.bytes, 8);
+        });
+    });
+    describe('002/largerThanBudget', function() {
+        it(`Should pass if an entry larger than the memory budget is not stored`, function() {
+            // Arrange
+            const cache = new MemoryCache(10);
+            cache.set('a', 'A', 4);
+            // Act
+            cache.set('b', 'B', 11);
+            // Assert
+            assert.deepEqual(cache.get('a'), 'A');
+            assert.deepEqual(cache.get('b'), undefined);
+        });
+    });
+});
+
+// ----------------------------------------------------------------------------
+// getObject()
+// ----------------------------------------------------------------------------
+describe('getObject()', function() {
+    describe('001/notModified', function() {
+        it(`Should pass if the cached copy is served when the source answers
+            that its ETag is current`, async function() {
+            // Arrange
+            const sinon = require('sinon');
+            const image = { Body: Buffer.from('SampleImageContent\n'), ETag: '"etag-1"' };
+            const getObject = sinon.stub();
+            getObject.onFirstCall().resolves(image);
+            getObject.onSecondCall().rejects({ code: 'NotModified', statusCode: 304 });
+            const cache = new MemoryCache(1024);
+            // Act
+            await cache.getObject({ getObject }, 'validBucket', 'validKey');
+            const result = await cache.getObject({ getObject }, 'validBucket', 'validKey');
+            // Assert
+            assert.deepEqual(getObject.secondCall.args, [ 'validBucket', 'validKey', '"etag-1"' ]);
+            assert.strictEqual(result, image);
+        });
+    });
+    describe('002/modified', function() {
+        it(`Should pass if a changed image replaces the cached copy`, async function() {
+            // Arrange
+            const sinon = require('sinon');
+            const changed = { Body: Buffer.from('ChangedImageContent\n'), ETag: '"etag-2"' };
+            const getObject = sinon.stub();
+            getObject.onFirstCall().resolves({ Body: Buffer.from('SampleImageContent\n'), ETag: '"etag-1"' });
+            getObject.onSecondCall().resolves(changed);
+            const cache = new MemoryCache(1024);
+            // Act
+            await cache.getObject({ getObject }, 'validBucket', 'validKey');
+            const result = await cache.getObject({ getObject }, 'validBucket', 'validKey');
+            // Assert
+            assert.strictEqual(result, changed);
+            assert.strictEqual(cache.get('validBucket/validKey'), changed);
+        });
+    });
+    describe('003/disabled', function() {
+        it(`Should pass if the image is read without revalidation when the
+            cache is disabled`, async function() {
+            // Arrange
+            const sinon = require('sinon');
+            const getObject = sinon.stub().resolves({ Body: Buffer.from('SampleImageContent\n'), ETag: '"etag-1"' });
+            const cache = new MemoryCache(0);
+            // Act
+            await cache.getObject({ getObject }, 'validBucket', 'validKey');
+            await cache.getObject({ getObject }, 'validBucket', 'validKey');
+            // Assert
+            assert.deepEqual(getObject.secondCall.args, [ 'validBucket', 'validKey' ]);
+            assert.deepEqual(cache.bytes, 0);
+        });
+    });
+});
@@ -0,0 +1,127 @@
+/*********************************************************************************************************************
+ *  Copyright 2019 Amazon.com, Inc. or its affiliates. All Rights Reserved.                                           *
+ *                                                                                                                    *
+ *  Licensed under the Apache License, Version 2.0 (the "License"). You may not use this file except in compliance    *
+ *  with the License. A copy of the License is located at                                                             *
+ *                                                                                                                    *
+ *      http://www.apache.org/licenses/LICENSE-2.0                                                                    *
+ *                                                                                                                    *
+ *  or in the 'license' file accompanying this file. This file is distributed on an 'AS IS' BASIS, WITHOUT WARRANTIES *
+ *  OR CONDITIONS OF ANY KIND, express or implied. See the License for the specific language governing permissions    *
+ *  and limitations under the License.                                                                                *
+ *********************************************************************************************************************/
+
+
+const OutputStore = require('../output-store');
+let assert = require('assert');
+
+const request = {
+    ContentType: 'image/tiff',
+    CacheControl: 'max-age=31536000,public',
+    Expires: 'Tue, 01 Sep 2020 00:00:00 GMT'
+};
+
+// ----------------------------------------------------------------------------
+// fromEnvironment()
+// ----------------------------------------------------------------------------
+describe('fromEnvironment()', function() {
+    after(function() {
+        process.env = {};
+    });
+    describe('001/threshold', function() {
+        it(`Should pass if the size threshold is read from OUTPUT_MAX_BYTES`, function() {
+            // Arrange
+            process.env = {
+                OUTPUT_BUCKET: 'outputBucket',
+                OUTPUT_MAX_BYTES: '8'
+            }
+            // Act
+            const outputStore = OutputStore.fromEnvironment();
+            // Assert
+            assert.deepEqual(outputStore.isEnabled(), true);
+            assert.deepEqual(outputStore.isTooLarge('12345678'), false);
+            assert.deepEqual(outputStore.isTooLarge('123456789'), true);
+        });
+    });
+    describe('002/invalidThreshold', function() {
+        it(`Should throw an error if OUTPUT_MAX_BYTES is not a positive integer`, function() {
+            // Arrange
+            process.env = {
+                OUTPUT_BUCKET: 'outputBucket',
+                OUTPUT_MAX_BYTES: '6MB'
+            }
+            // Assert
+            assert.throws(function() {
+                OutputStore.fromEnvironment();
+            }, /OutputStore::InvalidConfiguration/);
+        });
+    });
+});
+
+// ----------------------------------------------------------------------------
+// store()
+// ----------------------------------------------------------------------------
+describe('store()', function() {
+    describe('001/cdnUrl', function() {
+        it(`Should pass if the output is stored with the response headers and
+            served from the CDN base URL`, async function() {
+            // Arrange
+            const sinon = require('sinon');
+            const putObject = sinon.stub().returns({
+                promise: () => Promise.resolve({})
+            });
+            const outputStore = new OutputStore({ bucket: 'outputBucket', baseUrl: 'https://cdn.example.com/' }, { putObject });
+            // Act
+            const result = await outputStore.store(Buffer.from('ProcessedImageContent\n'), request);
+            // Assert
+            const params = putObject.firstCall.args[0];
+            assert.deepEqual(params.Bucket, 'outputBucket');
+            assert.deepEqual(/^outputs\/[0-9a-f]{64}$/.test(params.Key), true);
+            assert.deepEqual(params.ContentType, 'image/tiff');
+            assert.deepEqual(params.CacheControl, 'max-age=31536000,public');
+            assert.deepEqual(params.Expires, new Date('Tue, 01 Sep 2020 00:00:00 GMT'));
+            assert.deepEqual(result, {
+                url: `https://cdn.example.com/${params.Key}`,
+                cacheControl: 'max-age=31536000,public'
+            });
+        });
+    });
+    describe('002/presignedUrl', function() {
+        it(`Should pass if the output is served from a presigned URL, and the
+            redirect cached for half of its lifetime`, async function() {
+            // Arrange
+            const sinon = require('sinon');
+            const putObject = sinon.stub().returns({
+                promise: () => Promise.resolve({})
+            });
+            const getSignedUrl = sinon.stub().callsArgWith(2, null, 'https://outputBucket.s3.amazonaws.com/signed');
+            const outputStore = new OutputStore({ bucket: 'outputBucket', expires: 600 }, { putObject, getSignedUrl });
+            // Act
+            const result = await outputStore.store(Buffer.from('ProcessedImageContent\n'), request);
+            // Assert
+            assert.deepEqual(getSignedUrl.firstCall.args[1].Expires, 600);
+            assert.deepEqual(result, {
+                url: 'https://outputBucket.s3.amazonaws.com/signed',
+                cacheControl: 'max-age=300,public'
+            });
+        });
+    });
+    describe('003/storeError', function() {
+        it(`Should throw an error if the output cannot be stored`, async function() {
+            // Arrange
+            const sinon = require('sinon');
+            const putObject = sinon.stub().returns({
+                promise: () => Promise.reject({ code: 'AccessDenied', message: 'Access Denied' })
+            });
+            const outputStore = new OutputStore({ bucket: 'outputBucket' }, { putObject });
+            // Act
+            await outputStore.store(Buffer.from('ProcessedImageContent\n'), request).then(() => {
+                assert.fail('store should have been rejected');
+            }).catch((err) => {
+                // Assert
+                assert.deepEqual(err.status, 500);
+                assert.deepEqual(err.code, 'OutputStore::StoreFailed');
+            });
+        });
+    });
+});
@@ -0,0 +1,111 @@
+/*********************************************************************************************************************
+ *  Copyright 2019 Amazon.com, Inc. or its affiliates. All Rights Reserved.                                           *
+ *                                                                                                                    *
+ *  Licensed under the Apache License, Version 2.0 (the "License"). You may not use this file except in compliance    *
+ *  with the License. A copy of the License is located at                                                             *
+ *                                                                                                                    *
+ *      http://www.apache.org/licenses/LICENSE-2.0                                                                    *
+ *                                                                                                                    *
+ *  or in the 'license' file accompanying this file. This file is distributed on an 'AS IS' BASIS, WITHOUT WARRANTIES *
+ *  OR CONDITIONS OF ANY KIND, express or implied. See the License for the specific language governing permissions    *
+ *  and limitations under the License.                                                                                *
+ *********************************************************************************************************************/
+
+
+const PathRoutes = require('../path-routes');
+let assert = require('assert');
+
+const routes = [
+    { path: 'products', bucket: 'catalog-images' },
+    { path: '/avatars/', bucket: 'user-uploads', prefix: 'avatars/' },
+    { path: 'media/videos', bucket: 'video-posters' }
+];
+
+// ----------------------------------------------------------------------------
+// constructor()
+// ----------------------------------------------------------------------------
+describe('constructor()', function() {
+    describe('001/invalidRoute', function() {
+        it(`Should throw an error naming the route if it has no bucket`, function() {
+            // Assert
+            assert.throws(function() {
+                new PathRoutes([{ path: 'products' }]);
+            }, /PathRoutes::InvalidConfiguration: the path route #0/);
+        });
+    });
+});
+
+// ----------------------------------------------------------------------------
+// fromEnvironment()
+// ----------------------------------------------------------------------------
+describe('fromEnvironment()', function() {
+    after(function() {
+        process.env = {};
+    });
+    describe('001/environmentVariable', function() {
+        it(`Should pass if the routes are read from PATH_BUCKET_ROUTES and keys
+            fall back to the default bucket by default`, function() {
+            // Arrange
+            process.env = {
+                PATH_BUCKET_ROUTES: JSON.stringify(routes)
+            }
+            // Act
+            const result = PathRoutes.fromEnvironment();
+            // Assert
+            assert.deepEqual(result.routes.map(route => route.path), ['products', 'avatars', 'media/videos']);
+            assert.deepEqual(result.fallback, true);
+        });
+    });
+    describe('002/invalidJson', function() {
+        it(`Should throw an error if PATH_BUCKET_ROUTES is not valid JSON`, function() {
+            // Arrange
+            process.env = {
+                PATH_BUCKET_ROUTES: '[{ "path": "products"'
+            }
+            // Assert
+            assert.throws(function() {
+                PathRoutes.fromEnvironment();
+            }, /PathRoutes::InvalidConfiguration/);
+        });
+    });
+});
+
+// ----------------------------------------------------------------------------
+// resolve()
+// ----------------------------------------------------------------------------
+describe('resolve()', function() {
+    describe('001/matchingRoute', function() {
+        it(`Should pass if the leading segments of the key are replaced by the
+            key prefix of the first matching route`, function() {
+            // Arrange
+            const pathRoutes = new PathRoutes(routes);
+            // Assert
+            assert.deepEqual(pathRoutes.resolve('products/shoes/shoe-001.jpg'), { bucket: 'catalog-images', key: 'shoes/shoe-001.jpg' });
+            assert.deepEqual(pathRoutes.resolve('avatars/user-001.jpg'), { bucket: 'user-uploads', key: 'avatars/user-001.jpg' });
+            assert.deepEqual(pathRoutes.resolve('media/videos/poster.jpg'), { bucket: 'video-posters', key: 'poster.jpg' });
+        });
+    });
+    describe('002/fallback', function() {
+        it(`Should pass if undefined is returned for a key matching no route,
+            including keys only sharing the first characters of a route`, function() {
+            // Arrange
+            const pathRoutes = new PathRoutes(routes);
+            // Assert
+            assert.deepEqual(pathRoutes.resolve('products-sale/banner.jpg'), undefined);
+            assert.deepEqual(pathRoutes.resolve('media/banner.jpg'), undefined);
+        });
+    });
+    describe('003/noFallback', function() {
+        it(`Should throw an error for a key matching no route if the fallback
+            to the default bucket is disabled`, function() {
+            // Arrange
+            const pathRoutes = new PathRoutes(routes, false);
+            // Assert
+            assert.throws(function() {
+                pathRoutes.resolve('banners/banner-001.jpg');
+            }, function(err) {
+                return err.status === 404 && err.code === 'ImageBucket::NoMatchingRoute';
+            });
+        });
+    });
+});
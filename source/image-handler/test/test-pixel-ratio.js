@@ -0,0 +1,117 @@
+/*********************************************************************************************************************
+ *  Copyright 2019 Amazon.com, Inc. or its affiliates. All Rights Reserved.                                           *
+ *                                                                                                                    *
+ *  Licensed under the Apache License, Version 2.0 (the "License"). You may not use this file except in compliance    *
+ *  with the License. A copy of the License is located at                                                             *
+ *                                                                                                                    *
+ *      http://www.apache.org/licenses/LICENSE-2.0                                                                    *
+ *                                                                                                                    *
+ *  or in the 'license' file accompanying this file. This file is distributed on an 'AS IS' BASIS, WITHOUT WARRANTIES *
+ *  OR CONDITIONS OF ANY KIND, express or implied. See the License for the specific language governing permissions    *
+ *  and limitations under the License.                                                                                *
+ *********************************************************************************************************************/
+
+
+const PixelRatio = require('../pixel-ratio');
+let assert = require('assert');
+
+// ----------------------------------------------------------------------------
+// fromEnvironment()
+// ----------------------------------------------------------------------------
+describe('fromEnvironment()', function() {
+    after(function() {
+        process.env = {};
+    });
+    describe('001/limits', function() {
+        it(`Should pass if the limits are read from the environment, with
+            defaults for the missing ones`, function() {
+            // Arrange
+            process.env = {
+                MAX_DPR: '2',
+                MAX_OUTPUT_WIDTH: '4000'
+            }
+            // Act
+            const result = PixelRatio.fromEnvironment();
+            // Assert
+            assert.deepEqual([result.maxDpr, result.maxWidth, result.maxHeight], [2, 4000, 16383]);
+        });
+    });
+});
+
+// ----------------------------------------------------------------------------
+// clamp()
+// ----------------------------------------------------------------------------
+describe('clamp()', function() {
+    describe('001/maxDpr', function() {
+        it(`Should pass if the ratio is capped at the maximum ratio`, function() {
+            // Arrange
+            const pixelRatio = new PixelRatio(3);
+            // Act
+            const result = pixelRatio.clamp(5, { width: 300 });
+            // Assert
+            assert.deepEqual(result, 3);
+        });
+    });
+    describe('002/outputLimits', function() {
+        it(`Should pass if the ratio is lowered so that the scaled dimensions
+            stay within the output limits, but not below 1`, function() {
+            // Arrange
+            const pixelRatio = new PixelRatio(3, 2000, 1000);
+            // Assert
+            assert.deepEqual(pixelRatio.clamp(3, { width: 800, height: 400 }), 2.5);
+            assert.deepEqual(pixelRatio.clamp(3, { height: 1200 }), 1);
+        });
+    });
+    describe('003/pixelLimit', function() {
+        it(`Should pass if the ratio is lowered so that the scaled image stays
+            within the pixel count limit`, function() {
+            // Arrange
+            const pixelRatio = new PixelRatio(4, 16383, 16383, 100000000);
+            // Act
+            const result = pixelRatio.clamp(4, { width: 5000, height: 5000 });
+            // Assert
+            assert.deepEqual(result, 2);
+        });
+    });
+});
+
+// ----------------------------------------------------------------------------
+// scale()
+// ----------------------------------------------------------------------------
+describe('scale()', function() {
+    describe('001/pixelValues', function() {
+        it(`Should pass if the resize dimensions, the extend padding and the
+            pixel offsets of the overlay are multiplied by the ratio`, function() {
+            // Arrange
+            const pixelRatio = new PixelRatio();
+            const edits = {
+                resize: { width: 300, height: null, fit: 'inside' },
+                extend: { top: 10, bottom: 10, background: '#fff' },
+                overlayWith: { bucket: 'allowedBucket001', key: 'logo.png', wRatio: 20, options: { left: '-15', top: '10p' } }
+            };
+            // Act
+            const result = pixelRatio.scale(edits, 2);
+            // Assert
+            assert.deepEqual(result, {
+                edits: {
+                    resize: { width: 600, height: null, fit: 'inside' },
+                    extend: { top: 20, bottom: 20, background: '#fff' },
+                    overlayWith: { bucket: 'allowedBucket001', key: 'logo.png', wRatio: 20, options: { left: '-30', top: '10p' } }
+                },
+                dpr: 2
+            });
+            assert.deepEqual(edits.resize.width, 300);
+        });
+    });
+    describe('002/noResizeDimensions', function() {
+        it(`Should pass if edits without resize dimensions are returned unchanged`, function() {
+            // Arrange
+            const pixelRatio = new PixelRatio();
+            const edits = { grayscale: true, extend: 10 };
+            // Act
+            const result = pixelRatio.scale(edits, 2);
+            // Assert
+            assert.deepEqual(result, { edits, dpr: undefined });
+        });
+    });
+});
@@ -0,0 +1,210 @@
+/*********************************************************************************************************************
+ *  Copyright 2019 Amazon.com, Inc. or its affiliates. All Rights Reserved.                                           *
+ *                                                                                                                    *
+ *  Licensed under the Apache License, Version 2.0 (the "License"). You may not use this file except in compliance    *
+ *  with the License. A copy of the License is located at                                                             *
+ *                                                                                                                    *
+ *      http://www.apache.org/licenses/LICENSE-2.0                                                                    *
+ *                                                                                                                    *
+ *  or in the 'license' file accompanying this file. This file is distributed on an 'AS IS' BASIS, WITHOUT WARRANTIES *
+ *  OR CONDITIONS OF ANY KIND, express or implied. See the License for the specific language governing permissions    *
+ *  and limitations under the License.                                                                                *
+ *********************************************************************************************************************/
+
+const Presets = require('../presets');
+let assert = require('assert');
+
+const presets = {
+    'product-thumbnail': {
+        edits: { resize: { width: 300, height: 300, fit: 'cover' }, sharpen: true },
+        outputFormat: 'webp'
+    }
+};
+
+// ----------------------------------------------------------------------------
+// fromEnvironment()
+// ----------------------------------------------------------------------------
+describe('fromEnvironment()', function() {
+    after(function() {
+        process.env = {};
+    });
+    describe('001/environmentVariable', function() {
+        it(`Should pass if the presets are read from PRESETS`, async function() {
+            // Arrange
+            process.env = {
+                PRESETS: JSON.stringify(presets)
+            }
+            // Act
+            const result = await Presets.fromEnvironment();
+            // Assert
+            assert.deepEqual(result.presets, presets);
+        });
+    });
+    describe('002/s3Document', function() {
+        it(`Should pass if the presets are read from the JSON document in the
+            presets bucket`, async function() {
+            // Arrange
+            process.env = {
+                PRESETS_BUCKET: 'presetsBucket',
+                PRESETS_KEY: 'presets.json'
+            }
+            // ----
+            const S3 = require('aws-sdk/clients/s3');
+            const sinon = require('sinon');
+            const getObject = S3.prototype.getObject = sinon.stub();
+            getObject.withArgs({Bucket: 'presetsBucket', Key: 'presets.json'}).returns({
+                promise: () => { return {
+                    Body: Buffer.from(JSON.stringify(presets))
+                }}
+            })
+            // Act
+            const result = await Presets.fromEnvironment();
+            // Assert
+            assert.deepEqual(result.presets, presets);
+        });
+    });
+    describe('003/invalidJson', function() {
+        it(`Should throw an error if PRESETS is not valid JSON`, async function() {
+            // Arrange
+            process.env = {
+                PRESETS: '{ "product-thumbnail": '
+            }
+            // Act
+            await Presets.fromEnvironment().then(() => {
+                assert.fail('fromEnvironment should have been rejected');
+            }).catch((err) => {
+                // Assert
+                assert.deepEqual(err.status, 500);
+                assert.deepEqual(err.code, 'ImagePreset::InvalidConfiguration');
+            });
+        });
+    });
+    describe('004/s3Document/revalidated', function() {
+        it(`Should pass if the document in the presets bucket is revalidated
+            with its ETag once the presets expire, and reread when it changed`, async function() {
+            // Arrange
+            process.env = {
+                PRESETS_BUCKET: 'presetsBucket',
+                PRESETS_KEY: 'revalidated.json',
+                PRESETS_TTL: '0'
+            }
+            const updated = { 'hero-banner': { edits: { resize: { width: 1600 } } } };
+            // ----
+            const S3 = require('aws-sdk/clients/s3');
+            const sinon = require('sinon');
+            const getObject = S3.prototype.getObject = sinon.stub();
+            getObject.withArgs({Bucket: 'presetsBucket', Key: 'revalidated.json'}).returns({
+                promise: () => Promise.resolve({ Body: Buffer.from(JSON.stringify(presets)), ETag: '"v1"' })
+            })
+            getObject.withArgs({Bucket: 'presetsBucket', Key: 'revalidated.json', IfNoneMatch: '"v1"'}).onFirstCall().returns({
+                promise: () => Promise.reject({ code: 'NotModified', statusCode: 304 })
+            }).onSecondCall().returns({
+                promise: () => Promise.resolve({ Body: Buffer.from(JSON.stringify(updated)), ETag: '"v2"' })
+            })
+            // Act
+            const first = await Presets.fromEnvironment();
+            const notModified = await Presets.fromEnvironment();
+            const changed = await Presets.fromEnvironment();
+            // Assert
+            assert.deepEqual(first.presets, presets);
+            assert.equal(notModified, first);
+            assert.deepEqual(changed.presets, updated);
+        });
+    });
+    describe('005/s3Document/unreadable', function() {
+        it(`Should pass if the previous presets are kept when the document in
+            the presets bucket cannot be reread`, async function() {
+            // Arrange
+            process.env = {
+                PRESETS_BUCKET: 'presetsBucket',
+                PRESETS_KEY: 'unreadable.json',
+                PRESETS_TTL: '0',
+                LOG_LEVEL: 'error'
+            }
+            // ----
+            const S3 = require('aws-sdk/clients/s3');
+            const sinon = require('sinon');
+            const getObject = S3.prototype.getObject = sinon.stub();
+            getObject.withArgs({Bucket: 'presetsBucket', Key: 'unreadable.json'}).returns({
+                promise: () => Promise.resolve({ Body: Buffer.from(JSON.stringify(presets)), ETag: '"v1"' })
+            })
+            getObject.withArgs({Bucket: 'presetsBucket', Key: 'unreadable.json', IfNoneMatch: '"v1"'}).returns({
+                promise: () => Promise.resolve({ Body: Buffer.from('{ "product-thumbnail": '), ETag: '"v2"' })
+            })
+            // Act
+            const first = await Presets.fromEnvironment();
+            const result = await Presets.fromEnvironment();
+            // Assert
+            assert.equal(result, first);
+        });
+    });
+});
+
+// ----------------------------------------------------------------------------
+// get()
+// ----------------------------------------------------------------------------
+describe('get()', function() {
+    describe('001/presetNotFound', function() {
+        it(`Should throw an error if the preset does not exist`, function() {
+            // Arrange
+            const imagePresets = new Presets(presets);
+            // Assert
+            assert.throws(function() {
+                imagePresets.get('hero-banner');
+            }, function(err) {
+                return err.status === 400 && err.code === 'ImagePreset::PresetNotFound';
+            });
+        });
+    });
+});
+
+// ----------------------------------------------------------------------------
+// expand()
+// ----------------------------------------------------------------------------
+describe('expand()', function() {
+    describe('001/requestEdits', function() {
+        it(`Should pass if the edits of the request are merged on top of the
+            edits of the preset`, function() {
+            // Arrange
+            const imagePresets = new Presets(presets);
+            // Act
+            const result = imagePresets.expand('product-thumbnail', { resize: { width: 200 }, grayscale: true });
+            // Assert
+            assert.deepEqual(result, {
+                resize: { width: 200, height: 300, fit: 'cover' },
+                sharpen: true,
+                grayscale: true
+            });
+            assert.deepEqual(presets['product-thumbnail'].edits.resize.width, 300);
+        });
+    });
+    describe('002/noRequestEdits', function() {
+        it(`Should pass if the edits of the preset are used when the request
+            has no edits`, function() {
+            // Arrange
+            const imagePresets = new Presets(presets);
+            // Act
+            const result = imagePresets.expand('product-thumbnail', undefined);
+            // Assert
+            assert.deepEqual(result, presets['product-thumbnail'].edits);
+        });
+    });
+    describe('003/copiedEdits', function() {
+        it(`Should pass if changing the nested edits of an expanded preset
+            leaves the preset unchanged`, function() {
+            // Arrange
+            const imagePresets = new Presets({
+                watermarked: {
+                    edits: { overlayWith: { bucket: 'aaa', key: 'bbb', options: { left: '10', top: '-5p' } } }
+                }
+            });
+            // Act
+            const first = imagePresets.expand('watermarked');
+            first.overlayWith.options.left = 10;
+            const second = imagePresets.expand('watermarked');
+            // Assert
+            assert.deepEqual(second.overlayWith.options, { left: '10', top: '-5p' });
+            assert.deepEqual(imagePresets.get('watermarked').edits.overlayWith.options, { left: '10', top: '-5p' });
+        });
+    });
+});
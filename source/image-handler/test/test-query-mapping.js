@@ -0,0 +1,149 @@
+/*********************************************************************************************************************
+ *  Copyright 2019 Amazon.com, Inc. or its affiliates. All Rights Reserved.                                           *
+ *                                                                                                                    *
+ *  Licensed under the Apache License, Version 2.0 (the "License"). You may not use this file except in compliance    *
+ *  with the License. A copy of the License is located at                                                             *
+ *                                                                                                                    *
+ *      http://www.apache.org/licenses/LICENSE-2.0                                                                    *
+ *                                                                                                                    *
+ *  or in the 'license' file accompanying this file. This file is distributed on an 'AS IS' BASIS, WITHOUT WARRANTIES *
+ *  OR CONDITIONS OF ANY KIND, express or implied. See the License for the specific language governing permissions    *
+ *  and limitations under the License.                                                                                *
+ *********************************************************************************************************************/
+
+const QueryMapping = require('../query-mapping');
+let assert = require('assert');
+
+// ----------------------------------------------------------------------------
+// hasEdits()
+// ----------------------------------------------------------------------------
+describe('hasEdits()', function() {
+    describe('001/supportedParameters', function() {
+        it(`Should pass if true is returned when the query string contains a
+            supported parameter`, function() {
+            // Arrange
+            const event = {
+                path : '/test-image-001.jpg',
+                queryStringParameters: { w: '400', utm_source: 'newsletter' }
+            }
+            // Act
+            const result = QueryMapping.hasEdits(event);
+            // Assert
+            assert.deepEqual(result, true);
+        });
+    });
+    describe('002/noSupportedParameters', function() {
+        it(`Should pass if false is returned when the query string does not
+            contain any supported parameter`, function() {
+            // Arrange
+            const event = {
+                path : '/test-image-001.jpg',
+                queryStringParameters: { utm_source: 'newsletter' }
+            }
+            // Act
+            const result = QueryMapping.hasEdits(event);
+            // Assert
+            assert.deepEqual(result, false);
+        });
+    });
+});
+
+// ----------------------------------------------------------------------------
+// process()
+// ----------------------------------------------------------------------------
+describe('process()', function() {
+    describe('001/queryRequest', function() {
+        it(`Should pass if the query string parameters are translated to edits,
+            the device pixel ratio being applied by the image request`, function() {
+            // Arrange
+            const event = {
+                path : '/test-image-001.jpg',
+                queryStringParameters: { w: '400', h: '300', fit: 'crop', crop: 'left,top', fm: 'webp', q: '70', dpr: '2' }
+            }
+            // Act
+            const queryMapping = new QueryMapping();
+            queryMapping.process(event);
+            // Assert
+            const expectedResult = {
+                resize: {
+                    fit: 'cover',
+                    width: 400,
+                    height: 300,
+                    position: 'northwest'
+                },
+                toFormat: 'webp',
+                webp: { quality: 70 }
+            };
+            assert.deepEqual(queryMapping.edits, expectedResult);
+        });
+    });
+    describe('002/parameterOrder', function() {
+        it(`Should pass if the order of the query string parameters does not
+            change the order of the edits`, function() {
+            // Arrange
+            const event1 = {
+                path : '/test-image-001.png',
+                queryStringParameters: { q: '70', blur: '10', flip: 'hv', w: '400' }
+            }
+            const event2 = {
+                path : '/test-image-001.png',
+                queryStringParameters: { w: '400', flip: 'vh', blur: '10', q: '70' }
+            }
+            // Act
+            const result1 = new QueryMapping().process(event1).edits;
+            const result2 = new QueryMapping().process(event2).edits;
+            // Assert
+            assert.deepEqual(JSON.stringify(result1), JSON.stringify(result2));
+            assert.deepEqual(Object.keys(result1), ['resize', 'flip', 'flop', 'blur', 'png']);
+        });
+    });
+    describe('003/background', function() {
+        it(`Should pass if the background color is used to flatten the image
+            when it is not resized`, function() {
+            // Arrange
+            const event = {
+                path : '/test-image-001.png',
+                queryStringParameters: { bg: 'ffffff' }
+            }
+            // Act
+            const queryMapping = new QueryMapping();
+            queryMapping.process(event);
+            // Assert
+            assert.deepEqual(queryMapping.edits, { flatten: { background: { r: 255, g: 255, b: 255 } } });
+        });
+    });
+    describe('004/invalidParameter', function() {
+        it(`Should throw an error if a query string parameter has an invalid value`, function() {
+            // Arrange
+            const event = {
+                path : '/test-image-001.jpg',
+                queryStringParameters: { w: 'wide' }
+            }
+            // Act
+            const queryMapping = new QueryMapping();
+            // Assert
+            assert.throws(function() {
+                queryMapping.process(event);
+            }, function(err) {
+                return err.status === 400 && err.code === 'QueryMapping::InvalidParameter';
+            });
+        });
+    });
+    describe('005/unsupportedFit', function() {
+        it(`Should throw an error if the fit parameter is not supported`, function() {
+            // Arrange
+            const event = {
+                path : '/test-image-001.jpg',
+                queryStringParameters: { w: '400', fit: 'facearea' }
+            }
+            // Act
+            const queryMapping = new QueryMapping();
+            // Assert
+            assert.throws(function() {
+                queryMapping.process(event);
+            }, function(err) {
+                return err.status === 400 && err.code === 'QueryMapping::InvalidParameter';
+            });
+        });
+    });
+});
@@ -0,0 +1,132 @@
+/*********************************************************************************************************************
+ *  Copyright 2019 Amazon.com, Inc. or its affiliates. All Rights Reserved.                                           *
+ *                                                                                                                    *
+ *  Licensed under the Apache License, Version 2.0 (the "License"). You may not use this file except in compliance    *
+ *  with the License. A copy of the License is located at                                                             *
+ *                                                                                                                    *
+ *      http://www.apache.org/licenses/LICENSE-2.0                                                                    *
+ *                                                                                                                    *
+ *  or in the 'license' file accompanying this file. This file is distributed on an 'AS IS' BASIS, WITHOUT WARRANTIES *
+ *  OR CONDITIONS OF ANY KIND, express or implied. See the License for the specific language governing permissions    *
+ *  and limitations under the License.                                                                                *
+ *********************************************************************************************************************/
+
+
+const http = require('http');
+const RemoteOrigin = require('../remote-origin');
+let assert = require('assert');
+
+const png = Buffer.from('iVBORw0KGgoAAAANSUhEUgAAAAEAAAABCAYAAAAfFcSJAAAADUlEQVR42mP8z8BQDwAEhQGAhKmMIQAAAABJRU5ErkJggg==', 'base64');
+
+// ----------------------------------------------------------------------------
+// isAllowed()
+// ----------------------------------------------------------------------------
+describe('isAllowed()', function() {
+    describe('001/allowedHosts', function() {
+        it(`Should pass if only HTTP(S) URLs of allowlisted hosts are allowed`, function() {
+            // Arrange
+            process.env = {
+                ORIGIN_ALLOWED_HOSTS: 'images.partner.com, *.cdn.example.com'
+            }
+            // Act
+            const remoteOrigin = RemoteOrigin.fromEnvironment();
+            process.env = {};
+            // Assert
+            assert.deepEqual(remoteOrigin.isAllowed('https://images.partner.com/a.jpg'), true);
+            assert.deepEqual(remoteOrigin.isAllowed('https://eu.cdn.example.com/a.jpg'), true);
+            assert.deepEqual(remoteOrigin.isAllowed('https://cdn.example.com/a.jpg'), false);
+            assert.deepEqual(remoteOrigin.isAllowed('https://images.partner.com.evil.com/a.jpg'), false);
+            assert.deepEqual(remoteOrigin.isAllowed('file:///etc/passwd'), false);
+        });
+    });
+});
+
+// ----------------------------------------------------------------------------
+// [async] getObject()
+// ----------------------------------------------------------------------------
+describe('getObject()', function() {
+    let server;
+    let origin;
+    const remoteOrigin = (options) => new RemoteOrigin({
+        allowedHosts: ['127.0.0.1'],
+        maxBytes: 1024,
+        timeout: 1000,
+        maxRedirects: 2,
+        ...options
+    });
+    before(function(done) {
+        server = http.createServer((request, response) => {
+            if (request.url === '/image') {
+                response.writeHead(200, { 'Content-Type': 'application/octet-stream', 'Cache-Control': 'max-age=60' });
+                response.end(png);
+            } else if (request.url === '/redirect') {
+                response.writeHead(302, { 'Location': '/image' });
+                response.end();
+            } else if (request.url === '/loop') {
+                response.writeHead(302, { 'Location': '/loop' });
+                response.end();
+            } else if (request.url === '/external') {
+                response.writeHead(302, { 'Location': 'http://169.254.169.254/latest/meta-data/' });
+                response.end();
+            } else if (request.url === '/large') {
+                response.writeHead(200);
+                response.end(Buffer.alloc(2048));
+            } else if (request.url === '/html') {
+                response.writeHead(200, { 'Content-Type': 'image/png' });
+                response.end('<html></html>');
+            } else if (request.url === '/slow') {
+                setTimeout(() => response.end(png), 200);
+            } else if (request.url === '/trickle') {
+                // Sends a byte every 20 ms, so that the socket is never idle
+                response.writeHead(200);
+                const interval = setInterval(() => response.write('.'), 20);
+                setTimeout(() => {
+                    clearInterval(interval);
+                    response.end();
+                }, 1000);
+            } else {
+                response.writeHead(404);
+                response.end();
+            }
+        });
+        server.listen(0, '127.0.0.1', () => {
+            origin = `http://127.0.0.1:${server.address().port}`;
+            done();
+        });
+    });
+    after(function(done) {
+        server.close(done);
+    });
+    describe('001/imageExists', function() {
+        it(`Should pass if the image is fetched with its sniffed content type`, async function() {
+            // Act
+            const result = await remoteOrigin().getObject(`${origin}/redirect`);
+            // Assert
+            assert.deepEqual(result.Body, png);
+            assert.deepEqual(result.ContentType, 'image/png');
+            assert.deepEqual(result.CacheControl, 'max-age=60');
+        });
+    });
+    describe('002/errors', function() {
+        const cases = [
+            { path: '/missing', options: {}, status: 404, code: 'RemoteOrigin::NotFound' },
+            { path: '/loop', options: {}, status: 502, code: 'RemoteOrigin::TooManyRedirects' },
+            { path: '/external', options: {}, status: 403, code: 'RemoteOrigin::HostNotAllowed' },
+            { path: '/large', options: {}, status: 413, code: 'RemoteOrigin::TooLarge' },
+            { path: '/html', options: {}, status: 415, code: 'RemoteOrigin::UnsupportedContentType' },
+            { path: '/slow', options: { timeout: 50 }, status: 504, code: 'RemoteOrigin::Timeout' },
+            { path: '/trickle', options: { timeout: 200 }, status: 504, code: 'RemoteOrigin::Timeout' }
+        ];
+        cases.forEach(({ path, options, status, code }) => {
+            it(`Should throw a ${code} error for ${path}`, async function() {
+                // Act
+                await remoteOrigin(options).getObject(`${origin}${path}`).then(() => {
+                    assert.fail('getObject should have been rejected');
+                }).catch((err) => {
+                    // Assert
+                    assert.deepEqual({ status: err.status, code: err.code }, { status, code });
+                });
+            });
+        });
+    });
+});
@@ -0,0 +1,79 @@
+/*********************************************************************************************************************
+ *  Copyright 2019 Amazon.com, Inc. or its affiliates. All Rights Reserved.                                           *
+ *                                                                                                                    *
+ *  Licensed under the Apache License, Version 2.0 (the "License"). You may not use this file except in compliance    *
+ *  with the License. A copy of the License is located at                                                             *
+ *                                                                                                                    *
+ *      http://www.apache.org/licenses/LICENSE-2.0                                                                    *
+ *                                                                                                                    *
+ *  or in the 'license' file accompanying this file. This file is distributed on an 'AS IS' BASIS, WITHOUT WARRANTIES *
+ *  OR CONDITIONS OF ANY KIND, express or implied. See the License for the specific language governing permissions    *
+ *  and limitations under the License.                                                                                *
+ *********************************************************************************************************************/
+
+const RequestSchema = require('../request-schema');
+let assert = require('assert');
+
+// ----------------------------------------------------------------------------
+// getSchema()
+// ----------------------------------------------------------------------------
+describe('getSchema()', function() {
+    describe('001/editsFromRegistry', function() {
+        it(`Should pass if the schema describes the edits of the operation registry`, function() {
+            // Act
+            const result = RequestSchema.getSchema();
+            // Assert
+            assert.deepEqual(Object.keys(result.properties), ['bucket', 'key', 'url', 'edits', 'preset', 'outputFormat', 'dpr', 'limits', 'debug', 'expires']);
+            assert.deepEqual(result.properties.edits.additionalProperties, false);
+            assert.deepEqual(typeof result.properties.edits.properties.resize, 'object');
+        });
+    });
+});
+
+// ----------------------------------------------------------------------------
+// validate()
+// ----------------------------------------------------------------------------
+describe('validate()', function() {
+    describe('001/validRequest', function() {
+        it(`Should pass if the decoded request matches the schema`, function() {
+            // Arrange
+            const decoded = {
+                bucket: 'validBucket',
+                key: 'validKey',
+                edits: { resize: { width: 200, fit: 'cover' }, grayscale: true },
+                outputFormat: 'webp'
+            }
+            // Act
+            const requestSchema = new RequestSchema();
+            // Assert
+            assert.doesNotThrow(function() {
+                requestSchema.validate(decoded);
+            });
+        });
+    });
+    describe('002/invalidFields', function() {
+        it(`Should throw an error listing the JSON pointer of every offending field`, function() {
+            // Arrange
+            const decoded = {
+                bucket: 'validBucket',
+                edits: { resize: { widht: 200 } },
+                outputFormat: 'gif'
+            }
+            // Act
+            const requestSchema = new RequestSchema();
+            // Assert
+            assert.throws(function() {
+                requestSchema.validate(decoded);
+            }, function(err) {
+                assert.deepEqual(err.status, 400);
+                assert.deepEqual(err.code, 'RequestSchema::InvalidRequest');
+                assert.deepEqual(err.errors, [
+                    { pointer: '/key', message: 'is required' },
+                    { pointer: '/edits/resize/widht', message: 'is not a supported field' },
+                    { pointer: '/outputFormat', message: 'should be equal to one of the allowed values' }
+                ]);
+                return true;
+            });
+        });
+    });
+});
@@ -0,0 +1,134 @@
+/*********************************************************************************************************************
+ *  Copyright 2019 Amazon.com, Inc. or its affiliates. All Rights Reserved.                                           *
+ *                                                                                                                    *
+ *  Licensed under the Apache License, Version 2.0 (the "License"). You may not use this file except in compliance    *
+ *  with the License. A copy of the License is located at                                                             *
+ *                                                                                                                    *
+ *      http://www.apache.org/licenses/LICENSE-2.0                                                                    *
+ *                                                                                                                    *
+ *  or in the 'license' file accompanying this file. This file is distributed on an 'AS IS' BASIS, WITHOUT WARRANTIES *
+ *  OR CONDITIONS OF ANY KIND, express or implied. See the License for the specific language governing permissions    *
+ *  and limitations under the License.                                                                                *
+ *********************************************************************************************************************/
+
+const RewriteRules = require('../rewrite-rules');
+let assert = require('assert');
+
+const rules = [
+    { name: 'legacy-cms', match: '^/cms/(\\d+)x(\\d+)/(.*)$', substitution: '/fit-in/$1x$2/$3', bucket: 'cms-images' },
+    { name: 'legacy-shop', match: '/shop-filters-/g', substitution: 'filters:' }
+];
+
+// ----------------------------------------------------------------------------
+// constructor()
+// ----------------------------------------------------------------------------
+describe('constructor()', function() {
+    describe('001/invalidPattern', function() {
+        it(`Should throw an error naming the rule if a pattern is not valid`, function() {
+            // Assert
+            assert.throws(function() {
+                new RewriteRules([{ name: 'broken', match: '([a-z]+', substitution: '$1' }]);
+            }, /RewriteRules::InvalidConfiguration: the rewrite rule "broken" has an invalid pattern/);
+        });
+    });
+    describe('002/missingSubstitution', function() {
+        it(`Should throw an error if a rule does not define a substitution`, function() {
+            // Assert
+            assert.throws(function() {
+                new RewriteRules([{ name: 'incomplete', match: '^/cms/' }]);
+            }, /RewriteRules::InvalidConfiguration: the rewrite rule "incomplete" must define/);
+        });
+    });
+});
+
+// ----------------------------------------------------------------------------
+// fromEnvironment()
+// ----------------------------------------------------------------------------
+describe('fromEnvironment()', function() {
+    after(function() {
+        process.env = {};
+    });
+    describe('001/namedRules', function() {
+        it(`Should pass if the named rules are read from REWRITE_RULES`, function() {
+            // Arrange
+            process.env = {
+                REWRITE_RULES: JSON.stringify(rules)
+            }
+            // Act
+            const result = RewriteRules.fromEnvironment();
+            // Assert
+            assert.deepEqual(result.rules.map(rule => rule.name), ['legacy-cms', 'legacy-shop']);
+        });
+    });
+    describe('002/legacyRule', function() {
+        it(`Should pass if the legacy REWRITE_MATCH_PATTERN is added as a last rule`, function() {
+            // Arrange
+            process.env = {
+                REWRITE_RULES: JSON.stringify(rules),
+                REWRITE_MATCH_PATTERN: '/(filters-)/gm',
+                REWRITE_SUBSTITUTION: 'filters:'
+            }
+            // Act
+            const result = RewriteRules.fromEnvironment();
+            // Assert
+            assert.deepEqual(result.rules.map(rule => rule.name), ['legacy-cms', 'legacy-shop', 'default']);
+            assert.deepEqual(result.rules[2].pattern, /(filters-)/gm);
+        });
+    });
+    describe('003/invalidJson', function() {
+        it(`Should throw an error if REWRITE_RULES is not valid JSON`, function() {
+            // Arrange
+            process.env = {
+                REWRITE_RULES: '[{ "name": '
+            }
+            // Assert
+            assert.throws(function() {
+                RewriteRules.fromEnvironment();
+            }, /RewriteRules::InvalidConfiguration: the rewrite rules could not be read/);
+        });
+    });
+});
+
+// ----------------------------------------------------------------------------
+// match()
+// ----------------------------------------------------------------------------
+describe('match()', function() {
+    describe('001/firstMatchingRule', function() {
+        it(`Should pass if the first matching rule is applied`, function() {
+            // Arrange
+            const rewriteRules = new RewriteRules(rules);
+            // Act
+            const result = rewriteRules.match('/cms/300x200/shop-filters-grayscale()/image.jpg');
+            // Assert
+            assert.deepEqual(result, {
+                name: 'legacy-cms',
+                bucket: 'cms-images',
+                path: '/fit-in/300x200/shop-filters-grayscale()/image.jpg'
+            });
+        });
+    });
+    describe('002/secondRule', function() {
+        it(`Should pass if a later rule is applied when the first one does not match`, function() {
+            // Arrange
+            const rewriteRules = new RewriteRules(rules);
+            // Act
+            const result = rewriteRules.match('/shop-filters-grayscale()/shop-filters-rotate(90)/image.jpg');
+            // Assert
+            assert.deepEqual(result, {
+                name: 'legacy-shop',
+                bucket: undefined,
+                path: '/filters:grayscale()/filters:rotate(90)/image.jpg'
+            });
+        });
+    });
+    describe('003/noMatchingRule', function() {
+        it(`Should pass if undefined is returned when no rule matches`, function() {
+            // Arrange
+            const rewriteRules = new RewriteRules(rules);
+            // Act
+            const result = rewriteRules.match('/fit-in/300x200/image.jpg');
+            // Assert
+            assert.deepEqual(result, undefined);
+        });
+    });
+});
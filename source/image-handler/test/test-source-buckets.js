@@ -0,0 +1,130 @@
+/*********************************************************************************************************************
+ *  Copyright 2019 Amazon.com, Inc. or its affiliates. All Rights Reserved.                                           *
+ *                                                                                                                    *
+ *  Licensed under the Apache License, Version 2.0 (the "License"). You may not use this file except in compliance    *
+ *  with the License. A copy of the License is located at                                                             *
+ *                                                                                                                    *
+ *      http://www.apache.org/licenses/LICENSE-2.0                                                                    *
+ *                                                                                                                    *
+ *  or in the 'license' file accompanying this file. This file is distributed on an 'AS IS' BASIS, WITHOUT WARRANTIES *
+ *  OR CONDITIONS OF ANY KIND, express or implied. See the License for the specific language governing permissions    *
+ *  and limitations under the License.                                                                                *
+ *********************************************************************************************************************/
+
+
+const SourceBuckets = require('../source-buckets');
+let assert = require('assert');
+
+// ----------------------------------------------------------------------------
+// getDefaultBucket()
+// ----------------------------------------------------------------------------
+describe('getDefaultBucket()', function() {
+    describe('001/firstBucketName', function() {
+        it(`Should pass if the first entry that is not a pattern is returned`, function() {
+            // Arrange
+            const sourceBuckets = new SourceBuckets(['assets-*', 'allowedBucket001/public/*', 'allowedBucket002']);
+            // Act
+            const result = sourceBuckets.getDefaultBucket();
+            // Assert
+            assert.deepEqual(result, 'allowedBucket001');
+        });
+    });
+    describe('002/patternsOnly', function() {
+        it(`Should throw an error if every entry is a pattern`, function() {
+            // Arrange
+            const sourceBuckets = new SourceBuckets(['assets-*']);
+            // Assert
+            assert.throws(function() {
+                sourceBuckets.getDefaultBucket();
+            }, function(err) {
+                return err.status === 400 && err.code === 'GetAllowedSourceBuckets::NoDefaultBucket';
+            });
+        });
+    });
+});
+
+// ----------------------------------------------------------------------------
+// isBucketAllowed()
+// ----------------------------------------------------------------------------
+describe('isBucketAllowed()', function() {
+    describe('001/bucketPattern', function() {
+        it(`Should pass if buckets are matched against the whole glob pattern`, function() {
+            // Arrange
+            const sourceBuckets = new SourceBuckets(['assets-*', 'media.example-?']);
+            // Assert
+            assert.deepEqual(sourceBuckets.isBucketAllowed('assets-eu'), true);
+            assert.deepEqual(sourceBuckets.isBucketAllowed('media.example-1'), true);
+            assert.deepEqual(sourceBuckets.isBucketAllowed('mediaxexample-1'), false);
+            assert.deepEqual(sourceBuckets.isBucketAllowed('old-assets-eu'), false);
+        });
+    });
+    describe('002/noRegularExpression', function() {
+        it(`Should pass if the first entry is not used as a regular expression`, function() {
+            // Arrange
+            const sourceBuckets = new SourceBuckets(['allowed.*', 'allowedBucket002']);
+            // Assert
+            assert.deepEqual(sourceBuckets.isBucketAllowed('allowed.bucket'), true);
+            assert.deepEqual(sourceBuckets.isBucketAllowed('allowedXbucket'), false);
+        });
+    });
+});
+
+// ----------------------------------------------------------------------------
+// isKeyAllowed()
+// ----------------------------------------------------------------------------
+describe('isKeyAllowed()', function() {
+    describe('001/keyPattern', function() {
+        it(`Should pass if keys of a bucket with a key pattern must match it`, function() {
+            // Arrange
+            const sourceBuckets = new SourceBuckets(['allowedBucket001/public/*', 'assets-*']);
+            // Assert
+            assert.deepEqual(sourceBuckets.isKeyAllowed('allowedBucket001', 'public/products/image.jpg'), true);
+            assert.deepEqual(sourceBuckets.isKeyAllowed('allowedBucket001', 'private/image.jpg'), false);
+            assert.deepEqual(sourceBuckets.isKeyAllowed('assets-eu', 'private/image.jpg'), true);
+        });
+    });
+    describe('002/severalEntries', function() {
+        it(`Should pass if a key matching any entry of the bucket is allowed`, function() {
+            // Arrange
+            const sourceBuckets = new SourceBuckets(['allowedBucket001/public/*', 'allowedBucket001/*.png']);
+            // Assert
+            assert.deepEqual(sourceBuckets.isKeyAllowed('allowedBucket001', 'logos/brand.png'), true);
+            assert.deepEqual(sourceBuckets.isKeyAllowed('allowedBucket001', 'logos/brand.jpg'), false);
+            assert.deepEqual(sourceBuckets.isKeyAllowed('allowedBucket002', 'public/image.jpg'), false);
+        });
+    });
+});
+
+// ----------------------------------------------------------------------------
+// fromEnvironment()
+// ----------------------------------------------------------------------------
+describe('fromEnvironment()', function() {
+    after(function() {
+        process.env = {};
+    });
+    describe('001/sourceBucketsSpecified', function() {
+        it(`Should pass if the entries are read from SOURCE_BUCKETS, spaces being ignored`, function() {
+            // Arrange
+            process.env = {
+                SOURCE_BUCKETS: 'allowedBucket001, allowedBucket002/public/*'
+            };
+            // Act
+            const sourceBuckets = SourceBuckets.fromEnvironment();
+            // Assert
+            assert.deepEqual(sourceBuckets.isKeyAllowed('allowedBucket002', 'public/image.jpg'), true);
+            assert.deepEqual(sourceBuckets.isKeyAllowed('allowedBucket002', 'private/image.jpg'), false);
+        });
+    });
+    describe('002/noSourceBucketsSpecified', function() {
+        it(`Should throw an error if SOURCE_BUCKETS is not set`, function() {
+            // Arrange
+            process.env = {};
+            // Assert
+            assert.throws(function() {
+                SourceBuckets.fromEnvironment();
+            }, function(err) {
+                return err.status === 400 && err.code === 'GetAllowedSourceBuckets::NoSourceBuckets';
+            });
+        });
+    });
+});
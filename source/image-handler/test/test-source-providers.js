@@ -0,0 +1,253 @@
+/*********************************************************************************************************************
+ *  Copyright 2019 Amazon.com, Inc. or its affiliates. All Rights Reserved.                                           *
+ *                                                                                                                    *
+ *  Licensed under the Apache License, Version 2.0 (the "License"). You may not use this file except in compliance    *
+ *  with the License. A copy of the License is located at                                                             *
+ *                                                                                                                    *
+ *      http://www.apache.org/licenses/LICENSE-2.0                                                                    *
+ *                                                                                                                    *
+ *  or in the 'license' file accompanying this file. This file is distributed on an 'AS IS' BASIS, WITHOUT WARRANTIES *
+ *  OR CONDITIONS OF ANY KIND, express or implied. See the License for the specific language governing permissions    *
+ *  and limitations under the License.                                                                                *
+ *********************************************************************************************************************/
+
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const http = require('http');
+const FilesystemSource = require('../filesystem-source');
+const HttpSource = require('../http-source');
+const S3Source = require('../s3-source');
+const SourceProviders = require('../source-providers');
+const sinon = require('sinon');
+let assert = require('assert');
+
+// ----------------------------------------------------------------------------
+// getSource()
+// ----------------------------------------------------------------------------
+describe('getSource()', function() {
+    describe('001/bucketAndPrefix', function() {
+        it(`Should pass if the first entry matching the bucket and the key
+            prefix is selected`, function() {
+            // Arrange
+            const sourceProviders = new SourceProviders([
+                { bucket: 'dev-images', type: 'filesystem', root: os.tmpdir() },
+                { bucket: 'legacy', prefix: 'catalog/', type: 'http', baseUrl: 'https://legacy.example.com/images' }
+            ]);
+            // Act
+            const result1 = sourceProviders.getSource('dev-images', 'image.jpg');
+            const result2 = sourceProviders.getSource('legacy', 'catalog/image.jpg');
+            const result3 = sourceProviders.getSource('legacy', 'banners/image.jpg');
+            // Assert
+            assert.deepEqual(result1 instanceof FilesystemSource, true);
+            assert.deepEqual(result2 instanceof HttpSource, true);
+            assert.deepEqual(result3 instanceof S3Source, true);
+        });
+    });
+    describe('002/injectedS3', function() {
+        it(`Should pass if the injected Amazon S3 client is used`, async function() {
+            // Arrange
+            const s3 = {
+                getObject: (params) => ({
+                    promise: () => Promise.resolve({ Body: Buffer.from(`${params.Bucket}/${params.Key}`) })
+                })
+            };
+            const sourceProviders = new SourceProviders([], s3);
+            // Act
+            const result = await sourceProviders.getObject('validBucket', 'validKey');
+            // Assert
+            assert.deepEqual(result.Body, Buffer.from('validBucket/validKey'));
+        });
+    });
+    describe('003/invalidConfiguration', function() {
+        it(`Should throw an error if a source provider has an unknown type`, function() {
+            // Arrange
+            process.env = {
+                SOURCE_PROVIDERS: JSON.stringify([{ bucket: 'legacy', type: 'ftp' }])
+            }
+            // Assert
+            assert.throws(function() {
+                SourceProviders.fromEnvironment();
+            }, /SourceProviders::InvalidConfiguration: the source provider #0 must be of type/);
+            process.env = {};
+        });
+    });
+    describe('004/injectedS3/imageTooLarge', function() {
+        it(`Should throw an error from the Content-Length of an Amazon S3 object
+            larger than the maximum size, without reading its body`, async function() {
+            // Arrange
+            const EventEmitter = require('events');
+            const request = new EventEmitter();
+            let rejectRequest;
+            request.abort = sinon.spy(() => rejectRequest({ code: 'RequestAbortedError' }));
+            request.promise = () => new Promise((resolve, reject) => {
+                rejectRequest = reject;
+                request.emit('httpHeaders', 200, { 'content-length': '2000' });
+                resolve({ Body: Buffer.alloc(2000) });
+            });
+            const s3 = { getObject: () => request };
+            const sourceProviders = new SourceProviders([], s3, 1500);
+            // Act
+            await sourceProviders.getObject('validBucket', 'validKey').then(() => {
+                assert.fail('getObject should have been rejected');
+            }).catch((err) => {
+                // Assert
+                assert.deepEqual(request.abort.calledOnce, true);
+                assert.deepEqual(err.code, 'ImageLimits::InputTooLarge');
+                assert.deepEqual(err.statusCode, 413);
+            });
+        });
+    });
+});
+
+// ----------------------------------------------------------------------------
+// FilesystemSource getObject()
+// ----------------------------------------------------------------------------
+describe('FilesystemSource getObject()', function() {
+    const root = fs.mkdtempSync(path.join(os.tmpdir(), 'image-handler-'));
+    before(function() {
+        fs.mkdirSync(path.join(root, 'folder'));
+        fs.writeFileSync(path.join(root, 'folder', 'image.png'), 'SampleImageContent\n');
+    });
+    after(function() {
+        fs.unlinkSync(path.join(root, 'folder', 'image.png'));
+        fs.rmdirSync(path.join(root, 'folder'));
+        fs.rmdirSync(root);
+    });
+    describe('001/fileExists', function() {
+        it(`Should pass if the file is read with its content type`, async function() {
+            // Arrange
+            const source = new FilesystemSource({ root });
+            // Act
+            const result = await source.getObject('dev-images', 'folder/image.png');
+            // Assert
+            assert.deepEqual(result.Body, Buffer.from('SampleImageContent\n'));
+            assert.deepEqual(result.ContentType, 'image/png');
+            assert.deepEqual(result.LastModified instanceof Date, true);
+            assert.deepEqual(/^"[0-9a-f]+-[0-9a-f]+"$/.test(result.ETag), true);
+        });
+    });
+    describe('002/outsideOfRoot', function() {
+        it(`Should throw an error if the key resolves outside of the root folder`, async function() {
+            // Arrange
+            const source = new FilesystemSource({ root: path.join(root, 'folder') });
+            // Act
+            await source.getObject('dev-images', '../folder/../../passwd').then(() => {
+                assert.fail('getObject should have been rejected');
+            }).catch((err) => {
+                // Assert
+                assert.deepEqual(err.code, 'NoSuchKey');
+            });
+        });
+    });
+    describe('003/fileTooLarge', function() {
+        it(`Should throw an error if the file is larger than the maximum size`, async function() {
+            // Arrange
+            const source = new FilesystemSource({ root, maxBytes: 10 });
+            // Act
+            await source.getObject('dev-images', 'folder/image.png').then(() => {
+                assert.fail('getObject should have been rejected');
+            }).catch((err) => {
+                // Assert
+                assert.deepEqual(err.code, 'ImageLimits::InputTooLarge');
+                assert.deepEqual(err.statusCode, 413);
+            });
+        });
+    });
+});
+
+// ----------------------------------------------------------------------------
+// HttpSource getObject()
+// ----------------------------------------------------------------------------
+describe('HttpSource getObject()', function() {
+    let server;
+    let baseUrl;
+    before(function(done) {
+        server = http.createServer((request, response) => {
+            if (request.url === '/images/folder/my%20image.png') {
+                response.writeHead(200, { 'Content-Type': 'image/png', 'Cache-Control': 'max-age=60', 'Last-Modified': 'Wed, 21 Oct 2015 07:28:00 GMT' });
+                response.end('SampleImageContent\n');
+            } else if (request.url === '/images/large.png') {
+                // Streamed without a Content-Length header
+                response.writeHead(200, { 'Content-Type': 'image/png' });
+                response.write(Buffer.alloc(1024));
+                response.end(Buffer.alloc(1024));
+            } else if (request.url === '/images/slow.png') {
+                // Sends a byte every 20 ms, so that the socket is never idle
+                response.writeHead(200, { 'Content-Type': 'image/png' });
+                const interval = setInterval(() => response.write('.'), 20);
+                setTimeout(() => {
+                    clearInterval(interval);
+                    response.end();
+                }, 1000);
+            } else {
+                response.writeHead(404);
+                response.end();
+            }
+        });
+        server.listen(0, '127.0.0.1', () => {
+            baseUrl = `http://127.0.0.1:${server.address().port}/images`;
+            done();
+        });
+    });
+    after(function(done) {
+        server.close(done);
+    });
+    describe('001/imageExists', function() {
+        it(`Should pass if the image and its headers are read from the origin`, async function() {
+            // Arrange
+            const source = new HttpSource({ baseUrl });
+            // Act
+            const result = await source.getObject('legacy', 'folder/my image.png');
+            // Assert
+            assert.deepEqual(result.Body, Buffer.from('SampleImageContent\n'));
+            assert.deepEqual(result.ContentType, 'image/png');
+            assert.deepEqual(result.CacheControl, 'max-age=60');
+            assert.deepEqual(result.LastModified, 'Wed, 21 Oct 2015 07:28:00 GMT');
+        });
+    });
+    describe('002/imageDoesNotExist', function() {
+        it(`Should throw a NoSuchKey error if the origin responds with a 404`, async function() {
+            // Arrange
+            const source = new HttpSource({ baseUrl });
+            // Act
+            await source.getObject('legacy', 'missing.png').then(() => {
+                assert.fail('getObject should have been rejected');
+            }).catch((err) => {
+                // Assert
+                assert.deepEqual(err.code, 'NoSuchKey');
+                assert.deepEqual(err.statusCode, 404);
+            });
+        });
+    });
+    describe('003/imageTooLarge', function() {
+        it(`Should throw an error once the streamed image exceeds the maximum size`, async function() {
+            // Arrange
+            const source = new HttpSource({ baseUrl, maxBytes: 1500 });
+            // Act
+            await source.getObject('legacy', 'large.png').then(() => {
+                assert.fail('getObject should have been rejected');
+            }).catch((err) => {
+                // Assert
+                assert.deepEqual(err.code, 'ImageLimits::InputTooLarge');
+                assert.deepEqual(err.statusCode, 413);
+            });
+        });
+    });
+    describe('004/slowOrigin', function() {
+        it(`Should throw an error if the whole image is not read within the
+            timeout, even though the origin keeps sending data`, async function() {
+            // Arrange
+            const source = new HttpSource({ baseUrl, timeout: 200 });
+            // Act
+            await source.getObject('legacy', 'slow.png').then(() => {
+                assert.fail('getObject should have been rejected');
+            }).catch((err) => {
+                // Assert
+                assert.deepEqual(err.code, 'OriginError');
+                assert.ok(err.message.includes('200 ms'));
+            });
+        });
+    });
+});
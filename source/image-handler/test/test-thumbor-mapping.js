@@ -12,6 +12,7 @@
  *********************************************************************************************************************/
 
 const ThumborMapping = require('../thumbor-mapping');
+const Logger = require('../logger');
 let assert = require('assert');
 
 // ----------------------------------------------------------------------------
@@ -42,6 +43,128 @@ describe('process()', function() {
             assert.deepEqual(thumborMapping.edits, expectedResult.edits);
         });
     });
+    describe('002/cropAndAlignment', function() {
+        it(`Should pass if the manual crop, dimensions and alignment are mapped
+            in the order Thumbor applies them`, function() {
+            // Arrange
+            const event = {
+                path : "/trim/10x20:310x420/300x200/left/top/filters:grayscale()/test-image-001.jpg"
+            }
+            // Act
+            const thumborMapping = new ThumborMapping();
+            thumborMapping.process(event);
+            // Assert
+            const expectedResult = {
+                edits: {
+                    trim: 10,
+                    extract: { left: 10, top: 20, width: 300, height: 400 },
+                    resize: {
+                        fit: 'cover',
+                        width: 300,
+                        height: 200,
+                        position: 'northwest'
+                    },
+                    grayscale: true
+                }
+            };
+            assert.deepEqual(thumborMapping.edits, expectedResult.edits);
+            assert.deepEqual(Object.keys(thumborMapping.edits), ['trim', 'extract', 'resize', 'grayscale']);
+        });
+    });
+    describe('003/negativeDimensions', function() {
+        it(`Should pass if negative dimensions flip the image and a zero
+            dimension keeps the aspect ratio`, function() {
+            // Arrange
+            const event = {
+                path : "/-300x-0/test-image-001.jpg"
+            }
+            // Act
+            const thumborMapping = new ThumborMapping();
+            thumborMapping.process(event);
+            // Assert
+            const expectedResult = {
+                edits: {
+                    resize: {
+                        fit: 'cover',
+                        width: 300,
+                        height: null
+                    },
+                    flip: true,
+                    flop: true
+                }
+            };
+            assert.deepEqual(thumborMapping.edits, expectedResult.edits);
+        });
+    });
+    describe('004/smart', function() {
+        it(`Should pass if smart cropping uses the attention strategy`, function() {
+            // Arrange
+            const event = {
+                path : "/300x300/smart/test-image-001.jpg"
+            }
+            // Act
+            const thumborMapping = new ThumborMapping();
+            thumborMapping.process(event);
+            // Assert
+            const expectedResult = {
+                edits: {
+                    resize: {
+                        fit: 'cover',
+                        width: 300,
+                        height: 300,
+                        position: 'attention'
+                    }
+                }
+            };
+            assert.deepEqual(thumborMapping.edits, expectedResult.edits);
+        });
+    });
+    describe('005/dimensionsInImageKey', function() {
+        it(`Should pass if dimensions in the image key are not parsed as edits`, function() {
+            // Arrange
+            const event = {
+                path : "/filters:grayscale()/banners/1200x600/test-image-300x200.jpg"
+            }
+            // Act
+            const thumborMapping = new ThumborMapping();
+            thumborMapping.process(event);
+            // Assert
+            const expectedResult = {
+                edits: {
+                    grayscale: true
+                }
+            };
+            assert.deepEqual(thumborMapping.edits, expectedResult.edits);
+        });
+    });
+    describe('006/filterArgumentsWithSlashes', function() {
+        it(`Should pass if a watermark key in a folder is kept whole`, function() {
+            // Arrange
+            const event = {
+                path : "/filters:watermark(bucket,logos/brand.png,10,10,50)/folder/test-image-001.jpg"
+            }
+            // Act
+            const thumborMapping = new ThumborMapping();
+            thumborMapping.process(event);
+            // Assert
+            const expectedResult = {
+                edits: {
+                    overlayWith: {
+                        bucket: 'bucket',
+                        key: 'logos/brand.png',
+                        alpha: '50',
+                        wRatio: undefined,
+                        hRatio: undefined,
+                        options: {
+                            left: '10',
+                            top: '10'
+                        }
+                    }
+                }
+            };
+            assert.deepEqual(thumborMapping.edits, expectedResult.edits);
+        });
+    });
 });
 
 // ----------------------------------------------------------------------------
@@ -105,6 +228,36 @@ describe('parseCustomPath()', function() {
             }, Error, 'ThumborMapping::ParseCustomPath::ParsingError');
         });
     });
+    describe('005/ruleLogged', function() {
+        it(`Should pass if the rule applied is logged at the default level and
+            added to the request context`, function() {
+            // Arrange
+            const event = {
+                path : '/filters-rotate(90)/thumbor-image.jpg'
+            }
+            process.env.REWRITE_MATCH_PATTERN = /(filters-)/gm;
+            process.env.REWRITE_SUBSTITUTION = 'filters:';
+            delete process.env.LOG_LEVEL;
+            const logger = Logger.fromEnvironment();
+            const write = logger.write;
+            const lines = [];
+            logger.reset({ requestId: 'abc' });
+            logger.write = line => lines.push(JSON.parse(line));
+            // Act
+            const thumborMapping = new ThumborMapping();
+            thumborMapping.parseCustomPath(event.path);
+            logger.info('Image processed');
+            logger.write = write;
+            logger.reset();
+            // Assert
+            assert.deepEqual(lines.length, 2);
+            assert.deepEqual(lines[0].level, 'info');
+            assert.deepEqual(lines[0].message, 'Rewrite rule applied');
+            assert.deepEqual(lines[0].rewriteRule, 'default');
+            assert.deepEqual(lines[0].path, event.path);
+            assert.deepEqual(lines[1].rewriteRule, 'default');
+        });
+    });
 });
 
 // ----------------------------------------------------------------------------
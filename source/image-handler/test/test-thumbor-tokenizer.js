@@ -0,0 +1,109 @@
+/*********************************************************************************************************************
+ *  Copyright 2019 Amazon.com, Inc. or its affiliates. All Rights Reserved.                                           *
+ *                                                                                                                    *
+ *  Licensed under the Apache License, Version 2.0 (the "License"). You may not use this file except in compliance    *
+ *  with the License. A copy of the License is located at                                                             *
+ *                                                                                                                    *
+ *      http://www.apache.org/licenses/LICENSE-2.0                                                                    *
+ *                                                                                                                    *
+ *  or in the 'license' file accompanying this file. This file is distributed on an 'AS IS' BASIS, WITHOUT WARRANTIES *
+ *  OR CONDITIONS OF ANY KIND, express or implied. See the License for the specific language governing permissions    *
+ *  and limitations under the License.                                                                                *
+ *********************************************************************************************************************/
+
+const ThumborTokenizer = require('../thumbor-tokenizer');
+let assert = require('assert');
+
+// ----------------------------------------------------------------------------
+// tokenize()
+// ----------------------------------------------------------------------------
+describe('tokenize()', function() {
+    describe('001/imageKey', function() {
+        it(`Should pass if the image key is the path following the Thumbor options`, function() {
+            // Arrange
+            const path = '/unsafe/fit-in/300x200/center/middle/filters:quality(80)/folder/left/image.jpg';
+            // Act
+            const result = new ThumborTokenizer().tokenize(path);
+            // Assert
+            assert.deepEqual(result.key, 'folder/left/image.jpg');
+            assert.deepEqual(result.position, 'centre');
+            assert.deepEqual(result.filters.map(filter => filter.name), ['quality']);
+        });
+    });
+    describe('002/keyLookingLikeOptions', function() {
+        it(`Should pass if dimensions and filters in the image key are kept`, function() {
+            // Arrange
+            const path = '/fit-in/100x100/products/800x600/filters-sale/image.jpg';
+            // Act
+            const result = new ThumborTokenizer().tokenize(path);
+            // Assert
+            assert.deepEqual(result.key, 'products/800x600/filters-sale/image.jpg');
+            assert.deepEqual(result.width, 100);
+            assert.deepEqual(result.height, 100);
+        });
+    });
+    describe('003/filterArgumentsWithSlashes', function() {
+        it(`Should pass if slashes, commas and nested parentheses in filter
+            arguments do not split the filter`, function() {
+            // Arrange
+            const path = '/filters:watermark(my-bucket,logos/brand (1).png,10,-10,50):fill(rgb(255,0,0))/filters:grayscale()/folder/image.jpg';
+            // Act
+            const result = new ThumborTokenizer().tokenize(path);
+            // Assert
+            assert.deepEqual(result.filters.map(filter => [filter.name, filter.value]), [
+                ['watermark', 'my-bucket,logos/brand (1).png,10,-10,50'],
+                ['fill', 'rgb(255,0,0)'],
+                ['grayscale', '']
+            ]);
+            assert.deepEqual(result.key, 'folder/image.jpg');
+        });
+    });
+    describe('004/preset', function() {
+        it(`Should pass if the preset segment is read and not part of the image key`, function() {
+            // Arrange
+            const path = '/preset:product-thumbnail/filters:grayscale()/image.jpg';
+            // Act
+            const result = new ThumborTokenizer().tokenize(path);
+            // Assert
+            assert.deepEqual(result.preset, 'product-thumbnail');
+            assert.deepEqual(result.key, 'image.jpg');
+        });
+    });
+    describe('005/meta', function() {
+        it(`Should pass if the meta segment is read and not part of the image key`, function() {
+            // Arrange
+            const path = '/unsafe/meta/fit-in/300x200/image.jpg';
+            // Act
+            const result = new ThumborTokenizer().tokenize(path);
+            // Assert
+            assert.deepEqual(result.meta, true);
+            assert.deepEqual(result.key, 'image.jpg');
+        });
+    });
+    describe('006/unbalancedParentheses', function() {
+        it(`Should throw an error if the parentheses of a filter are not balanced`, function() {
+            // Arrange
+            const path = '/filters:fill(rgb(255,0,0)/image.jpg';
+            // Assert
+            assert.throws(function() {
+                new ThumborTokenizer().tokenize(path);
+            }, function(err) {
+                return err.status === 400 && err.code === 'ThumborMapping::InvalidFilter';
+            });
+        });
+    });
+});
+
+// ----------------------------------------------------------------------------
+// splitArguments()
+// ----------------------------------------------------------------------------
+describe('splitArguments()', function() {
+    describe('001/nestedParentheses', function() {
+        it(`Should pass if commas nested in parentheses do not split the arguments`, function() {
+            // Act
+            const result = ThumborTokenizer.splitArguments('rgb(0,0,0),10,true');
+            // Assert
+            assert.deepEqual(result, ['rgb(0,0,0)', '10', 'true']);
+        });
+    });
+});
@@ -13,6 +13,9 @@
 
 const Color = require('color');
 const ColorName = require('color-name');
+const Logger = require('./logger');
+const RewriteRules = require('./rewrite-rules');
+const ThumborTokenizer = require('./thumbor-tokenizer');
 
 class ThumborMapping {
 
@@ -25,43 +28,51 @@ class ThumborMapping {
     /**
      * Initializer function for creating a new Thumbor mapping, used by the image
      * handler to perform image modifications based on legacy URL path requests.
+     * The path follows the Thumbor URL grammar, and the edits are built in the
+     * order Thumbor applies them: trim, manual crop, resize with alignment,
+     * flipping, then filters. The path is read by the Thumbor tokenizer.
      * @param {Object} event - The request body.
      */
     process(event) {
         // Setup
         this.path = event.path;
-        const edits = this.path.split('/');
-        const filetype = (this.path.split('.'))[(this.path.split('.')).length - 1];
+        const tokens = new ThumborTokenizer().tokenize(this.path);
+        const filetype = (tokens.key.split('.'))[(tokens.key.split('.')).length - 1];
 
-        // Process the Dimensions
-        const dimPath = this.path.match(/[^\/]\d+x\d+/g);
-        if (dimPath) {
-            const dims = dimPath[0].split('x');
-            // Set only if the dimensions provided are valid
-            if (!isNaN(dims[0]) && !isNaN(dims[1])) {
+        // Map the Thumbor options
+        if (tokens.trim !== undefined) {
+            this.edits.trim = tokens.trim;
+        }
+        if (tokens.crop !== undefined) {
+            this.edits.extract = tokens.crop;
+        }
+        if (tokens.fitIn) {
+            this.edits.resize = {};
+            this.edits.resize.fit = 'inside';
+            this.sizingMethod = 'fit-in';
+        }
+        if (tokens.width !== null || tokens.height !== null) {
+            if (this.edits.resize === undefined) {
                 this.edits.resize = {};
-                this.edits.resize.fit = 'fill';
-
-                // Assign dimenions from the first match only to avoid parsing dimension from image file names
-                this.edits.resize.width = Number(dims[0]);
-                this.edits.resize.height = Number(dims[1]);
+                this.edits.resize.fit = 'cover';
             }
+            this.edits.resize.width = tokens.width;
+            this.edits.resize.height = tokens.height;
         }
-
-        // Parse the image path
-        for (let i = 0; i < edits.length; i++) {
-            const edit = edits[i];
-            if (edit === ('fit-in')) {
-                if (this.edits.resize === undefined) {
-                    this.edits.resize = {};
-                }
-
-                this.edits.resize.fit = 'inside';
-                this.sizingMethod = edit;
-            } else if (edit.includes('filters:')) {
-                this.mapFilter(edit, filetype);
-            }
+        if (this.edits.resize !== undefined && tokens.position !== undefined) {
+            this.edits.resize.position = tokens.position;
         }
+        if (tokens.flipVertically) {
+            this.edits.flip = true;
+        }
+        if (tokens.flipHorizontally) {
+            this.edits.flop = true;
+        }
+
+        // Map the filters
+        tokens.filters.forEach((filter) => {
+            this.mapFilter(filter.edit, filetype);
+        });
 
         return this;
     }
@@ -69,17 +80,18 @@ class ThumborMapping {
     /**
      * Enables users to migrate their current image request model to the SIH solution,
      * without changing their legacy application code to accomodate new image requests.
+     * The path is rewritten by the first matching rule of the configured rewrite rules,
+     * whose name is added to the request context of the log lines.
      * @param {String} path - The URL path extracted from the web request.
+     * @return {Object} - The rewritten path, with the name and source bucket of the rule applied.
      */
     parseCustomPath(path) {
-        // Setup from the environment variables
-        const matchPattern = process.env.REWRITE_MATCH_PATTERN;
-        const substitution = process.env.REWRITE_SUBSTITUTION;
-        // Perform the substitution and return
-        if (path !== undefined && matchPattern !== undefined && substitution !== undefined) {
-            const parsedPath = path.replace(matchPattern, substitution);
-            const output = { path: parsedPath };
-            return output;
+        const rule = (path !== undefined) ? RewriteRules.fromEnvironment().match(path) : undefined;
+        if (rule !== undefined) {
+            const logger = Logger.fromEnvironment();
+            logger.addContext({ rewriteRule: rule.name });
+            logger.info('Rewrite rule applied', { path });
+            return { path: rule.path, rule: rule.name, bucket: rule.bucket };
         } else {
             throw new Error('ThumborMapping::ParseCustomPath::ParsingError');
         }
@@ -92,7 +104,7 @@ class ThumborMapping {
      * @param {String} filetype - The file type of the original image.
      */
     mapFilter(edit, filetype) {
-        const matched = edit.match(/:(.+)\((.*)\)/);
+        const matched = edit.match(/:([a-z_]+)\((.*)\)$/i);
         const key = matched[1];
         let value = matched[2];
         // Find the proper filter
@@ -106,11 +118,11 @@ class ThumborMapping {
             this.edits.flatten = { background: Color(value).object() };
         }
         else if (key === ('blur')) {
-            const val = value.split(',');
+            const val = ThumborTokenizer.splitArguments(value);
             this.edits.blur = (val.length > 1) ? Number(val[1]) : Number(val[0]) / 2;
         }
         else if (key === ('convolution')) {
-            const arr = value.split(',');
+            const arr = ThumborTokenizer.splitArguments(value);
             const strMatrix = (arr[0]).split(';');
             let matrix = [];
             strMatrix.forEach(function(str) {
@@ -147,7 +159,7 @@ class ThumborMapping {
         }
         else if (key === ('format')) {
             const formattedValue = value.replace(/[^0-9a-z]/gi, '').replace(/jpg/i, 'jpeg');
-            const acceptedValues = ['heic', 'heif', 'jpeg', 'png', 'raw', 'tiff', 'webp'];
+            const acceptedValues = ['avif', 'heic', 'heif', 'jpeg', 'png', 'raw', 'tiff', 'webp'];
             if (acceptedValues.includes(formattedValue)) {
                 this.edits.toFormat = formattedValue;
             }
@@ -180,10 +192,12 @@ class ThumborMapping {
                 this.edits.tiff = { quality: Number(value) }
             } else if (filetype === 'heif') {
                 this.edits.heif = { quality: Number(value) }
+            } else if (filetype === 'avif') {
+                this.edits.avif = { quality: Number(value) }
             }
         }
         else if (key === ('rgb')) {
-            const percentages = value.split(',');
+            const percentages = ThumborTokenizer.splitArguments(value);
             const values = [];
             percentages.forEach(function (percentage) {
                 const parsedPercentage = Number(percentage);
@@ -196,7 +210,7 @@ class ThumborMapping {
             this.edits.rotate = Number(value);
         }
         else if (key === ('sharpen')) {
-            const sh = value.split(',');
+            const sh = ThumborTokenizer.splitArguments(value);
             const sigma = 1 + Number(sh[1]) / 2;
             this.edits.sharpen = sigma;
         }
@@ -221,7 +235,7 @@ class ThumborMapping {
             this.edits.resize.fit = "inside"
         }
         else if (key === ('watermark')) {
-            const options = value.replace(/\s+/g, '').split(',');
+            const options = ThumborTokenizer.splitArguments(value.replace(/\s+/g, ''));
             const bucket = options[0];
             const key = options[1];
             const xPos = options[2];
@@ -0,0 +1,207 @@
+/*********************************************************************************************************************
+ *  Copyright 2019 Amazon.com, Inc. or its affiliates. All Rights Reserved.                                           *
+ *                                                                                                                    *
+ *  Licensed under the Apache License, Version 2.0 (the "License"). You may not use this file except in compliance    *
+ *  with the License. A copy of the License is located at                                                             *
+ *                                                                                                                    *
+ *      http://www.apache.org/licenses/LICENSE-2.0                                                                    *
+ *                                                                                                                    *
+ *  or in the 'license' file accompanying this file. This file is distributed on an 'AS IS' BASIS, WITHOUT WARRANTIES *
+ *  OR CONDITIONS OF ANY KIND, express or implied. See the License for the specific language governing permissions    *
+ *  and limitations under the License.                                                                                *
+ *********************************************************************************************************************/
+
+// Thumbor options, in the order of the Thumbor URL grammar
+const grammar = [
+    { name: 'meta', pattern: /^meta$/ },
+    { name: 'trim', pattern: /^trim(?::(?:top-left|bottom-right))?(?::(\d+))?$/ },
+    { name: 'crop', pattern: /^(\d+)x(\d+):(\d+)x(\d+)$/ },
+    { name: 'fitIn', pattern: /^fit-in$/ },
+    { name: 'dimensions', pattern: /^(?=.*\d)(-?)(\d*)x(-?)(\d*)$/ },
+    { name: 'halign', pattern: /^(left|center|right)$/ },
+    { name: 'valign', pattern: /^(top|middle|bottom)$/ },
+    { name: 'smart', pattern: /^smart$/ }
+];
+
+// Signature segments, which may precede the Thumbor options
+const skipped = /^(unsafe|[A-Za-z0-9_-]{27}=)$/;
+
+class ThumborTokenizer {
+
+    /**
+     * Walks a Thumbor path segment by segment, in the order of the Thumbor URL
+     * grammar: signature, "meta", trim, manual crop ("AxB:CxD"), "fit-in", dimensions
+     * ("-WxH", a missing or zero dimension keeps the aspect ratio), horizontal
+     * and vertical alignment, "smart" and filters, along with the name of the
+     * "preset:<name>" segment, if any. Filter arguments may contain slashes,
+     * commas and nested parentheses. Everything after the last option is
+     * returned untouched as the image key.
+     * @param {String} path - The URL path of the Thumbor request.
+     * @return {Object} - The parsed options, filters and image key.
+     */
+    tokenize(path) {
+        const tokens = { width: null, height: null, filters: [] };
+        let rest = String(path).replace(/^\/+/, '');
+        let step = 0;
+
+        while (true) {
+            if (rest.startsWith('filters:')) {
+                rest = this.tokenizeFilters(rest, tokens.filters);
+                continue;
+            }
+            const slash = rest.indexOf('/');
+            if (slash === -1) {
+                break;
+            }
+            const segment = rest.substring(0, slash);
+            if (segment.startsWith('preset:')) {
+                tokens.preset = decodeURIComponent(segment.substring('preset:'.length));
+            } else if (!skipped.test(segment)) {
+                let index = step;
+                while (index < grammar.length && !grammar[index].pattern.test(segment)) {
+                    index++;
+                }
+                if (index === grammar.length) {
+                    break;
+                }
+                step = index + 1;
+                this.applyOption(tokens, grammar[index].name, segment.match(grammar[index].pattern));
+            }
+            rest = rest.substring(slash + 1);
+        }
+
+        if (tokens.smart) {
+            tokens.position = 'attention';
+        } else if (tokens.halign !== undefined || tokens.valign !== undefined) {
+            const vertical = { top: 'north', bottom: 'south' }[tokens.valign] || '';
+            const horizontal = { left: 'west', right: 'east' }[tokens.halign] || '';
+            tokens.position = (vertical + horizontal) || 'centre';
+        }
+        tokens.key = rest;
+        return tokens;
+    }
+
+    /**
+     * Records a Thumbor option matched by the grammar.
+     * @param {Object} tokens - The tokens parsed so far.
+     * @param {String} name - The name of the option.
+     * @param {Array} matched - The match of the option pattern.
+     */
+    applyOption(tokens, name, matched) {
+        switch (name) {
+            case 'meta':
+                tokens.meta = true;
+                break;
+            case 'trim':
+                // Sharp trims the color of the top-left pixel with a threshold of at least 1
+                tokens.trim = (matched[1] !== undefined) ? Math.max(Number(matched[1]), 1) : 10;
+                break;
+            case 'crop': {
+                const [ left, top, right, bottom ] = matched.slice(1).map(Number);
+                if (right > left && bottom > top) {
+                    tokens.crop = { left, top, width: right - left, height: bottom - top };
+                }
+                break;
+            }
+            case 'fitIn':
+                tokens.fitIn = true;
+                break;
+            case 'dimensions':
+                tokens.flipHorizontally = (matched[1] === '-');
+                tokens.flipVertically = (matched[3] === '-');
+                tokens.width = Number(matched[2]) || null;
+                tokens.height = Number(matched[4]) || null;
+                break;
+            case 'halign':
+                tokens.halign = matched[1];
+                break;
+            case 'valign':
+                tokens.valign = matched[1];
+                break;
+            case 'smart':
+                tokens.smart = true;
+                break;
+        }
+    }
+
+    /**
+     * Reads a "filters:a(...):b(...)" segment at the start of the path and
+     * returns the rest of the path. Slashes and colons are only separators
+     * outside of the parentheses of a filter.
+     * @param {String} path - The path, starting with "filters:".
+     * @param {Array} filters - The list the parsed filters are added to.
+     * @return {String} - The rest of the path following the segment.
+     */
+    tokenizeFilters(path, filters) {
+        let position = 'filters:'.length;
+        while (true) {
+            const open = path.indexOf('(', position);
+            const name = (open === -1) ? '' : path.substring(position, open);
+            if (!/^[a-z_]+$/i.test(name)) {
+                throw this.invalidFilter(path);
+            }
+            let depth = 0;
+            let close = open;
+            for (; close < path.length; close++) {
+                if (path[close] === '(') {
+                    depth++;
+                } else if (path[close] === ')' && --depth === 0) {
+                    break;
+                }
+            }
+            if (close === path.length) {
+                throw this.invalidFilter(path);
+            }
+            const value = path.substring(open + 1, close);
+            filters.push({ name, value, edit: `filters:${name}(${value})` });
+
+            position = close + 1;
+            if (path[position] === ':') {
+                position++;
+            } else if (path[position] === '/' || position === path.length) {
+                return path.substring(position + 1);
+            } else {
+                throw this.invalidFilter(path);
+            }
+        }
+    }
+
+    /**
+     * Splits the arguments of a filter on the commas that are not nested in
+     * parentheses, such as "rgb(0,0,0),10" into "rgb(0,0,0)" and "10".
+     * @param {String} value - The arguments of the filter.
+     * @return {Array} - The arguments.
+     */
+    static splitArguments(value) {
+        const args = [];
+        let depth = 0;
+        let start = 0;
+        for (let i = 0; i < value.length; i++) {
+            if (value[i] === '(') {
+                depth++;
+            } else if (value[i] === ')') {
+                depth--;
+            } else if (value[i] === ',' && depth === 0) {
+                args.push(value.substring(start, i));
+                start = i + 1;
+            }
+        }
+        args.push(value.substring(start));
+        return args;
+    }
+
+    /**
+     * Returns the error thrown for a filter that could not be parsed.
+     * @param {String} path - The path starting with the filter.
+     */
+    invalidFilter(path) {
+        return {
+            status: 400,
+            code: 'ThumborMapping::InvalidFilter',
+            message: `The filters of the path "${path}" could not be parsed. Please check that every filter is written as "name(arguments)" with balanced parentheses.`
+        };
+    }
+}
+
+// Exports
+module.exports = ThumborTokenizer;